@@ -17,10 +17,11 @@ chrome.runtime.onInstalled.addListener((details) => {
   }
 });
 
-// Handle extension icon click (optional - for future features)
-chrome.action.onClicked.addListener((tab) => {
+// Handle extension icon click - open the cross-conversation branch library
+chrome.action.onClicked.addListener(async (tab) => {
   console.log("Extension icon clicked on tab:", tab.url);
 
-  // Could be used to open settings or help page in the future
-  // For now, the extension works automatically on ChatGPT pages
+  await chrome.tabs.create({
+    url: chrome.runtime.getURL("src/pages/library.html"),
+  });
 });
@@ -4,20 +4,37 @@
  */
 
 // All modules are loaded via manifest.json in order:
-// 1. dom-utils.js (provides utility functions)
-// 2. storage-manager.js (provides StorageManager class)
-// 3. tree-builder.js (provides TreeBuilder class)
-// 4. branch-detector.js (provides BranchDetector class)
-// 5. content.js (this file - main coordinator)
+// 1. logger.js (provides DebugLogger class and debugLogger)
+// 2. performance-monitor.js (provides PerformanceMonitor class)
+// 3. selector-profile.js (provides SelectorProfile class and selectorProfile)
+// 4. dom-utils.js (provides utility functions)
+// 5. turn-identity.js (provides TurnIdentity class)
+// 6. storage-backends.js (provides createStorageBackend and backend classes)
+// 7. compression-codec.js (provides CompressionCodec class)
+// 8. schema-migrations.js (provides SchemaMigrator class and SCHEMA_VERSION)
+// 9. storage-manager.js (provides StorageManager class)
+// 10. customization-manager.js (provides CustomizationManager class)
+// 11. preferences-manager.js (provides PreferencesManager class and DEFAULT_PREFERENCES)
+// 12. tree-builder.js (provides TreeBuilder class)
+// 13. branch-detector.js (provides BranchDetector class)
+// 14. branch-search.js (provides BranchSearch class)
+// 15. tree-visualizer.js (provides TreeVisualizer class)
+// 16. markdown-exporter.js (provides MarkdownExporter class)
+// 17. text-diff.js (provides TextDiff class)
+// 18. branch-crawler.js (provides BranchCrawler class)
+// 19. keyboard-controller.js (provides KeyboardController class)
+// 20. route-watcher.js (provides RouteWatcher class)
+// 21. dom-observer.js (provides DOMObserver class)
+// 22. content.js (this file - main coordinator)
 
 // Import remaining classes (these will be extracted in subsequent steps)
 // For now, we'll keep them in this file temporarily
 // TODO: Extract these to separate modules
-// - DOMObserver -> src/core/dom-observer.js
 // - TabRenderer -> src/core/tab-renderer.js
 // - NavigationController -> src/core/navigation-controller.js
 // - UIManager -> src/core/ui-manager.js
-// - PerformanceMonitor -> src/utils/performance-monitor.js
+
+const contentLog = debugLogger.get("content");
 
 // Global extension state
 let extensionState = {
@@ -25,12 +42,17 @@ let extensionState = {
   branchDetector: null,
   treeBuilder: null,
   storageManager: null,
+  customizationManager: null,
+  preferencesManager: null,
   performanceMonitor: null,
   uiManager: null,
   tabRenderer: null,
   navigationController: null,
+  branchCrawler: null,
+  routeWatcher: null,
   conversationId: null,
   isInitialized: false,
+  isInitializing: false,
 };
 
 // Initialize extension when DOM is ready
@@ -40,6 +62,12 @@ if (document.readyState === "loading") {
   safeInitializeExtension();
 }
 
+// Follow ChatGPT's client-side navigation between conversations
+extensionState.routeWatcher = new RouteWatcher({
+  onChange: () => handleRouteChange(),
+});
+extensionState.routeWatcher.start();
+
 /**
  * Safe initialization wrapper that handles React conflicts
  */
@@ -51,7 +79,7 @@ async function safeInitializeExtension() {
     // Initialize with error boundaries
     await initializeExtension();
   } catch (error) {
-    console.error("Failed to initialize extension safely:", error);
+    contentLog.error("Failed to initialize extension safely:", error);
 
     // Retry after a longer delay if initialization fails
     setTimeout(safeInitializeExtension, 3000);
@@ -100,7 +128,7 @@ async function initializeExtension() {
       throw new Error(`Initialization failed: ${initResult.error}`);
     }
   } catch (error) {
-    console.error("Error initializing ChatGPT Branching Extension:", error);
+    contentLog.error("Error initializing ChatGPT Branching Extension:", error);
 
     // Schedule retry with exponential backoff
     const retryDelay = Math.min(
@@ -112,7 +140,7 @@ async function initializeExtension() {
     if (window.extensionRetryCount < 5) {
       setTimeout(safeInitializeExtension, retryDelay);
     } else {
-      console.error(
+      contentLog.error(
         "Max retry attempts reached, extension initialization failed"
       );
     }
@@ -123,6 +151,12 @@ async function initializeExtension() {
  * Safely initialize all extension components with error boundaries
  */
 async function safelyInitializeComponents() {
+  // A route change can start initialization while a retry is pending
+  if (extensionState.isInitialized || extensionState.isInitializing) {
+    return { success: true };
+  }
+  extensionState.isInitializing = true;
+
   try {
     // Check if we're on a valid ChatGPT conversation page
     if (!isValidChatGPTPage()) {
@@ -132,21 +166,40 @@ async function safelyInitializeComponents() {
     // Extract conversation ID
     extensionState.conversationId = extractConversationId();
     if (!extensionState.conversationId) {
-      console.error(
+      contentLog.error(
         "Could not extract conversation ID, extension not activated"
       );
       return { success: false, error: "No conversation ID" };
     }
 
     // Initialize core components
+    extensionState.performanceMonitor = new PerformanceMonitor();
     extensionState.storageManager = new StorageManager();
+    // Selector overrides from the options page go in front of the built-ins
+    selectorProfile.setOverrides(
+      await extensionState.storageManager.loadSetting("selectorOverrides", null)
+    );
+    extensionState.customizationManager = new CustomizationManager(
+      extensionState.storageManager
+    );
+    extensionState.preferencesManager = new PreferencesManager();
+    await extensionState.preferencesManager.load();
     extensionState.treeBuilder = new TreeBuilder();
     extensionState.branchDetector = new BranchDetector();
+    extensionState.branchDetector.captureFullContent = Boolean(
+      await extensionState.storageManager.loadSetting(
+        "fullContentCapture",
+        false
+      )
+    );
 
     // Initialize UI components (temporary inline until extracted)
     extensionState.uiManager = new SimpleUIManager();
     extensionState.tabRenderer = new SimpleTabRenderer();
     extensionState.navigationController = new SimpleNavigationController();
+    extensionState.branchCrawler = new BranchCrawler(
+      extensionState.navigationController
+    );
 
     // Set up component relationships and callbacks
     setupComponentCallbacks();
@@ -156,9 +209,24 @@ async function safelyInitializeComponents() {
 
     // Initialize UI components
     await extensionState.uiManager.initialize();
+    applyPreferences(extensionState.preferencesManager.getAll());
 
     // Perform initial scan
-    await performInitialScan();
+    await extensionState.performanceMonitor.measure(
+      "initialScan",
+      performInitialScan
+    );
+
+    // Record title and visit time for the branch library page
+    await saveConversationMetadata();
+
+    // Record which selectors match this page for the options page
+    await runSelectorSelfTest();
+
+    // Drop conversations past the user's retention period (never this one)
+    await extensionState.storageManager.applyRetentionPolicy([
+      extensionState.conversationId,
+    ]);
 
     // Set up DOM observer to watch for changes
     setupDOMObserver();
@@ -167,8 +235,10 @@ async function safelyInitializeComponents() {
 
     return { success: true };
   } catch (error) {
-    console.error("Error in safelyInitializeComponents:", error);
+    contentLog.error("Error in safelyInitializeComponents:", error);
     return { success: false, error: error.message };
+  } finally {
+    extensionState.isInitializing = false;
   }
 }
 
@@ -176,12 +246,41 @@ async function safelyInitializeComponents() {
  * Set up callbacks between components
  */
 function setupComponentCallbacks() {
+  setupConversationCallbacks();
+
+  // Preferences edited on the options page apply without a reload
+  extensionState.preferencesManager.onPreferencesChanged(
+    async (preferences, changedKeys) => {
+      applyPreferences(preferences);
+      if (changedKeys.includes("showBranchCounts")) {
+        await renderTabsFromTree();
+      }
+    }
+  );
+
+  // Customization callbacks
+  extensionState.customizationManager.onCustomizationChanged(async () => {
+    // Re-render tabs so new names and colors show up immediately
+    await renderTabsFromTree();
+  });
+}
+
+/**
+ * Wire the tree builder and branch detector of the current conversation.
+ * Both are replaced when the page switches conversations, so the callbacks
+ * keep their own conversation ID and ignore events once retired.
+ */
+function setupConversationCallbacks() {
+  const { treeBuilder, branchDetector, conversationId } = extensionState;
+
   // Tree builder callbacks
-  extensionState.treeBuilder.onTreeUpdated(async (treeState) => {
+  treeBuilder.onTreeUpdated(async (treeState) => {
+    if (treeBuilder !== extensionState.treeBuilder) return;
+
     // Save tree data when updated
-    if (extensionState.storageManager && extensionState.conversationId) {
+    if (extensionState.storageManager && isAutoSaveEnabled()) {
       await extensionState.storageManager.saveConversationTree(
-        extensionState.conversationId,
+        conversationId,
         treeState
       );
     }
@@ -190,17 +289,196 @@ function setupComponentCallbacks() {
     if (extensionState.tabRenderer) {
       await renderTabsFromTree();
     }
+
+    // Follow variant switches in an open tree view
+    extensionState.uiManager?.scheduleTreeRefresh();
   });
 
-  // Branch detector callbacks
-  extensionState.branchDetector.onBranchDetected((branchInfo) => {
-    // Update tree with detected branch
-    if (extensionState.treeBuilder) {
-      extensionState.treeBuilder.buildFromNodes([branchInfo]);
+  // Branch detector callbacks. Callers of detectBranches merge the whole
+  // batch into the tree once; a rebuild per branch would repeat that work.
+  branchDetector.onBranchDetected((branchInfo) => {
+    if (branchDetector !== extensionState.branchDetector) return;
+
+    // Keep the complete text of the visible variant (opt-in)
+    if (branchInfo.capturedContent) {
+      queueContentCapture(
+        branchInfo.activeVariantId,
+        branchInfo.capturedContent
+      );
     }
   });
 }
 
+// Incremented on every route change so a slow switch can tell it is stale
+let routeChangeCount = 0;
+// Route changes run one after another: a detach never lands mid-attach
+let routeChangeQueue = Promise.resolve();
+
+/**
+ * Queue the handling of a client-side URL change
+ * @returns {Promise<void>} Settles once this change is handled (never rejects)
+ */
+function handleRouteChange() {
+  const routeChange = ++routeChangeCount;
+  routeChangeQueue = routeChangeQueue
+    .then(() => followRouteChange(routeChange))
+    .catch((error) =>
+      contentLog.error("Failed to follow route change:", error)
+    );
+  return routeChangeQueue;
+}
+
+/**
+ * React to a client-side URL change: switch to the new conversation, start
+ * the extension on a first conversation page, or stop writing when the page
+ * no longer shows a conversation (e.g. a new chat without an ID yet)
+ * @param {number} routeChange - routeChangeCount when the change was seen
+ */
+async function followRouteChange(routeChange) {
+  const isStale = () => routeChange !== routeChangeCount;
+  // A newer change is queued behind this one and reads the URL itself
+  if (isStale()) return;
+
+  const conversationId = extractConversationId();
+  if (conversationId === extensionState.conversationId) return;
+
+  contentLog.info("Route changed", {
+    from: extensionState.conversationId,
+    to: conversationId,
+  });
+
+  if (!extensionState.isInitialized) {
+    // New-chat pages get their ID after the first message; start up then
+    if (conversationId && !extensionState.isInitializing) {
+      window.extensionRetryCount = 0;
+      safeInitializeExtension();
+    }
+    return;
+  }
+
+  await detachConversation();
+  if (!conversationId) return;
+
+  // Let ChatGPT render the new conversation before scanning it
+  await waitForReactStability();
+  if (isStale()) return;
+
+  const attached = await attachConversation(conversationId, isStale);
+  // Leave nothing half set up that the next change could take as current
+  if (!attached) await detachConversation();
+}
+
+/**
+ * Stop watching and writing the current conversation. Pending captures are
+ * flushed to it first.
+ */
+async function detachConversation() {
+  extensionState.domObserver?.disconnect();
+  extensionState.branchCrawler?.cancel();
+
+  clearTimeout(contentCaptureTimer);
+  await flushContentCaptures();
+
+  // The retired builder may still finish merging stored data; keep that in memory
+  if (extensionState.treeBuilder) {
+    extensionState.treeBuilder.autoSave = false;
+  }
+
+  const uiManager = extensionState.uiManager;
+  uiManager?.hideVisualization();
+  uiManager?.hideVariantDiff();
+  if (uiManager) {
+    uiManager.selectedTreeNodeId = null;
+    uiManager.compareNodeIds = [];
+    uiManager.treeRender = null;
+    uiManager.treeRenderNodeCount = 0;
+  }
+
+  extensionState.conversationId = null;
+  extensionState.treeBuilder = new TreeBuilder();
+  await renderTabsFromTree();
+}
+
+/**
+ * Start tracking a conversation opened without a page load. Stops between
+ * steps once the page has moved on.
+ * @param {string} conversationId - ID from the new URL
+ * @param {Function} [isStale] - True once a newer route change was seen
+ * @returns {Promise<boolean>} False if it stopped early
+ */
+async function attachConversation(conversationId, isStale = () => false) {
+  const previousDetector = extensionState.branchDetector;
+
+  extensionState.conversationId = conversationId;
+  extensionState.treeBuilder = new TreeBuilder();
+  extensionState.treeBuilder.autoSave = isAutoSaveEnabled();
+  extensionState.branchDetector = new BranchDetector();
+  extensionState.branchDetector.captureFullContent = Boolean(
+    previousDetector?.captureFullContent
+  );
+  setupConversationCallbacks();
+
+  // ChatGPT re-renders the header when switching conversations
+  await extensionState.uiManager.reattach();
+  if (isStale()) return false;
+
+  await safelyLoadSavedData();
+  if (isStale()) return false;
+
+  await extensionState.performanceMonitor.measure(
+    "initialScan",
+    performInitialScan
+  );
+  if (isStale()) return false;
+
+  await saveConversationMetadata();
+  if (isStale()) return false;
+
+  setupDOMObserver();
+  return true;
+}
+
+// Captured variant contents waiting to be written (variantId -> content)
+const pendingContentCaptures = new Map();
+let contentCaptureTimer = null;
+
+/**
+ * Queue a captured variant for storage. Scans run often, so captures are
+ * batched and written together.
+ * @param {string} variantId - Lean node ID of the visible variant
+ * @param {{text: string, codeBlocks: Array}} content - Captured content
+ */
+function queueContentCapture(variantId, content) {
+  pendingContentCaptures.set(variantId, content);
+  clearTimeout(contentCaptureTimer);
+  contentCaptureTimer = setTimeout(flushContentCaptures, 500);
+}
+
+/**
+ * Write queued variant contents to the content store
+ */
+async function flushContentCaptures() {
+  if (!extensionState.storageManager || !extensionState.conversationId) {
+    return;
+  }
+  if (!isAutoSaveEnabled()) {
+    pendingContentCaptures.clear();
+    return;
+  }
+
+  const captures = Array.from(
+    pendingContentCaptures,
+    ([variantId, content]) => ({ variantId, ...content })
+  );
+  pendingContentCaptures.clear();
+  if (captures.length === 0) return;
+
+  await extensionState.storageManager.saveVariantContents(
+    extensionState.conversationId,
+    captures
+  );
+}
+
 /**
  * Safely load saved data with error handling
  */
@@ -210,6 +488,13 @@ async function safelyLoadSavedData() {
   }
 
   try {
+    // Load branch names and colors before the first render
+    if (extensionState.customizationManager) {
+      await extensionState.customizationManager.load(
+        extensionState.conversationId
+      );
+    }
+
     const savedTreeData =
       await extensionState.storageManager.loadConversationTree(
         extensionState.conversationId
@@ -228,13 +513,13 @@ async function safelyLoadSavedData() {
         try {
           await renderTabsFromTree();
         } catch (error) {
-          console.error("Error rendering tabs from loaded data:", error);
+          contentLog.error("Error rendering tabs from loaded data:", error);
         }
       }
     } else {
     }
   } catch (error) {
-    console.error("Failed to load saved tree data:", error);
+    contentLog.error("Failed to load saved tree data:", error);
   }
 }
 
@@ -255,13 +540,12 @@ async function performInitialScan() {
 
     if (detectedBranches.length > 0) {
       extensionState.treeBuilder.buildFromNodes(detectedBranches);
-      console.log(
-        "extensionState.treeBuilder.saveTreeSnapshot(detectedBranches);"
-      );
-      extensionState.treeBuilder.saveTreeSnapshot(
-        extensionState.conversationId,
-        detectedBranches
-      );
+      if (isAutoSaveEnabled()) {
+        await extensionState.treeBuilder.saveTreeSnapshot(
+          extensionState.conversationId,
+          detectedBranches
+        );
+      }
     } else {
       // Create a fallback display showing all turns
       const fallbackBranches = turns.map((turn, index) => {
@@ -282,7 +566,9 @@ async function performInitialScan() {
           turnIndex: index,
           currentVariant: 1,
           totalVariants: 1,
-          role: turn.querySelector(".tabular-nums") ? "assistant" : "user",
+          role: selectorProfile.query("variantCounter", turn)
+            ? "assistant"
+            : "user",
           element: turn,
           timestamp: Date.now(),
           variants: variants,
@@ -301,12 +587,75 @@ async function performInitialScan() {
       );
     }
   } catch (error) {
-    console.error("❌ Error in initial scan:", error);
+    contentLog.error("❌ Error in initial scan:", error);
+  }
+}
+
+/**
+ * Save the conversation title so the branch library can list it by name
+ */
+async function saveConversationMetadata() {
+  if (!extensionState.storageManager || !extensionState.conversationId) {
+    return;
+  }
+
+  // ChatGPT sets the document title to the conversation title once named
+  const title = document.title?.trim();
+  await extensionState.storageManager.saveMetadata(
+    extensionState.conversationId,
+    title && title !== "ChatGPT" ? { title } : {}
+  );
+}
+
+/**
+ * Check whether detected branches should be written to storage
+ * @returns {boolean} True unless auto-save is turned off
+ */
+function isAutoSaveEnabled() {
+  return extensionState.preferencesManager?.get("autoSave") !== false;
+}
+
+/**
+ * Apply preferences that change how the page looks or logs
+ * @param {Object} preferences - Preferences from PreferencesManager
+ */
+function applyPreferences(preferences) {
+  debugLogger.setConsoleLevel(preferences.debugLogging ? "debug" : "warn");
+  if (extensionState.treeBuilder) {
+    extensionState.treeBuilder.autoSave = preferences.autoSave;
+  }
+
+  // Branches without a custom color use the accent color
+  document.documentElement.style.setProperty(
+    "--chatgpt-accent-blue",
+    preferences.defaultTabColor
+  );
+
+  extensionState.uiManager?.setPathBarVisible(preferences.showPathBar);
+}
+
+/**
+ * Check every selector of the profile against the page and store the report
+ * @returns {Promise<Object>} Self-test report
+ */
+async function runSelectorSelfTest() {
+  const report = selectorProfile.selfTest(document);
+
+  const missing = report.results.filter((result) => !result.matched);
+  if (missing.length > 0) {
+    contentLog.warn(
+      "Selectors without a match on this page:",
+      missing.map((result) => result.key)
+    );
   }
+
+  await extensionState.storageManager?.saveSetting("selectorSelfTest", report);
+  return report;
 }
 
 // Export for debugging
 window.extensionState = extensionState;
+window.runSelectorSelfTest = runSelectorSelfTest;
 
 // Add manual rescan function
 window.rescanBranches = async () => {
@@ -336,16 +685,40 @@ class SimpleUIManager {
     this.isInitialized = false;
     this.uiContainer = null;
     this.tabsContainer = null;
+    this.branchSearch = new BranchSearch();
+    this.searchSeq = 0; // Latest runSearch call; older ones drop their hits
+    this.markdownExporter = new MarkdownExporter({
+      getBranchName: (id) =>
+        extensionState.customizationManager?.getBranchName(id),
+    });
+    this.selectedTreeNodeId = null; // Shift-clicked node used by export
+    this.treeRender = null;
+    this.treeRenderNodeCount = 0; // Live node count the tree view was drawn from
+    this.treeViewSaveTimer = null;
+    this.treeRefreshTimer = null;
+    this.textDiff = new TextDiff();
+    this.compareNodeIds = []; // Variants picked for the side-by-side diff
+    this.diffModal = null;
+  }
+
+  /**
+   * Show or hide the conversation path bar under the page header
+   * @param {boolean} visible - True to show it
+   */
+  setPathBarVisible(visible) {
+    if (this.uiContainer) {
+      this.uiContainer.hidden = !visible;
+    }
   }
 
   async initialize() {
     try {
       // Wait for header to be available
-      await waitForElement("#page-header", 5000);
+      await waitForElement(selectorProfile.getSelector("pageHeader"), 5000);
 
-      const header = document.querySelector("#page-header");
+      const header = selectorProfile.query("pageHeader");
       if (!header) {
-        console.error("Could not find page header");
+        contentLog.error("Could not find page header");
         return false;
       }
 
@@ -390,6 +763,10 @@ class SimpleUIManager {
           flex-shrink: 0;
         }
         
+        .chatgpt-branching-extension[hidden] {
+          display: none;
+        }
+        
         .conversation-path {
           display: flex;
           align-items: center;
@@ -429,6 +806,13 @@ class SimpleUIManager {
           min-width: 0;
         }
         
+        .node-count {
+          color: rgba(255, 255, 255, 0.6);
+          font-size: 11px;
+          font-variant-numeric: tabular-nums;
+          flex-shrink: 0;
+        }
+        
         .nav-button {
           background: rgba(255, 255, 255, 0.1);
           border: 1px solid rgba(255, 255, 255, 0.2);
@@ -934,44 +1318,79 @@ class SimpleUIManager {
       `;
       document.head.appendChild(style);
 
-      // Create a wrapper for the original header content to maintain proper layout
-      const originalChildren = Array.from(header.children);
-
-      // Create wrapper for original content
-      const originalWrapper = document.createElement("div");
-      originalWrapper.className = "original-header-content";
-      originalWrapper.style.cssText = `
-        display: flex !important;
-        align-items: center !important;
-        justify-content: space-between !important;
-        width: 100% !important;
-        flex-shrink: 0 !important;
-      `;
-
-      // Move original children to wrapper
-      originalChildren.forEach((child) => {
-        if (!child.classList.contains("chatgpt-branching-extension")) {
-          originalWrapper.appendChild(child);
-        }
-      });
-
-      // Add wrapper back to header, then add our extension
-      header.appendChild(originalWrapper);
-      header.appendChild(this.uiContainer);
+      this.attachToHeader(header);
 
       this.tabsContainer = this.uiContainer.querySelector("#conversation-path");
 
       // Create floating tree visualization icon
       await this.createVisualizationButton();
 
+      // Page-wide shortcut to open search
+      await this.setupKeyboardShortcuts();
+
       this.isInitialized = true;
       return true;
     } catch (error) {
-      console.error("❌ Failed to initialize UI Manager:", error);
+      contentLog.error("❌ Failed to initialize UI Manager:", error);
       return false;
     }
   }
 
+  /**
+   * Put the path bar under the page header, wrapping the header's own
+   * content so it keeps its layout
+   * @param {Element} header - Page header element
+   */
+  attachToHeader(header) {
+    // Already wrapped (e.g. the path bar was removed by a re-render)
+    if (header.querySelector(":scope > .original-header-content")) {
+      header.appendChild(this.uiContainer);
+      return;
+    }
+
+    // Create a wrapper for the original header content to maintain proper layout
+    const originalChildren = Array.from(header.children);
+
+    // Create wrapper for original content
+    const originalWrapper = document.createElement("div");
+    originalWrapper.className = "original-header-content";
+    originalWrapper.style.cssText = `
+      display: flex !important;
+      align-items: center !important;
+      justify-content: space-between !important;
+      width: 100% !important;
+      flex-shrink: 0 !important;
+    `;
+
+    // Move original children to wrapper
+    originalChildren.forEach((child) => {
+      if (!child.classList.contains("chatgpt-branching-extension")) {
+        originalWrapper.appendChild(child);
+      }
+    });
+
+    // Add wrapper back to header, then add our extension
+    header.appendChild(originalWrapper);
+    header.appendChild(this.uiContainer);
+  }
+
+  /**
+   * Put the path bar back if ChatGPT re-rendered the header (it does when
+   * switching conversations)
+   * @returns {Promise<boolean>} True if the path bar is on the page
+   */
+  async reattach() {
+    if (!this.uiContainer) return false;
+    if (this.uiContainer.isConnected) return true;
+
+    await waitForElement(selectorProfile.getSelector("pageHeader"), 5000);
+    const header = selectorProfile.query("pageHeader");
+    if (!header) return false;
+
+    this.attachToHeader(header);
+    return true;
+  }
+
   /**
    * Create floating visualization button
    */
@@ -993,6 +1412,37 @@ class SimpleUIManager {
     document.body.appendChild(this.vizButton);
   }
 
+  /**
+   * Wire configurable keyboard shortcuts (stored overrides win over defaults)
+   */
+  async setupKeyboardShortcuts() {
+    const tabRenderer = () => extensionState.tabRenderer;
+    this.keyboardController = new KeyboardController({
+      focusPreviousTurn: () => tabRenderer()?.moveKeyboardFocus(-1),
+      focusNextTurn: () => tabRenderer()?.moveKeyboardFocus(1),
+      previousVariant: () => tabRenderer()?.cycleFocusedVariant(-1),
+      nextVariant: () => tabRenderer()?.cycleFocusedVariant(1),
+      jumpToDivergence: () => tabRenderer()?.focusDivergencePoint(),
+      toggleVisualization: () =>
+        this.vizModal?.classList.contains("show")
+          ? this.hideVisualization()
+          : this.showVisualization(),
+      openSearch: () => this.openSearch(),
+    });
+
+    const overrides = await extensionState.storageManager?.loadSetting(
+      "shortcuts",
+      {}
+    );
+    this.keyboardController.setShortcuts(overrides || {});
+    this.keyboardController.attach(document);
+
+    // Edits in the library's shortcut editor apply without a reload
+    extensionState.storageManager?.onSettingChanged("shortcuts", (changed) =>
+      this.keyboardController.setShortcuts(changed || {})
+    );
+  }
+
   /**
    * Show the tree visualization modal
    */
@@ -1020,9 +1470,18 @@ class SimpleUIManager {
       <div class="viz-modal-content">
         <div class="viz-modal-header">
           <h2>Conversation Tree</h2>
+          <input class="viz-search-input" type="search" placeholder="Search all variants..." title="Search every stored variant (Ctrl+Shift+F)" />
+          <div class="viz-export-actions">
+            <button class="viz-export-button" data-export="path" title="Export the shift-clicked path (or the active path) as Markdown">Export path</button>
+            <button class="viz-export-button" data-export="all" title="Export every root-to-leaf path as Markdown">Export all</button>
+            <button class="viz-export-button viz-crawl-button" title="Open every variant of every turn once so the whole tree is known">Discover all branches</button>
+            <button class="viz-export-button viz-diagnostics-button" title="Recent extension events and page structure, for bug reports">Diagnostics</button>
+          </div>
           <button class="viz-close-button">&times;</button>
         </div>
         <div class="viz-modal-body">
+          <div class="viz-search-results" hidden></div>
+          <div class="cb-diagnostics" hidden></div>
           <div id="tree-visualization"></div>
         </div>
       </div>
@@ -1032,6 +1491,46 @@ class SimpleUIManager {
     const closeButton = this.vizModal.querySelector(".viz-close-button");
     closeButton.addEventListener("click", () => this.hideVisualization());
 
+    // Search handlers (debounced so typing stays responsive)
+    const searchInput = this.vizModal.querySelector(".viz-search-input");
+    let searchTimeout = null;
+    searchInput.addEventListener("input", () => {
+      clearTimeout(searchTimeout);
+      searchTimeout = setTimeout(() => this.runSearch(searchInput.value), 150);
+    });
+    searchInput.addEventListener("keydown", (e) => {
+      // Keep keystrokes away from ChatGPT's own shortcuts
+      e.stopPropagation();
+      if (e.key === "Escape") {
+        if (searchInput.value) {
+          searchInput.value = "";
+          this.runSearch("");
+        } else {
+          this.hideVisualization();
+        }
+      } else if (e.key === "Enter") {
+        const firstHit = this.vizModal.querySelector(".viz-search-hit");
+        if (firstHit) firstHit.click();
+      }
+    });
+
+    // Markdown export handlers
+    this.vizModal
+      .querySelectorAll(".viz-export-button[data-export]")
+      .forEach((button) => {
+        button.addEventListener("click", () =>
+          this.exportMarkdown(button.dataset.export)
+        );
+      });
+
+    this.vizModal
+      .querySelector(".viz-crawl-button")
+      .addEventListener("click", () => this.startBranchCrawl());
+
+    this.vizModal
+      .querySelector(".viz-diagnostics-button")
+      .addEventListener("click", () => this.toggleDiagnostics());
+
     this.vizModal.addEventListener("click", (e) => {
       if (e.target === this.vizModal) {
         this.hideVisualization();
@@ -1041,6 +1540,82 @@ class SimpleUIManager {
     document.body.appendChild(this.vizModal);
   }
 
+  /**
+   * Open the visualization modal with the search box focused
+   */
+  async openSearch() {
+    await this.showVisualization();
+    const searchInput = this.vizModal?.querySelector(".viz-search-input");
+    if (searchInput) {
+      searchInput.focus();
+      searchInput.select();
+    }
+  }
+
+  /**
+   * Search every stored variant of the conversation and list the hits
+   * @param {string} query - Search text
+   */
+  async runSearch(query) {
+    const resultsContainer = this.vizModal?.querySelector(
+      ".viz-search-results"
+    );
+    if (!resultsContainer) return;
+
+    // A newer search (or clearing the query) supersedes this one
+    const searchSeq = ++this.searchSeq;
+
+    if (!query || !query.trim()) {
+      resultsContainer.innerHTML = "";
+      resultsContainer.hidden = true;
+      return;
+    }
+
+    // Search the stored lean tree so variants not rendered right now are included
+    const treeState =
+      await extensionState.treeBuilder?.getComprehensiveTreeState(
+        extensionState.conversationId
+      );
+    if (searchSeq !== this.searchSeq) return;
+
+    const hits = this.branchSearch.search(treeState, query);
+    resultsContainer.innerHTML = "";
+    resultsContainer.hidden = false;
+
+    const summary = document.createElement("div");
+    summary.className = "viz-search-summary";
+    summary.textContent =
+      hits.length === 0
+        ? "No matches in any stored variant"
+        : `${hits.length} match${hits.length === 1 ? "" : "es"}`;
+    resultsContainer.appendChild(summary);
+
+    for (const hit of hits) {
+      const item = document.createElement("button");
+      item.className = "viz-search-hit";
+
+      const meta = document.createElement("span");
+      meta.className = "viz-search-hit-meta";
+      meta.textContent = `Turn ${hit.turnIndex + 1} · ${hit.role} · v${
+        hit.variantIndex
+      }`;
+
+      const snippet = document.createElement("span");
+      snippet.className = "viz-search-hit-snippet";
+      const mark = document.createElement("mark");
+      mark.textContent = hit.snippet.match;
+      snippet.append(hit.snippet.before, mark, hit.snippet.after);
+
+      item.appendChild(meta);
+      item.appendChild(snippet);
+      // Switch every ancestor turn so the matching branch becomes visible
+      item.addEventListener("click", () =>
+        this.navigateToPathFromTree(hit.nodeId, treeState)
+      );
+      resultsContainer.appendChild(item);
+    }
+  }
+
   /**
    * Hide the visualization modal
    */
@@ -1053,43 +1628,12 @@ class SimpleUIManager {
 
   /**
    * Render the tree visualization
+   * @param {Object} [viewState] - View to keep (defaults to the saved one)
    */
-  async renderTreeVisualization() {
+  async renderTreeVisualization(viewState = null) {
     const container = document.getElementById("tree-visualization");
     if (!container) return;
 
-    // One-time style injection for D3 viz
-    if (!document.getElementById("chatgpt-branches-d3-style")) {
-      const style = document.createElement("style");
-      style.id = "chatgpt-branches-d3-style";
-      style.textContent = `
-        .cb-tree-wrapper { position:relative; width:100%; height:100%; min-height:560px; }
-        .cb-tree-svg { font:11px/1.2 -apple-system,BlinkMacSystemFont,Segoe UI,Roboto,sans-serif; }
-  .cb-tree-node circle { stroke:#fff; stroke-width:2px; cursor:pointer; }
-  .cb-tree-node circle.cb-hit-area { stroke:none !important; stroke-width:0 !important; fill:transparent !important; }
-        .cb-tree-node circle.user { fill:#34d399; }
-        .cb-tree-node circle.assistant { fill:#4f8ef7; }
-        .cb-tree-node circle.root { fill:#6b7280; }
-        .cb-tree-node circle.inactive { opacity:.45; }
-  .cb-tree-link { fill:none; stroke:rgba(190,210,255,0.55); stroke-width:1.8px; stroke-linecap:round; transition:stroke .18s, stroke-width .18s, stroke-opacity .18s; pointer-events:none; }
-        .cb-tree-link.highlight { stroke:#60a5fa; stroke-width:2.4px; stroke-opacity:0.95; filter:drop-shadow(0 0 4px rgba(96,165,250,0.55)); }
-        .cb-tree-label { pointer-events:none; font-weight:600; color:#fff; text-shadow:0 1px 2px rgba(0,0,0,.6); }
-        .cb-tree-badge { font-size:10px; font-weight:500; fill:#e5e7eb; }
-        .cb-tree-tooltip { position:absolute; pointer-events:none; background:rgba(0,0,0,.85); color:#fff; padding:6px 8px; border-radius:6px; font-size:12px; line-height:1.3; max-width:240px; box-shadow:0 4px 16px rgba(0,0,0,.4); backdrop-filter:blur(6px); }
-        .cb-tree-controls { position:absolute; top:8px; right:8px; display:flex; gap:6px; z-index:10; }
-        .cb-tree-controls button { background:rgba(255,255,255,0.08); color:#fff; border:1px solid rgba(255,255,255,0.2); border-radius:6px; padding:4px 8px; font-size:12px; cursor:pointer; display:flex; align-items:center; gap:4px; }
-        .cb-tree-controls button:hover { background:rgba(255,255,255,0.15); }
-        .cb-tree-legend { position:absolute; bottom:8px; left:8px; background:rgba(0,0,0,0.55); padding:6px 10px; border:1px solid rgba(255,255,255,0.15); border-radius:8px; display:flex; gap:12px; font-size:11px; color:#e5e7eb; }
-        .cb-tree-legend span { display:flex; align-items:center; gap:4px; }
-        .cb-tree-legend i { display:inline-block; width:12px; height:12px; border-radius:50%; }
-        .cb-tree-legend i.user { background:#34d399; }
-        .cb-tree-legend i.assistant { background:#4f8ef7; }
-        .cb-tree-legend i.inactive { background:#6b7280; opacity:.5; }
-        .cb-tree-header { margin-bottom:12px; }
-      `;
-      document.head.appendChild(style);
-    }
-
     // Loading placeholder
     container.innerHTML = `<div class="loading-tree-data"><p>Loading comprehensive tree data...</p></div>`;
 
@@ -1145,7 +1689,11 @@ class SimpleUIManager {
           conversationId
         );
 
+      this.treeRenderNodeCount =
+        extensionState.treeBuilder?.getLeanState().nodeCount ?? 0;
+
       if (!treeState || !treeState.nodes || treeState.nodes.length === 0) {
+        this.treeRender = null;
         container.innerHTML = `<div class="no-tree-data"><p>No conversation tree data available</p><p>Navigate through some conversation variants to build the tree</p></div>`;
         return;
       }
@@ -1174,249 +1722,67 @@ class SimpleUIManager {
         </div>`;
       container.appendChild(header);
 
-      // Wrapper
-      const wrapper = document.createElement("div");
-      wrapper.className = "cb-tree-wrapper";
-      container.appendChild(wrapper);
-
-      // Tooltip
-      const tooltip = document.createElement("div");
-      tooltip.className = "cb-tree-tooltip";
-      tooltip.style.display = "none";
-      wrapper.appendChild(tooltip);
-
-      // Controls
-      const controls = document.createElement("div");
-      controls.className = "cb-tree-controls";
-      controls.innerHTML = `
-        <button data-action="fit" title="Fit to view">Fit</button>
-        <button data-action="reset" title="Reset zoom">Reset</button>
-        <button data-action="expand" title="Expand / Collapse all">Toggle</button>
-      `;
-      wrapper.appendChild(controls);
-
-      // Legend
-      const legend = document.createElement("div");
-      legend.className = "cb-tree-legend";
-      legend.innerHTML = `
-        <span><i class="user"></i>User</span>
-        <span><i class="assistant"></i>Assistant</span>
-        <span><i class="inactive"></i>Inactive Variant</span>
-      `;
-      wrapper.appendChild(legend);
-
-      // -----------------------------
-      // LEAN TREE RENDERING (each variant is a node)
-      // -----------------------------
-      // Expect treeState to be lean: { nodes: [nodeObjects], rootChildren: [] }
-      // Node shape: { id, role, text, turnIndex, variantIndex, children: [childIds], turnId, variantId }
-
-      // const isLean = treeState.isLean || treeState.rootChildren;
-      let rootData;
-      // treeState.nodes is an array of plain node objects
-      console.log("treeState.nodes:", treeState.nodes);
-      const nodeMap = new Map((treeState.nodes || []).map((n) => [n.id, n]));
-      const toHierarchy = (id) => {
-        if (id === "ROOT") {
-          return {
-            id: "ROOT",
-            role: "root",
-            name: "ROOT",
-            children: (treeState.rootChildren || []).map(toHierarchy),
-          };
-        }
-        const n = nodeMap.get(id);
-        if (!n) return { id, name: id, children: [] };
-        return {
-          id: n.id,
-          role: n.role,
-          name: (n.text || n.id).slice(0, 80),
-          turnIndex: n.turnIndex,
-          variantIndex: n.variantIndex,
-          turnId: n.turnId,
-          variantId: n.variantId,
-          isVariant: true,
-          children: (n.children || []).map(toHierarchy),
-        };
-      };
-      rootData = toHierarchy("ROOT");
-
-      function labelWithVariant(d) {
-        const raw = d.name || d.role || d.id || "";
-        return raw.length > 40 ? raw.slice(0, 40).trimEnd() + "…" : raw;
-      }
-
-      const data = rootData;
-      let root = d3.hierarchy(data);
-      root.sort(
-        (a, b) =>
-          d3.ascending(a.data.role || "", b.data.role || "") ||
-          d3.ascending(a.data.name, b.data.name)
+      // Zoom, pan and collapsed subtrees from the last time it was open
+      const metadata = await extensionState.storageManager?.loadMetadata(
+        conversationId
+      );
+      const layout = await extensionState.storageManager?.loadSetting(
+        "treeLayout",
+        null
       );
-      const width = Math.max(928, container.clientWidth - 10);
-      const dx = 90; // vertical separation between siblings (increased)
-      const dy = 140; // horizontal distance per depth; will override using width/(root.height+1) optional
-      const treeLayout = d3.tree().nodeSize([dx, dy]);
-      treeLayout(root);
-
-      // Compute extents for dynamic height
-      let x0 = Infinity;
-      let x1 = -x0;
-      root.each((d) => {
-        if (d.x > x1) x1 = d.x;
-        if (d.x < x0) x0 = d.x;
-      });
-      const height = x1 - x0 + dx * 2;
-
-      const svg = d3
-        .select(wrapper)
-        .append("svg")
-        .attr("class", "cb-tree-svg")
-        .attr("width", width)
-        .attr("height", height)
-        .attr("viewBox", [-(dy / 3), x0 - dx, width, height])
-        .style("max-width", "100%")
-        .style("height", "auto")
-        .style(
-          "background",
-          "linear-gradient(135deg, rgba(255,255,255,0.05), rgba(255,255,255,0.02))"
-        )
-        .style("border", "1px solid rgba(255,255,255,0.08)")
-        .style("border-radius", "12px");
-
-      // GROUPS
-      const gLinks = svg
-        .append("g")
-        .attr("fill", "none")
-        .attr("stroke", "rgba(190,210,255,0.55)")
-        .attr("stroke-opacity", 1)
-        .attr("stroke-width", 1.8)
-        .attr("stroke-linecap", "round");
-      const gNodes = svg
-        .append("g")
-        .attr("stroke-linejoin", "round")
-        .attr("stroke-width", 2);
-
-      // Links
-      const linkPaths = gLinks
-        .selectAll("path")
-        .data(root.links())
-        .join("path")
-        .attr("class", "cb-tree-link")
-        .attr(
-          "d",
-          d3
-            .linkHorizontal()
-            .x((d) => d.y)
-            .y((d) => d.x)
-        );
 
-      // Nodes
-      const node = gNodes
-        .selectAll("g")
-        .data(root.descendants())
-        .join("g")
-        .attr("class", (d) => `cb-tree-node depth-${d.depth}`)
-        .attr("transform", (d) => `translate(${d.y},${d.x})`);
-
-      node
-        .append("circle")
-        .attr("r", 10)
-        .attr("class", (d) => d.data.role || "unknown")
-        .style("cursor", "pointer")
-        .on("click", (event, d) => {
-          event.stopPropagation();
-          // Lean node: navigate using underlying turnId if available
-          const variantIndex = d.data.variantIndex || 1;
-          const navId = d.data.turnId || d.data.id;
-          this.navigateToVariantFromTree(
-            { ...d.data, id: navId },
-            variantIndex
-          );
-        })
-        .on("mouseenter", (event, d) => {
-          // Tooltip disabled per request
-          tooltip.style.display = "none";
-          // Highlight ancestor path links
-          const ancestors = new Set();
-          let cur = d;
-          while (cur.parent) {
-            ancestors.add(cur);
-            cur = cur.parent;
+      // Shared D3 renderer (also used by the branch library page)
+      const visualizer = new TreeVisualizer(d3, {
+        getBranchName: (id) =>
+          extensionState.customizationManager?.getBranchName(id),
+        getBranchColor: (id) =>
+          extensionState.customizationManager?.getBranchColor(id),
+        onNodeClick: (event, d) => {
+          if (!d.data.isVariant) return;
+          // Ctrl/Cmd-click picks variants to compare
+          if (event.ctrlKey || event.metaKey) {
+            this.toggleCompareNode(d.data.id);
+            return;
           }
-          linkPaths.classed("highlight", (l) => ancestors.has(l.target));
-        })
-        .on("mousemove", () => {})
-        .on("mouseleave", () => {
-          tooltip.style.display = "none";
-          linkPaths.classed("highlight", false);
-        });
-
-      // Multiline / wrapped labels using foreignObject (HTML) for easier wrapping
-      const LABEL_WIDTH = 140; // width in px before wrapping (below-node label)
-      const MAX_LINES = 4; // cap lines to avoid huge boxes
-      const LINE_HEIGHT = 1.25; // em
-      const LABEL_HEIGHT = Math.round(MAX_LINES * 14 * LINE_HEIGHT + 8);
-      node
-        .append("foreignObject")
-        .attr("x", -LABEL_WIDTH / 2) // center under node
-        .attr("y", 12) // very close below circle
-        .attr("width", LABEL_WIDTH)
-        .attr("height", LABEL_HEIGHT)
-        .append("xhtml:div")
-        .attr("class", "cb-tree-label")
-        .style("width", LABEL_WIDTH + "px")
-        .style("font-size", "11px")
-        .style("line-height", LINE_HEIGHT)
-        .style("font-weight", "600")
-        .style("text-align", "center")
-        .style("word-break", "break-word")
-        .style("overflow", "hidden")
-        .style("display", "block")
-        .style("pointer-events", "none")
-        .style("padding", "0")
-        .style("border-radius", "0")
-        .style("background", "transparent")
-        .text((d) => labelWithVariant(d.data));
-
-      // Add a larger invisible hit area behind each node to improve clickability
-      node
-        .insert("circle", ":first-child")
-        .attr("class", "cb-hit-area")
-        .attr("r", 16)
-        .attr("fill", "transparent")
-        .style("cursor", "pointer")
-        .on("click", (event, d) => {
-          event.stopPropagation();
-          const variantIndex = d.data.variantIndex || 1;
-          const navId = d.data.turnId || d.data.id;
-          this.navigateToVariantFromTree(
-            { ...d.data, id: navId },
-            variantIndex
-          );
-        });
-
-      // Controls repurposed
-      const refit = () => {
-        // For tidy tree static layout, refit just recenters horizontally using current viewBox
-        // Could add zoom behavior later
-        svg.attr("viewBox", [-(dy / 3), x0 - dx, width, height]);
-      };
-      controls
-        .querySelector('[data-action="fit"]')
-        .addEventListener("click", refit);
-      controls
-        .querySelector('[data-action="reset"]')
-        .addEventListener("click", refit);
-      controls
-        .querySelector('[data-action="expand"]')
-        .addEventListener("click", () => {
-          // Not implementing collapse for tidy version yet; could rebuild with _collapsed markers
-          refit();
-        });
-      refit();
+          // Shift-click picks the path to export instead of navigating
+          if (event.shiftKey) {
+            this.selectTreeNode(
+              d.data.id === this.selectedTreeNodeId ? null : d.data.id
+            );
+            return;
+          }
+          // Lean node: switch every ancestor turn, not just the clicked one
+          this.navigateToPathFromTree(d.data.id, treeState);
+        },
+        onViewStateChange: (viewState) =>
+          this.saveTreeViewState(conversationId, viewState),
+        layout,
+        onLayoutChange: (newLayout) =>
+          extensionState.storageManager?.saveSetting("treeLayout", newLayout),
+        // Nothing detected yet: fall back to the flags stored with the tree
+        getActiveVariantIds: () => {
+          const ids = extensionState.treeBuilder?.getActiveVariantIds() || [];
+          return ids.length > 0 ? ids : null;
+        },
+        // Expanded subtrees bring back nodes without their marks
+        onRender: () => {
+          this.selectTreeNode(this.selectedTreeNodeId);
+          this.refreshCompareMarks();
+        },
+      });
+      this.treeRender = visualizer.render(
+        container,
+        treeState,
+        viewState || metadata?.treeView || null
+      );
+      this.selectTreeNode(
+        treeState.nodes.some((n) => n.id === this.selectedTreeNodeId)
+          ? this.selectedTreeNodeId
+          : null
+      );
+      this.refreshCompareMarks();
     } catch (err) {
-      console.error("Error rendering D3 tree visualization", err);
+      contentLog.error("Error rendering D3 tree visualization", err);
       container.innerHTML = `<div class="error-tree-data"><p>Error loading tree visualization</p><p>${
         (err && err.message) || "Unknown error"
       }</p></div>`;
@@ -1424,30 +1790,603 @@ class SimpleUIManager {
   }
 
   /**
-   * Group nodes for better visualization
-   * @param {Array} nodes - Array of [nodeId, nodeData] pairs
-   * @returns {Array} Array of grouped nodes
+   * Refresh an open tree view soon; detections arrive in bursts
    */
-  groupNodesForVisualization(nodes) {
-    // Sort nodes by turn index and group by conversation flow
-    const sortedNodes = nodes.sort(([, a], [, b]) => {
-      return (a.turnIndex || 0) - (b.turnIndex || 0);
-    });
+  scheduleTreeRefresh() {
+    if (!this.vizModal?.classList.contains("show")) return;
+    clearTimeout(this.treeRefreshTimer);
+    this.treeRefreshTimer = setTimeout(
+      () => this.refreshTreeVisualization(),
+      300
+    );
+  }
 
-    // For now, return all nodes as one group
-    // Future enhancement: group by conversation branches
-    return [sortedNodes];
+  /**
+   * Move the active path highlight to what the page shows now. Redraws the
+   * tree (keeping zoom, layout and collapsed subtrees) when new variants
+   * were discovered since it was drawn.
+   */
+  async refreshTreeVisualization() {
+    if (!this.vizModal?.classList.contains("show")) return;
+    // The crawler switches variants constantly; the view catches up after
+    if (extensionState.branchCrawler?.isRunning) return;
+
+    const nodeCount = extensionState.treeBuilder?.getLeanState().nodeCount ?? 0;
+    if (nodeCount > this.treeRenderNodeCount) {
+      await this.renderTreeVisualization(
+        this.treeRender?.getViewState() || null
+      );
+    } else {
+      this.treeRender?.refreshActivePath();
+    }
   }
 
   /**
-   * Create a tree node element for visualization
+   * Remember the tree view of a conversation. Panning reports every step,
+   * so only the last state of a gesture is written.
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} viewState - { transform, collapsed } from TreeVisualizer
    */
-  createTreeNode(node) {
-    const nodeElement = document.createElement("div");
-    nodeElement.className = "tree-node";
+  saveTreeViewState(conversationId, viewState) {
+    clearTimeout(this.treeViewSaveTimer);
+    this.treeViewSaveTimer = setTimeout(() => {
+      extensionState.storageManager?.saveMetadata(conversationId, {
+        treeView: viewState,
+      });
+    }, 500);
+  }
 
-    // Node header
-    const header = document.createElement("div");
+  /**
+   * Mark a tree node as the export selection (null clears it)
+   * @param {string|null} nodeId - Lean node ID
+   */
+  selectTreeNode(nodeId) {
+    this.selectedTreeNodeId = nodeId || null;
+    this.treeRender?.svg
+      .selectAll(".cb-tree-node")
+      .classed("cb-selected", (d) => d.data.id === this.selectedTreeNodeId);
+  }
+
+  /**
+   * Export branch paths of the current conversation as a Markdown file
+   * @param {string} mode - "path" (selected or active path) or "all" (every leaf path)
+   */
+  async exportMarkdown(mode) {
+    const conversationId = extensionState.conversationId;
+    try {
+      const treeState =
+        await extensionState.treeBuilder?.getComprehensiveTreeState(
+          conversationId
+        );
+      if (!treeState || !treeState.nodes || treeState.nodes.length === 0) {
+        this.showToast("No tree data to export yet", "warning");
+        return;
+      }
+
+      const exporter = this.markdownExporter;
+      let paths;
+      if (mode === "all") {
+        paths = exporter.getAllLeafPaths(treeState);
+      } else if (this.selectedTreeNodeId) {
+        paths = [
+          exporter.getPathThroughNode(treeState, this.selectedTreeNodeId),
+        ];
+      } else {
+        paths = [exporter.getActivePath(treeState)];
+      }
+      paths = paths.filter((path) => path.length > 0);
+
+      if (paths.length === 0) {
+        this.showToast("No path to export", "warning");
+        return;
+      }
+
+      const markdown = exporter.toMarkdown(treeState, paths, {
+        title: document.title,
+        conversationId,
+      });
+      exporter.download(
+        markdown,
+        `chatgpt-${conversationId || "conversation"}-${
+          mode === "all" ? "all-paths" : "path"
+        }.md`
+      );
+      this.showToast(
+        `Exported ${paths.length} path${paths.length === 1 ? "" : "s"}`,
+        "success"
+      );
+    } catch (error) {
+      contentLog.error("Failed to export Markdown:", error);
+      this.showToast("Markdown export failed", "error");
+    }
+  }
+
+  /**
+   * Pick or unpick a variant for comparison. Once two variants of the same
+   * turn are picked, the diff opens.
+   * @param {string} nodeId - Lean node ID ("<turnId>_v<n>")
+   */
+  toggleCompareNode(nodeId) {
+    const turnOf = (id) => String(id).replace(/_v\d+$/, "");
+
+    if (this.compareNodeIds.includes(nodeId)) {
+      this.compareNodeIds = this.compareNodeIds.filter((id) => id !== nodeId);
+    } else {
+      // A pick from another turn starts a new comparison
+      this.compareNodeIds = this.compareNodeIds.filter(
+        (id) => turnOf(id) === turnOf(nodeId)
+      );
+      this.compareNodeIds.push(nodeId);
+    }
+
+    if (this.compareNodeIds.length === 2) {
+      const [leftId, rightId] = this.compareNodeIds;
+      this.compareNodeIds = [];
+      this.showVariantDiff(leftId, rightId);
+    } else if (this.compareNodeIds.length === 1) {
+      this.showToast("Pick another variant of this turn to compare", "info");
+    }
+
+    this.refreshCompareMarks();
+  }
+
+  /**
+   * Mark picked compare variants in the tree and the branch menus
+   */
+  refreshCompareMarks() {
+    this.treeRender?.svg
+      .selectAll(".cb-tree-node")
+      .classed("cb-compare", (d) => this.compareNodeIds.includes(d.data.id));
+    document
+      .querySelectorAll(".branch-item[data-variant-id]")
+      .forEach((item) =>
+        item.classList.toggle(
+          "compare-selected",
+          this.compareNodeIds.includes(item.dataset.variantId)
+        )
+      );
+  }
+
+  /**
+   * Create the variant diff modal
+   */
+  createDiffModal() {
+    this.diffModal = document.createElement("div");
+    this.diffModal.className = "chatgpt-viz-modal cb-diff-modal";
+    this.diffModal.innerHTML = `
+      <div class="viz-modal-content">
+        <div class="viz-modal-header">
+          <h2>Compare Variants</h2>
+          <label class="cb-diff-downstream">
+            <input type="checkbox" />
+            Include downstream turns
+          </label>
+          <button class="viz-close-button">&times;</button>
+        </div>
+        <div class="viz-modal-body cb-diff-body"></div>
+      </div>
+    `;
+
+    this.diffModal
+      .querySelector(".viz-close-button")
+      .addEventListener("click", () => this.hideVariantDiff());
+    this.diffModal
+      .querySelector(".cb-diff-downstream input")
+      .addEventListener("change", () => this.renderVariantDiff());
+    this.diffModal.addEventListener("click", (e) => {
+      if (e.target === this.diffModal) this.hideVariantDiff();
+    });
+    this.diffModal.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") this.hideVariantDiff();
+    });
+
+    document.body.appendChild(this.diffModal);
+  }
+
+  /**
+   * Show a word-level diff of two variants of the same turn
+   * @param {string} leftId - Lean node ID of the first variant
+   * @param {string} rightId - Lean node ID of the second variant
+   */
+  async showVariantDiff(leftId, rightId) {
+    if (!this.diffModal) {
+      this.createDiffModal();
+    }
+
+    // Keep the lower variant number on the left
+    const variantNumber = (id) => Number(String(id).match(/_v(\d+)$/)?.[1]);
+    this.diffPair =
+      variantNumber(leftId) > variantNumber(rightId)
+        ? [rightId, leftId]
+        : [leftId, rightId];
+
+    this.diffModal.classList.add("show");
+    document.body.style.overflow = "hidden";
+    await this.renderVariantDiff();
+  }
+
+  /**
+   * Hide the variant diff modal
+   */
+  hideVariantDiff() {
+    if (!this.diffModal) return;
+    this.diffModal.classList.remove("show");
+    // The tree modal may still be open underneath
+    if (!this.vizModal?.classList.contains("show")) {
+      document.body.style.overflow = "";
+    }
+  }
+
+  /**
+   * Render the diff of the current pair, optionally with the turns that
+   * follow each variant (active or first child at every step)
+   */
+  async renderVariantDiff() {
+    const body = this.diffModal?.querySelector(".cb-diff-body");
+    if (!body || !this.diffPair) return;
+
+    const includeDownstream = this.diffModal.querySelector(
+      ".cb-diff-downstream input"
+    ).checked;
+
+    try {
+      const treeState =
+        await extensionState.treeBuilder?.getComprehensiveTreeState(
+          extensionState.conversationId
+        );
+      const exporter = this.markdownExporter;
+      const nodeMap = new Map((treeState?.nodes || []).map((n) => [n.id, n]));
+      const [leftId, rightId] = this.diffPair;
+
+      if (!nodeMap.has(leftId) || !nodeMap.has(rightId)) {
+        body.innerHTML = `<div class="no-tree-data"><p>These variants are not in the stored tree</p></div>`;
+        return;
+      }
+
+      // Each side: the variant itself, then its downstream path
+      const sideOf = (nodeId) => {
+        if (!includeDownstream) return [nodeMap.get(nodeId)];
+        const path = exporter.getPathThroughNode(treeState, nodeId);
+        return path.slice(path.findIndex((n) => n.id === nodeId));
+      };
+      const left = sideOf(leftId);
+      const right = sideOf(rightId);
+
+      body.innerHTML = "";
+      const columns = document.createElement("div");
+      columns.className = "cb-diff-columns cb-diff-titles";
+      columns.append(
+        this.createDiffTitle(left[0]),
+        this.createDiffTitle(right[0])
+      );
+      body.appendChild(columns);
+
+      const totals = { added: 0, removed: 0, unchanged: 0 };
+      for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const section = this.createDiffSection(left[i], right[i]);
+        body.appendChild(section.element);
+        for (const key of Object.keys(totals))
+          totals[key] += section.stats[key];
+      }
+
+      const summary = document.createElement("div");
+      summary.className = "cb-diff-summary";
+      summary.textContent = `${totals.removed} word${
+        totals.removed === 1 ? "" : "s"
+      } only on the left · ${totals.added} word${
+        totals.added === 1 ? "" : "s"
+      } only on the right · ${totals.unchanged} shared`;
+      body.insertBefore(summary, body.firstChild);
+    } catch (error) {
+      contentLog.error("Failed to render variant diff:", error);
+      body.innerHTML = `<div class="error-tree-data"><p>Could not compare these variants</p></div>`;
+    }
+  }
+
+  /**
+   * Build a column title for one side of the diff
+   * @param {Object} node - Lean node of the compared variant
+   * @returns {Element} Title element
+   */
+  createDiffTitle(node) {
+    const title = document.createElement("div");
+    title.className = "cb-diff-title";
+    const name = extensionState.customizationManager?.getBranchName(node.id);
+    title.textContent = `Variant ${node.variantIndex}${
+      name ? ` · ${name}` : ""
+    }`;
+    const color = extensionState.customizationManager?.getBranchColor(node.id);
+    if (color) title.style.setProperty("--branch-color", color);
+    return title;
+  }
+
+  /**
+   * Build one turn of the side-by-side diff
+   * @param {Object} [leftNode] - Lean node on the left (missing if the path ended)
+   * @param {Object} [rightNode] - Lean node on the right
+   * @returns {{element: Element, stats: Object}} Section and word counts
+   */
+  createDiffSection(leftNode, rightNode) {
+    const section = document.createElement("div");
+    section.className = "cb-diff-section";
+
+    const reference = leftNode || rightNode;
+    const heading = document.createElement("div");
+    heading.className = "cb-diff-heading";
+    heading.textContent = `Turn ${reference.turnIndex + 1} · ${
+      reference.role === "user" ? "User" : "Assistant"
+    }`;
+    section.appendChild(heading);
+
+    const leftText = this.markdownExporter.getCapturedText(leftNode);
+    const rightText = this.markdownExporter.getCapturedText(rightNode);
+    const ops = this.textDiff.diff(leftText || "", rightText || "");
+
+    const columns = document.createElement("div");
+    columns.className = "cb-diff-columns";
+    columns.append(
+      this.createDiffColumn(ops, "delete", leftNode, leftText),
+      this.createDiffColumn(ops, "insert", rightNode, rightText)
+    );
+    section.appendChild(columns);
+
+    return { element: section, stats: this.textDiff.getStats(ops) };
+  }
+
+  /**
+   * Build one side of a diff section
+   * @param {Array} ops - Diff operations
+   * @param {string} changeType - Operation type shown on this side
+   * @param {Object} [node] - Lean node on this side
+   * @param {string|null} text - Captured text of the node
+   * @returns {Element} Column element
+   */
+  createDiffColumn(ops, changeType, node, text) {
+    const column = document.createElement("div");
+    column.className = "cb-diff-text";
+
+    if (!node || text == null) {
+      column.classList.add("cb-diff-empty");
+      column.textContent = !node
+        ? "(Path ends here)"
+        : "(Text not captured - open this variant in ChatGPT first)";
+      return column;
+    }
+
+    for (const op of ops) {
+      if (op.type === "equal") {
+        column.appendChild(document.createTextNode(op.text));
+      } else if (op.type === changeType) {
+        const mark = document.createElement(
+          changeType === "delete" ? "del" : "ins"
+        );
+        mark.textContent = op.text;
+        column.appendChild(mark);
+      }
+    }
+
+    return column;
+  }
+
+  /**
+   * Visit every variant of the conversation with the branch crawler while
+   * showing progress and a cancel button
+   */
+  async startBranchCrawl() {
+    const crawler = extensionState.branchCrawler;
+    if (!crawler) return;
+    if (crawler.isRunning) {
+      this.showToast("Branch discovery is already running", "warning");
+      return;
+    }
+
+    // The page must stay visible while variants are switched
+    this.hideVisualization();
+
+    const panel = document.createElement("div");
+    panel.className = "cb-crawl-progress";
+    panel.innerHTML = `
+      <div class="cb-crawl-text">Discovering branches...</div>
+      <div class="cb-crawl-bar"><div class="cb-crawl-bar-fill"></div></div>
+      <button class="cb-crawl-cancel">Cancel</button>
+    `;
+    const text = panel.querySelector(".cb-crawl-text");
+    const fill = panel.querySelector(".cb-crawl-bar-fill");
+    const cancelButton = panel.querySelector(".cb-crawl-cancel");
+    cancelButton.addEventListener("click", () => {
+      crawler.cancel();
+      cancelButton.disabled = true;
+      text.textContent = "Cancelling - restoring your path...";
+    });
+    document.body.appendChild(panel);
+
+    const result = await crawler.crawl({
+      onProgress: (progress) => {
+        fill.style.width = `${Math.round(progress.fraction * 100)}%`;
+        if (crawler.cancelRequested) return;
+        text.textContent =
+          progress.phase === "restoring"
+            ? "Restoring your path..."
+            : `${progress.statesVisited} state${
+                progress.statesVisited === 1 ? "" : "s"
+              } · turn ${progress.turnIndex + 1}, variant ${
+                progress.variantIndex
+              }/${progress.totalVariants}`;
+      },
+    });
+
+    panel.remove();
+    await renderTabsFromTree();
+    this.scheduleTreeRefresh();
+
+    const states = `${result.statesVisited} state${
+      result.statesVisited === 1 ? "" : "s"
+    }`;
+    const restoreNote = result.restored
+      ? ""
+      : " - could not restore the original path";
+    const messages = {
+      completed: [
+        `Discovered all branches (${states})${restoreNote}`,
+        "success",
+      ],
+      cancelled: [
+        `Branch discovery cancelled after ${states}${restoreNote}`,
+        "info",
+      ],
+      limit: [
+        `Stopped after ${states} (limit reached)${restoreNote}`,
+        "warning",
+      ],
+      failed: [
+        `Branch discovery stopped: ${result.error || "unknown error"}`,
+        "error",
+      ],
+    };
+    this.showToast(...messages[result.status]);
+  }
+
+  /**
+   * Show or hide the diagnostics panel above the tree
+   */
+  toggleDiagnostics() {
+    const panel = this.vizModal.querySelector(".cb-diagnostics");
+    panel.hidden = !panel.hidden;
+    if (!panel.hidden) this.renderDiagnostics(panel);
+  }
+
+  /**
+   * Render recent log events and the page structure report
+   * @param {Element} panel - Diagnostics panel
+   */
+  renderDiagnostics(panel) {
+    panel.innerHTML = `
+      <div class="cb-diagnostics-actions">
+        <span class="cb-diagnostics-title">Recent events</span>
+        <button class="cb-diagnostics-button" data-action="refresh">Refresh</button>
+        <button class="cb-diagnostics-button" data-action="copy">Copy report</button>
+      </div>
+      <div class="cb-diagnostics-events"></div>
+      <details class="cb-diagnostics-details" data-section="metrics">
+        <summary>Scan timings</summary>
+        <pre></pre>
+      </details>
+      <details class="cb-diagnostics-details" data-section="structure">
+        <summary>Page structure</summary>
+        <pre></pre>
+      </details>
+    `;
+
+    panel
+      .querySelector('[data-action="refresh"]')
+      .addEventListener("click", () => this.renderDiagnostics(panel));
+    panel
+      .querySelector('[data-action="copy"]')
+      .addEventListener("click", () => this.copyDiagnosticsReport());
+
+    const eventList = panel.querySelector(".cb-diagnostics-events");
+    const entries = debugLogger.getEntries().reverse(); // Newest first
+    if (entries.length === 0) {
+      eventList.textContent = "No events recorded yet";
+    }
+    for (const entry of entries) {
+      const row = document.createElement("div");
+      row.className = `cb-diagnostics-event level-${entry.level}`;
+      row.textContent = `${new Date(entry.time).toLocaleTimeString()} ${
+        entry.level
+      } [${entry.namespace}] ${entry.message}`;
+      if (entry.data.length > 0) {
+        row.title = JSON.stringify(entry.data, null, 2);
+      }
+      eventList.appendChild(row);
+    }
+
+    panel.querySelector('[data-section="metrics"] pre').textContent =
+      JSON.stringify(
+        extensionState.performanceMonitor?.getMetrics() || {},
+        null,
+        2
+      );
+    panel.querySelector('[data-section="structure"] pre').textContent =
+      JSON.stringify(debugPageStructure(), null, 2);
+  }
+
+  /**
+   * Build a plain-text report for bug reports
+   * @returns {string} Report
+   */
+  buildDiagnosticsReport() {
+    const lines = [
+      "ChatGPT Branching Extension - diagnostics report",
+      `Version: ${chrome.runtime?.getManifest?.().version || "unknown"}`,
+      `Time: ${new Date().toISOString()}`,
+      `Browser: ${navigator.userAgent}`,
+      `Conversation: ${extensionState.conversationId || "none"}`,
+      `Tree nodes: ${
+        extensionState.treeBuilder?.getLeanState().nodeCount ?? 0
+      }`,
+      `Preferences: ${JSON.stringify(
+        extensionState.preferencesManager?.getAll() || {}
+      )}`,
+      "",
+      "## Recent events",
+    ];
+
+    for (const entry of debugLogger.getEntries()) {
+      lines.push(
+        `${new Date(entry.time).toISOString()} ${entry.level.toUpperCase()} [${
+          entry.namespace
+        }] ${entry.message}${
+          entry.data.length > 0 ? ` ${JSON.stringify(entry.data)}` : ""
+        }`
+      );
+    }
+
+    lines.push("", "## Scan timings");
+    lines.push(
+      JSON.stringify(extensionState.performanceMonitor?.getMetrics() || {})
+    );
+
+    lines.push("", "## Page structure");
+    lines.push(JSON.stringify(debugPageStructure(), null, 2));
+    return lines.join("\n");
+  }
+
+  async copyDiagnosticsReport() {
+    try {
+      await navigator.clipboard.writeText(this.buildDiagnosticsReport());
+      this.showToast("Diagnostics report copied", "success");
+    } catch (error) {
+      contentLog.error("Failed to copy diagnostics report:", error);
+      this.showToast("Could not copy the report", "error");
+    }
+  }
+
+  /**
+   * Group nodes for better visualization
+   * @param {Array} nodes - Array of [nodeId, nodeData] pairs
+   * @returns {Array} Array of grouped nodes
+   */
+  groupNodesForVisualization(nodes) {
+    // Sort nodes by turn index and group by conversation flow
+    const sortedNodes = nodes.sort(([, a], [, b]) => {
+      return (a.turnIndex || 0) - (b.turnIndex || 0);
+    });
+
+    // For now, return all nodes as one group
+    // Future enhancement: group by conversation branches
+    return [sortedNodes];
+  }
+
+  /**
+   * Create a tree node element for visualization
+   */
+  createTreeNode(node) {
+    const nodeElement = document.createElement("div");
+    nodeElement.className = "tree-node";
+
+    // Node header
+    const header = document.createElement("div");
     header.className = "tree-node-header";
     header.innerHTML = `
       <span class="node-role">${node.role || "Unknown"}</span>
@@ -1507,6 +2446,79 @@ class SimpleUIManager {
     return nodeElement;
   }
 
+  /**
+   * Navigate to a lean node from the tree view by switching its whole path
+   * @param {string} nodeId - Lean node (variant) ID
+   * @param {Object} treeState - Lean tree state containing the node
+   * @returns {Promise<Object|null>} Path navigation result
+   */
+  async navigateToPathFromTree(nodeId, treeState) {
+    // Hide the modal first
+    this.hideVisualization();
+
+    if (!extensionState.navigationController) return null;
+
+    const result = await extensionState.navigationController.navigateToPath(
+      nodeId,
+      treeState
+    );
+
+    if (result.status === "success") {
+      this.showToast("Switched to the selected branch", "success");
+    } else if (result.status === "partial") {
+      this.showToast(
+        `Switched ${result.completedTurns} of ${
+          result.totalTurns
+        } turns; stuck at turn ${result.stuckAt.turnIndex + 1}: ${
+          result.stuckAt.reason
+        }`,
+        "warning"
+      );
+    } else {
+      contentLog.error("Path navigation from tree view failed:", result);
+      this.showToast(
+        result.stuckAt
+          ? `Could not switch turn ${result.stuckAt.turnIndex + 1}: ${
+              result.stuckAt.reason
+            }`
+          : "Could not find a path to this branch",
+        "error"
+      );
+    }
+
+    // Bring the target (or the turn where navigation stopped) into view
+    const focusTurnIndex =
+      result.stuckAt?.turnIndex ??
+      result.path?.[result.path.length - 1]?.turnIndex;
+    const turn =
+      focusTurnIndex != null
+        ? extensionState.navigationController.findLiveTurn(focusTurnIndex)
+        : null;
+    if (turn) {
+      this.scrollToNode(turn);
+    }
+
+    return result;
+  }
+
+  /**
+   * Show a short-lived notification in the corner of the page
+   * @param {string} message - Message text
+   * @param {string} type - success, warning, error or info
+   */
+  showToast(message, type = "info") {
+    const toast = document.createElement("div");
+    toast.className = `chatgpt-branch-toast ${type}`;
+    toast.textContent = message;
+    document.body.appendChild(toast);
+
+    setTimeout(() => toast.classList.add("show"), 0);
+    setTimeout(() => {
+      toast.classList.remove("show");
+      setTimeout(() => toast.remove(), 300);
+    }, 4000);
+  }
+
   /**
    * Navigate to variant from tree view
    */
@@ -1526,7 +2538,7 @@ class SimpleUIManager {
         );
       if (success) {
       } else {
-        console.error("Navigation from tree view failed");
+        contentLog.error("Navigation from tree view failed");
       }
     }
   }
@@ -1551,11 +2563,22 @@ class SimpleUIManager {
 class SimpleTabRenderer {
   constructor() {
     this.activeNodeId = null;
+    this.isEditing = false;
+    this.hasPendingRender = false;
+    this.colorPalette = null;
+    this.pathEntries = []; // [{ node, element }] in path order
+    this.focusedTurnIndex = null; // Turn holding the keyboard focus ring
   }
 
   async renderConversationPath(treeState) {
     if (!extensionState.uiManager?.tabsContainer) {
-      console.warn("No tabs container available");
+      contentLog.warn("No tabs container available");
+      return;
+    }
+
+    // Re-rendering would destroy an open rename input; defer until it closes
+    if (this.isEditing) {
+      this.hasPendingRender = true;
       return;
     }
 
@@ -1566,6 +2589,7 @@ class SimpleTabRenderer {
 
     // Clear container
     container.innerHTML = "";
+    this.pathEntries = [];
 
     if (conversationPath.length === 0) {
       // Show a message when no conversation is detected
@@ -1590,6 +2614,7 @@ class SimpleTabRenderer {
       // Add node with navigation buttons
       const nodeElement = document.createElement("div");
       nodeElement.className = "path-node";
+      nodeElement.tabIndex = -1; // Focusable by keyboard shortcuts only
       if ((node.totalVariants || 1) > 1) {
         nodeElement.classList.add("has-branches");
       }
@@ -1622,13 +2647,26 @@ class SimpleTabRenderer {
         nodeContent.appendChild(prevButton);
       }
 
-      // Add main text content
+      // Add main text content (custom branch name wins over the preview)
+      const activeVariantId = this.getActiveVariantId(node);
+      const customName =
+        extensionState.customizationManager?.getBranchName(activeVariantId);
       const textContent = document.createElement("span");
       textContent.className = "node-text";
       const previewText = this.getNodePreview(node);
-      textContent.textContent = previewText;
+      textContent.textContent = customName || previewText;
       nodeContent.appendChild(textContent);
 
+      if (
+        (node.totalVariants || 1) > 1 &&
+        extensionState.preferencesManager?.get("showBranchCounts") !== false
+      ) {
+        const count = document.createElement("span");
+        count.className = "node-count";
+        count.textContent = `${node.currentVariant || 1}/${node.totalVariants}`;
+        nodeContent.appendChild(count);
+      }
+
       // Add next button for multi-variant nodes
       if ((node.totalVariants || 1) > 1) {
         const currentVariant = node.currentVariant || 1;
@@ -1656,9 +2694,20 @@ class SimpleTabRenderer {
       nodeElement.appendChild(nodeContent);
 
       // Set title and click handler for scrolling
-      nodeElement.title = `${node.role || "Unknown"} message (${
-        node.currentVariant || 1
-      }/${node.totalVariants || 1}): ${previewText}`;
+      nodeElement.title = `${customName ? `${customName} - ` : ""}${
+        node.role || "Unknown"
+      } message (${node.currentVariant || 1}/${
+        node.totalVariants || 1
+      }): ${previewText}`;
+
+      // Custom color, double-click rename and right-click color palette
+      this.applyBranchColor(nodeElement, activeVariantId);
+      this.attachCustomizationHandlers(
+        nodeElement,
+        textContent,
+        activeVariantId,
+        previewText
+      );
 
       // Add click handler to scroll to the node in conversation
       nodeElement.addEventListener("click", (e) => {
@@ -1673,7 +2722,11 @@ class SimpleTabRenderer {
       }
 
       container.appendChild(nodeElement);
+      this.pathEntries.push({ node, element: nodeElement });
     });
+
+    // Keep the focus ring on the same turn across re-renders
+    this.applyKeyboardFocus(false);
   }
 
   buildConversationPath(treeState) {
@@ -1748,7 +2801,7 @@ class SimpleTabRenderer {
         let text = contentEl.textContent?.trim() || "";
 
         // Skip if it's just navigation text like "1/2"
-        if (/^\d+\/\d+$/.test(text.trim())) {
+        if (parseVariantCounter(text)) {
           continue;
         }
 
@@ -1819,11 +2872,133 @@ class SimpleTabRenderer {
         );
       if (success) {
       } else {
-        console.error("Navigation failed");
+        contentLog.error("Navigation failed");
       }
     }
   }
 
+  /**
+   * Move the keyboard focus ring between turns of the path bar
+   * @param {number} delta - -1 for the previous turn, 1 for the next
+   */
+  moveKeyboardFocus(delta) {
+    if (this.pathEntries.length === 0) return;
+
+    const current = this.getFocusedEntryIndex();
+    const target =
+      current === -1
+        ? delta > 0
+          ? 0
+          : this.pathEntries.length - 1
+        : Math.min(Math.max(current + delta, 0), this.pathEntries.length - 1);
+
+    this.setKeyboardFocus(target);
+  }
+
+  /**
+   * Index of the focused turn in pathEntries
+   * @returns {number} Index or -1 when nothing is focused
+   */
+  getFocusedEntryIndex() {
+    if (this.focusedTurnIndex === null) return -1;
+    return this.pathEntries.findIndex(
+      ({ node }) => (node.turnIndex || 0) === this.focusedTurnIndex
+    );
+  }
+
+  /**
+   * Focus a path entry and scroll its message into view
+   * @param {number} index - Index in pathEntries
+   */
+  setKeyboardFocus(index) {
+    const entry = this.pathEntries[index];
+    if (!entry) return;
+
+    this.focusedTurnIndex = entry.node.turnIndex || 0;
+    this.applyKeyboardFocus(true);
+    this.scrollToNode(entry.node);
+  }
+
+  /**
+   * Show the focus ring on the focused turn
+   * @param {boolean} moveFocus - Also move DOM focus to the element
+   */
+  applyKeyboardFocus(moveFocus) {
+    const focusedIndex = this.getFocusedEntryIndex();
+
+    this.pathEntries.forEach(({ element }, index) => {
+      const isFocused = index === focusedIndex;
+      element.classList.toggle("keyboard-focus", isFocused);
+      if (isFocused && moveFocus) {
+        element.focus({ preventScroll: true });
+        element.scrollIntoView({ block: "nearest", inline: "nearest" });
+      }
+    });
+  }
+
+  /**
+   * Switch the focused turn to its previous or next variant
+   * @param {number} direction - -1 for previous, 1 for next
+   */
+  async cycleFocusedVariant(direction) {
+    const entry = this.pathEntries[this.getFocusedEntryIndex()];
+    if (!entry) {
+      extensionState.uiManager?.showToast(
+        "Focus a turn in the path bar first",
+        "info"
+      );
+      return;
+    }
+
+    const { node } = entry;
+    const totalVariants = node.totalVariants || 1;
+    const targetVariant = (node.currentVariant || 1) + direction;
+
+    // Same bounds as the ‹ › buttons: no wrap-around
+    if (
+      totalVariants <= 1 ||
+      targetVariant < 1 ||
+      targetVariant > totalVariants
+    ) {
+      return;
+    }
+
+    const success =
+      await extensionState.navigationController?.navigateToVariant(
+        node.id,
+        targetVariant
+      );
+    if (!success) {
+      contentLog.error("Keyboard variant navigation failed");
+    }
+  }
+
+  /**
+   * Focus the closest branch point above the focused turn (wrapping to the
+   * deepest one), i.e. where the current path diverged
+   */
+  focusDivergencePoint() {
+    const branchIndexes = this.pathEntries
+      .map(({ node }, index) => ((node.totalVariants || 1) > 1 ? index : -1))
+      .filter((index) => index !== -1);
+
+    if (branchIndexes.length === 0) {
+      extensionState.uiManager?.showToast(
+        "No branch points in this conversation",
+        "info"
+      );
+      return;
+    }
+
+    const current = this.getFocusedEntryIndex();
+    const before = branchIndexes.filter((index) => index < current);
+    this.setKeyboardFocus(
+      before.length > 0
+        ? before[before.length - 1]
+        : branchIndexes[branchIndexes.length - 1]
+    );
+  }
+
   /**
    * Scroll to the node in the conversation
    * @param {Object} node - Node data
@@ -1846,7 +3021,7 @@ class SimpleTabRenderer {
         node.element.style.backgroundColor = originalBg;
       }, 1000);
     } else {
-      console.warn("Node element not found or not connected to DOM");
+      contentLog.warn("Node element not found or not connected to DOM");
     }
   }
 
@@ -1879,18 +3054,30 @@ class SimpleTabRenderer {
         variantLabel.className = "variant-label";
         variantLabel.textContent = `${branch.variantIndex}`;
 
+        const variantId = branch.id || `${node.id}_v${branch.variantIndex}`;
         const itemText = document.createElement("span");
         itemText.className = "branch-text";
         const displayText =
           branch.userPrompt ||
           branch.preview ||
           `Variant ${branch.variantIndex}`;
-        itemText.textContent = displayText;
+        itemText.textContent =
+          extensionState.customizationManager?.getBranchName(variantId) ||
+          displayText;
         itemText.title = displayText;
 
         itemContent.appendChild(variantLabel);
         itemContent.appendChild(itemText);
         item.appendChild(itemContent);
+        this.addCompareToggle(item, variantId);
+
+        this.applyBranchColor(item, variantId);
+        this.attachCustomizationHandlers(
+          item,
+          itemText,
+          variantId,
+          displayText
+        );
 
         // Add sub-branches indicator if they exist
         if (branch.nodes && branch.nodes.length > 0) {
@@ -1900,10 +3087,7 @@ class SimpleTabRenderer {
           item.appendChild(subIndicator);
         }
 
-        item.addEventListener("click", async (e) => {
-          e.preventDefault();
-          e.stopPropagation();
-
+        this.addDelayedClickHandler(item, async () => {
           // Hide menu immediately
           menu.classList.remove("show");
 
@@ -1929,18 +3113,27 @@ class SimpleTabRenderer {
         variantLabel.className = "variant-label";
         variantLabel.textContent = `${i}`;
 
+        const variantId = `${node.id}_v${i}`;
         const itemText = document.createElement("span");
         itemText.className = "branch-text";
-        itemText.textContent = `Variant ${i}`;
+        itemText.textContent =
+          extensionState.customizationManager?.getBranchName(variantId) ||
+          `Variant ${i}`;
 
         itemContent.appendChild(variantLabel);
         itemContent.appendChild(itemText);
         item.appendChild(itemContent);
+        this.addCompareToggle(item, variantId);
+
+        this.applyBranchColor(item, variantId);
+        this.attachCustomizationHandlers(
+          item,
+          itemText,
+          variantId,
+          `Variant ${i}`
+        );
 
-        item.addEventListener("click", async (e) => {
-          e.preventDefault();
-          e.stopPropagation();
-
+        this.addDelayedClickHandler(item, async () => {
           // Hide menu immediately
           menu.classList.remove("show");
 
@@ -1961,7 +3154,7 @@ class SimpleTabRenderer {
 
     nodeElement.addEventListener("mouseleave", () => {
       setTimeout(() => {
-        if (!menu.matches(":hover")) {
+        if (!menu.matches(":hover") && !this.isEditingWithin(menu)) {
           menu.classList.remove("show");
         }
       }, 150);
@@ -1970,8 +3163,286 @@ class SimpleTabRenderer {
     menu.addEventListener("mouseenter", () => {});
 
     menu.addEventListener("mouseleave", () => {
-      menu.classList.remove("show");
+      if (!this.isEditingWithin(menu)) {
+        menu.classList.remove("show");
+      }
+    });
+  }
+
+  /**
+   * Add a button that picks a menu variant for the side-by-side diff
+   * @param {Element} item - Branch menu item
+   * @param {string} variantId - Variant node ID
+   */
+  addCompareToggle(item, variantId) {
+    const uiManager = extensionState.uiManager;
+    if (!uiManager) return;
+
+    item.dataset.variantId = variantId;
+    item.classList.toggle(
+      "compare-selected",
+      uiManager.compareNodeIds.includes(variantId)
+    );
+
+    const toggle = document.createElement("button");
+    toggle.className = "branch-compare-toggle";
+    toggle.textContent = "⇄";
+    toggle.title = "Compare with another variant of this turn";
+    toggle.addEventListener("click", (e) => {
+      // Keep the item's navigation handler from firing
+      e.preventDefault();
+      e.stopPropagation();
+      uiManager.toggleCompareNode(variantId);
+    });
+    toggle.addEventListener("dblclick", (e) => e.stopPropagation());
+    item.appendChild(toggle);
+  }
+
+  /**
+   * Get the variant ID of the branch currently shown for a turn
+   * @param {Object} node - Node data
+   * @returns {string} Active variant ID
+   */
+  getActiveVariantId(node) {
+    return node.activeVariantId || `${node.id}_v${node.currentVariant || 1}`;
+  }
+
+  /**
+   * Apply a branch's custom color to a tab or menu item
+   * @param {Element} element - Element to color
+   * @param {string} variantId - Variant node ID
+   */
+  applyBranchColor(element, variantId) {
+    const color =
+      extensionState.customizationManager?.getBranchColor(variantId);
+    if (color) {
+      element.classList.add("has-custom-color");
+      element.style.setProperty("--branch-color", color);
+    } else {
+      element.classList.remove("has-custom-color");
+      element.style.removeProperty("--branch-color");
+    }
+  }
+
+  /**
+   * Wire double-click rename and right-click color palette on an element
+   * @param {Element} element - Tab or menu item element
+   * @param {Element} textElement - Element holding the displayed name
+   * @param {string} variantId - Variant node ID
+   * @param {string} fallbackText - Text shown when no custom name is set
+   */
+  attachCustomizationHandlers(element, textElement, variantId, fallbackText) {
+    textElement.addEventListener("dblclick", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.startInlineRename(textElement, variantId, fallbackText);
+    });
+
+    element.addEventListener("contextmenu", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.showColorPalette(e.clientX, e.clientY, variantId);
+    });
+  }
+
+  /**
+   * Run a click handler only if the click is not part of a double-click,
+   * so double-click renaming does not also trigger navigation
+   * @param {Element} element - Element to listen on
+   * @param {Function} handler - Click handler
+   */
+  addDelayedClickHandler(element, handler) {
+    let clickTimer = null;
+
+    element.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+
+      if (this.isEditingWithin(element)) {
+        return;
+      }
+
+      clearTimeout(clickTimer);
+      if (e.detail > 1) {
+        return;
+      }
+      clickTimer = setTimeout(handler, 250);
+    });
+
+    element.addEventListener("dblclick", () => clearTimeout(clickTimer));
+  }
+
+  /**
+   * Check whether an inline rename input is open inside an element
+   * @param {Element} element - Container element
+   * @returns {boolean} True if editing inside the element
+   */
+  isEditingWithin(element) {
+    return this.isEditing && !!element.querySelector(".branch-rename-input");
+  }
+
+  /**
+   * Replace a name element with an inline input to rename a branch
+   * @param {Element} textElement - Element holding the displayed name
+   * @param {string} variantId - Variant node ID
+   * @param {string} fallbackText - Text shown when no custom name is set
+   */
+  startInlineRename(textElement, variantId, fallbackText) {
+    if (this.isEditing || !extensionState.customizationManager) {
+      return;
+    }
+    this.isEditing = true;
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "branch-rename-input";
+    input.value =
+      extensionState.customizationManager.getBranchName(variantId) || "";
+    input.placeholder = fallbackText;
+    input.title = "Enter to save, Escape to cancel, empty to reset";
+
+    textElement.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let finished = false;
+    const finish = async (save) => {
+      if (finished) return;
+      finished = true;
+
+      input.replaceWith(textElement);
+      this.isEditing = false;
+
+      let saved = false;
+      if (save) {
+        saved = await extensionState.customizationManager.renameBranch(
+          variantId,
+          input.value
+        );
+        if (!saved) {
+          contentLog.error("Failed to rename branch:", variantId);
+        }
+      }
+
+      // A successful save re-renders through the customization callback
+      if (!saved && this.hasPendingRender) {
+        this.hasPendingRender = false;
+        await renderTabsFromTree();
+      }
+    };
+
+    input.addEventListener("keydown", (e) => {
+      // Keep keystrokes away from ChatGPT's own shortcuts
+      e.stopPropagation();
+      if (e.key === "Enter") {
+        e.preventDefault();
+        finish(true);
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        finish(false);
+      }
     });
+    input.addEventListener("click", (e) => e.stopPropagation());
+    input.addEventListener("dblclick", (e) => e.stopPropagation());
+    input.addEventListener("blur", () => finish(true));
+  }
+
+  /**
+   * Show the color palette for a branch at the given viewport position
+   * @param {number} x - Viewport X coordinate
+   * @param {number} y - Viewport Y coordinate
+   * @param {string} variantId - Variant node ID
+   */
+  showColorPalette(x, y, variantId) {
+    const customizationManager = extensionState.customizationManager;
+    if (!customizationManager) {
+      return;
+    }
+
+    this.hideColorPalette();
+
+    const palette = document.createElement("div");
+    palette.className = "branch-color-palette";
+
+    const currentColor = customizationManager.getBranchColor(variantId);
+    const selectColor = async (color) => {
+      this.hideColorPalette();
+      const success = await customizationManager.setBranchColor(
+        variantId,
+        color
+      );
+      if (!success) {
+        contentLog.error("Failed to set branch color:", variantId);
+      }
+    };
+
+    for (const { name, value } of customizationManager.getColorPalette()) {
+      const swatch = document.createElement("button");
+      swatch.className = "branch-color-swatch";
+      if (value === currentColor) {
+        swatch.classList.add("selected");
+      }
+      swatch.style.background = value;
+      swatch.title = name;
+      swatch.addEventListener("click", (e) => {
+        e.stopPropagation();
+        selectColor(value);
+      });
+      palette.appendChild(swatch);
+    }
+
+    const clearButton = document.createElement("button");
+    clearButton.className = "branch-color-clear";
+    clearButton.textContent = "Clear";
+    clearButton.title = "Remove custom color";
+    clearButton.addEventListener("click", (e) => {
+      e.stopPropagation();
+      selectColor(null);
+    });
+    palette.appendChild(clearButton);
+
+    document.body.appendChild(palette);
+
+    // Keep the palette inside the viewport
+    const rect = palette.getBoundingClientRect();
+    palette.style.left = `${Math.min(x, window.innerWidth - rect.width - 8)}px`;
+    palette.style.top = `${Math.min(
+      y,
+      window.innerHeight - rect.height - 8
+    )}px`;
+
+    this.colorPalette = palette;
+    this.paletteDismissHandler = (e) => {
+      if (
+        e.type === "keydown" ? e.key === "Escape" : !palette.contains(e.target)
+      ) {
+        this.hideColorPalette();
+      }
+    };
+    // Defer so the opening right-click does not immediately dismiss it
+    setTimeout(() => {
+      document.addEventListener("mousedown", this.paletteDismissHandler, true);
+      document.addEventListener("keydown", this.paletteDismissHandler, true);
+    }, 0);
+  }
+
+  /**
+   * Hide the branch color palette if open
+   */
+  hideColorPalette() {
+    if (this.paletteDismissHandler) {
+      document.removeEventListener(
+        "mousedown",
+        this.paletteDismissHandler,
+        true
+      );
+      document.removeEventListener("keydown", this.paletteDismissHandler, true);
+      this.paletteDismissHandler = null;
+    }
+    if (this.colorPalette) {
+      this.colorPalette.remove();
+      this.colorPalette = null;
+    }
   }
 
   /**
@@ -2014,7 +3485,7 @@ class SimpleTabRenderer {
 
       if (success) {
       } else {
-        console.error("Multi-step navigation failed");
+        contentLog.error("Multi-step navigation failed");
       }
     }
   }
@@ -2025,6 +3496,17 @@ class SimpleNavigationController {
     this.isNavigating = false;
   }
 
+  /**
+   * Wait for one of the navigation delays set on the options page
+   * @param {string} name - "clickDelay" or "settleDelay"
+   * @returns {Promise<void>} Resolves after the delay
+   */
+  wait(name) {
+    const delay =
+      extensionState.preferencesManager?.get(name) ?? DEFAULT_PREFERENCES[name];
+    return new Promise((resolve) => setTimeout(resolve, delay));
+  }
+
   /**
    * Navigate to variant with multiple steps simulation
    * @param {string} nodeId - Node ID
@@ -2043,27 +3525,22 @@ class SimpleNavigationController {
       // Find the node in our tree
       const node = extensionState.treeBuilder?.getNode(nodeId);
       if (!node || !node.element) {
-        console.error("Node or element not found for navigation");
+        contentLog.error("Node or element not found for navigation");
         return false;
       }
 
       // Find navigation buttons in the element
-      const prevButton = node.element.querySelector(
-        'button[aria-label="Previous response"]'
-      );
-      const nextButton = node.element.querySelector(
-        'button[aria-label="Next response"]'
-      );
+      const { prevButton, nextButton } = findVariantButtons(node.element);
 
       if (!prevButton && !nextButton) {
-        console.error("No navigation buttons found");
+        contentLog.error("No navigation buttons found");
         return false;
       }
 
       const targetButton = direction > 0 ? nextButton : prevButton;
 
       if (!targetButton) {
-        console.error(
+        contentLog.error(
           `${direction > 0 ? "Next" : "Previous"} button not found`
         );
         return false;
@@ -2073,7 +3550,7 @@ class SimpleNavigationController {
       for (let i = 0; i < steps; i++) {
         // Check if button is still enabled
         if (targetButton.disabled) {
-          console.warn("Button became disabled, stopping navigation");
+          contentLog.warn("Button became disabled, stopping navigation");
           break;
         }
 
@@ -2082,36 +3559,174 @@ class SimpleNavigationController {
 
         // Wait between clicks to let ChatGPT update
         if (i < steps - 1) {
-          await new Promise((resolve) => setTimeout(resolve, 400));
+          await this.wait("clickDelay");
         }
       }
 
       // Wait for the final UI update
-      await new Promise((resolve) => setTimeout(resolve, 600));
+      await this.wait("settleDelay");
 
       // Trigger a rescan to update our data and refresh UI
       setTimeout(async () => {
-        if (extensionState.branchDetector && extensionState.treeBuilder) {
-          const turns = findConversationTurns();
-          const detectedBranches =
-            extensionState.branchDetector.detectBranches(turns);
-          if (detectedBranches.length > 0) {
-            extensionState.treeBuilder.buildFromNodes(detectedBranches);
-          } else {
-            await renderTabsFromTree();
-          }
+        if (this.rescanTurns().length === 0) {
+          await renderTabsFromTree();
         }
       }, 300);
 
       return true;
     } catch (error) {
-      console.error("Error during multi-step navigation:", error);
+      contentLog.error("Error during multi-step navigation:", error);
       return false;
     } finally {
       this.isNavigating = false;
     }
   }
 
+  /**
+   * Navigate to a lean variant node by switching every turn on its path,
+   * top-down, waiting for ChatGPT to re-render between turns
+   * @param {string} targetNodeId - Lean node (variant) ID
+   * @param {Object} leanState - Lean tree state containing the node
+   * @returns {Promise<Object>} Result { status: "success"|"partial"|"failed",
+   *   completedTurns, totalTurns, path, stuckAt: {turnIndex, variantIndex, reason}|null }
+   */
+  async navigateToPath(targetNodeId, leanState) {
+    const path =
+      extensionState.treeBuilder?.findLeanPathToNode(targetNodeId, leanState) ||
+      [];
+    const result = {
+      status: "failed",
+      completedTurns: 0,
+      totalTurns: path.length,
+      path,
+      stuckAt: null,
+    };
+
+    if (path.length === 0) {
+      contentLog.error("No path found to node:", targetNodeId);
+      return result;
+    }
+
+    const stuck = (step, reason) => {
+      result.stuckAt = {
+        turnIndex: step.turnIndex,
+        variantIndex: step.variantIndex,
+        reason,
+      };
+      result.status = result.completedTurns > 0 ? "partial" : "failed";
+      contentLog.warn("Path navigation stopped", {
+        targetNodeId,
+        completedTurns: result.completedTurns,
+        stuckAt: result.stuckAt,
+      });
+      return result;
+    };
+
+    for (const step of path) {
+      // Downstream turns are re-rendered after each switch; always re-detect
+      this.rescanTurns();
+
+      const liveTurn = this.findLiveTurn(step.turnIndex);
+      if (!liveTurn) {
+        return stuck(step, "turn is not rendered on the page");
+      }
+
+      if ((liveTurn.currentVariant || 1) !== step.variantIndex) {
+        if (step.variantIndex > (liveTurn.totalVariants || 1)) {
+          return stuck(
+            step,
+            `variant ${step.variantIndex} no longer exists (only ${
+              liveTurn.totalVariants || 1
+            })`
+          );
+        }
+
+        const clicked = await this.navigateToVariant(
+          liveTurn.id,
+          step.variantIndex
+        );
+        if (!clicked) {
+          return stuck(step, "variant buttons could not be clicked");
+        }
+
+        const switched = await this.waitForTurnVariant(
+          step.turnIndex,
+          step.variantIndex
+        );
+        if (!switched) {
+          return stuck(step, "page did not show the requested variant");
+        }
+      }
+
+      result.completedTurns++;
+    }
+
+    this.rescanTurns();
+    result.status = "success";
+    contentLog.info("Navigated to path", {
+      targetNodeId,
+      turns: result.totalTurns,
+    });
+    return result;
+  }
+
+  /**
+   * Wait until the turn at an index shows the given variant and has settled
+   * @param {number} turnIndex - Turn index
+   * @param {number} variantIndex - Expected variant number
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise<boolean>} True if the variant became visible in time
+   */
+  async waitForTurnVariant(turnIndex, variantIndex, timeout = 5000) {
+    const pollInterval = 100;
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+      const turnElement = findConversationTurns()[turnIndex];
+      const variantInfo = turnElement
+        ? extensionState.branchDetector?.parseVariantInfo(turnElement)
+        : null;
+
+      if (variantInfo && variantInfo.current === variantIndex) {
+        // Let downstream turns finish re-rendering
+        await this.wait("settleDelay");
+        return true;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, pollInterval));
+    }
+
+    return false;
+  }
+
+  /**
+   * Find the currently detected turn at a turn index
+   * @param {number} turnIndex - Turn index
+   * @returns {Object|null} Detected node or null if not rendered
+   */
+  findLiveTurn(turnIndex) {
+    const nodes = extensionState.treeBuilder?.getAllNodes() || [];
+    return nodes.find((node) => node.turnIndex === turnIndex) || null;
+  }
+
+  /**
+   * Re-detect branches immediately so the tree reflects the page. They are
+   * merged like the DOM observer's rescans, in one rebuild.
+   * @returns {Object[]} Detected branches (empty if nothing is rendered)
+   */
+  rescanTurns() {
+    if (!extensionState.branchDetector || !extensionState.treeBuilder) {
+      return [];
+    }
+    const turns = findConversationTurns();
+    const detectedBranches =
+      extensionState.branchDetector.detectBranches(turns);
+    if (detectedBranches.length > 0) {
+      extensionState.treeBuilder.updateNodes(detectedBranches);
+    }
+    return detectedBranches;
+  }
+
   async navigateToVariant(nodeId, variantIndex) {
     if (this.isNavigating) {
       return false;
@@ -2122,7 +3737,7 @@ class SimpleNavigationController {
       // Find the node in our tree
       const node = extensionState.treeBuilder?.getNode(nodeId);
       if (!node || !node.element) {
-        console.error("Node or element not found for navigation");
+        contentLog.error("Node or element not found for navigation");
         return false;
       }
 
@@ -2138,17 +3753,17 @@ class SimpleNavigationController {
       const clicksNeeded = targetVariant - currentVariant;
       const isForward = clicksNeeded > 0;
       const absoluteClicks = Math.abs(clicksNeeded);
+      contentLog.info("Switching variant", {
+        turnIndex: node.turnIndex,
+        from: currentVariant,
+        to: targetVariant,
+      });
 
       // Find navigation buttons in the element
-      const prevButton = node.element.querySelector(
-        'button[aria-label="Previous response"]'
-      );
-      const nextButton = node.element.querySelector(
-        'button[aria-label="Next response"]'
-      );
+      const { prevButton, nextButton } = findVariantButtons(node.element);
 
       if (!prevButton && !nextButton) {
-        console.error("No navigation buttons found");
+        contentLog.error("No navigation buttons found");
         return false;
       }
 
@@ -2156,7 +3771,7 @@ class SimpleNavigationController {
       const targetButton = isForward ? nextButton : prevButton;
 
       if (!targetButton) {
-        console.error(`${isForward ? "Next" : "Previous"} button not found`);
+        contentLog.error(`${isForward ? "Next" : "Previous"} button not found`);
         return false;
       }
 
@@ -2164,7 +3779,7 @@ class SimpleNavigationController {
       for (let i = 0; i < absoluteClicks; i++) {
         // Check if button is still enabled
         if (targetButton.disabled) {
-          console.warn("Button became disabled, stopping navigation");
+          contentLog.warn("Button became disabled, stopping navigation");
           break;
         }
 
@@ -2173,32 +3788,25 @@ class SimpleNavigationController {
 
         // Wait a bit between clicks to let ChatGPT update
         if (i < absoluteClicks - 1) {
-          await new Promise((resolve) => setTimeout(resolve, 300));
+          await this.wait("clickDelay");
         }
       }
 
       // Wait for the UI to update
-      await new Promise((resolve) => setTimeout(resolve, 500));
+      await this.wait("settleDelay");
 
       // Trigger a rescan to update our data and refresh UI
       setTimeout(async () => {
-        if (extensionState.branchDetector && extensionState.treeBuilder) {
-          const turns = findConversationTurns();
-          const detectedBranches =
-            extensionState.branchDetector.detectBranches(turns);
-          if (detectedBranches.length > 0) {
-            extensionState.treeBuilder.buildFromNodes(detectedBranches);
-            // The tree builder will automatically trigger UI update via callback
-          } else {
-            // Force UI refresh even if no branches detected
-            await renderTabsFromTree();
-          }
+        // The tree builder triggers the UI update via its callback
+        if (this.rescanTurns().length === 0) {
+          // Force UI refresh even if no branches detected
+          await renderTabsFromTree();
         }
       }, 200);
 
       return true;
     } catch (error) {
-      console.error("Error during navigation:", error);
+      contentLog.error("Error during navigation:", error);
       return false;
     } finally {
       this.isNavigating = false;
@@ -2217,57 +3825,32 @@ async function renderTabsFromTree() {
 }
 
 /**
- * Set up DOM observer to watch for conversation changes
+ * Set up DOM observer to re-analyze turns as they change
  */
 function setupDOMObserver() {
   const targetNode = document.querySelector("main") || document.body;
 
-  const observer = new MutationObserver((mutations) => {
-    let shouldRescan = false;
-
-    for (const mutation of mutations) {
-      // Check if any added nodes contain tabular-nums (branch indicators)
-      if (mutation.type === "childList") {
-        for (const node of mutation.addedNodes) {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            if (node.querySelector && node.querySelector(".tabular-nums")) {
-              shouldRescan = true;
-              break;
-            }
-          }
-        }
-      }
-
-      // Check if any modified nodes have tabular-nums
-      if (mutation.type === "attributes" && mutation.target.querySelector) {
-        if (mutation.target.querySelector(".tabular-nums")) {
-          shouldRescan = true;
+  if (!extensionState.domObserver) {
+    extensionState.domObserver = new DOMObserver({
+      performanceMonitor: extensionState.performanceMonitor,
+      onRescan: (turnElements, changedTurns) => {
+        // The branch crawler rescans after each of its own switches
+        if (extensionState.branchCrawler?.isRunning) return;
+        if (!extensionState.branchDetector || !extensionState.treeBuilder) {
+          return;
         }
-      }
-    }
 
-    if (shouldRescan) {
-      // Debounce the rescan to avoid too many updates
-      clearTimeout(window.extensionRescanTimeout);
-      window.extensionRescanTimeout = setTimeout(async () => {
-        if (extensionState.branchDetector && extensionState.treeBuilder) {
-          const turns = findConversationTurns();
-          const detectedBranches =
-            extensionState.branchDetector.detectBranches(turns);
-          if (detectedBranches.length > 0) {
-            extensionState.treeBuilder.buildFromNodes(detectedBranches);
-          }
+        const detectedBranches = extensionState.branchDetector.detectBranches(
+          turnElements,
+          changedTurns
+        );
+        // Only the changed turns were analyzed: merge them into the tree
+        if (detectedBranches.length > 0) {
+          extensionState.treeBuilder.updateNodes(detectedBranches);
         }
-      }, 500);
-    }
-  });
-
-  observer.observe(targetNode, {
-    childList: true,
-    subtree: true,
-    attributes: true,
-    attributeFilter: ["class", "data-message-id"],
-  });
+      },
+    });
+  }
 
-  extensionState.domObserver = observer;
+  extensionState.domObserver.observe(targetNode);
 }
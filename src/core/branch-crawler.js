@@ -0,0 +1,224 @@
+// ============================================================================
+// BRANCH CRAWLER CLASS
+// ============================================================================
+
+// Dependencies: drives a SimpleNavigationController from content.js
+
+// Visits every variant of every branching turn depth-first so the tree learns
+// the whole conversation without clicking through it by hand. Each state is
+// captured by the navigation controller's rescan (BranchDetector.detectBranches),
+// and the path the user was on is restored at the end.
+
+class BranchCrawler {
+  /**
+   * @param {SimpleNavigationController} navigationController - Switches variants
+   * @param {Object} [options]
+   * @param {number} [options.stepDelay] - Pause after each switch (ms) so
+   *   ChatGPT can finish re-rendering before the next click
+   * @param {number} [options.maxStates] - Stop after this many states
+   */
+  constructor(navigationController, { stepDelay = 800, maxStates = 500 } = {}) {
+    this.navigationController = navigationController;
+    this.stepDelay = stepDelay;
+    this.maxStates = maxStates;
+    this.isRunning = false;
+    this.cancelRequested = false;
+    this.log = debugLogger.get("branch-crawler");
+  }
+
+  /**
+   * Crawl every branch of the conversation on the page
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with { phase, statesVisited,
+   *   turnIndex, variantIndex, totalVariants, fraction }
+   * @returns {Promise<Object>} Result { status: "completed"|"cancelled"|"limit"|"failed",
+   *   statesVisited, restored, error }
+   */
+  async crawl({ onProgress = () => {} } = {}) {
+    if (this.isRunning) {
+      return {
+        status: "failed",
+        statesVisited: 0,
+        restored: false,
+        error: "A crawl is already running",
+      };
+    }
+
+    this.isRunning = true;
+    this.cancelRequested = false;
+    this.onProgress = onProgress;
+    this.statesVisited = 0;
+    this.stack = []; // { variantIndex, totalVariants } per branching depth
+
+    const result = {
+      status: "completed",
+      statesVisited: 0,
+      restored: false,
+      error: null,
+    };
+    const originalPath = this.getBranchTurns().map((turn) => ({
+      turnIndex: turn.turnIndex,
+      variantIndex: turn.currentVariant || 1,
+    }));
+
+    try {
+      await this.visit(0);
+      if (this.cancelRequested) result.status = "cancelled";
+      else if (this.statesVisited >= this.maxStates) result.status = "limit";
+    } catch (error) {
+      this.log.error("Branch crawl failed:", error);
+      result.status = "failed";
+      result.error = error.message;
+    }
+
+    result.statesVisited = this.statesVisited;
+    try {
+      result.restored = await this.restorePath(originalPath);
+    } catch (error) {
+      this.log.error("Failed to restore the original path:", error);
+    }
+
+    this.isRunning = false;
+    return result;
+  }
+
+  /**
+   * Ask a running crawl to stop after the current step
+   */
+  cancel() {
+    this.cancelRequested = true;
+  }
+
+  /**
+   * Visit every variant of the first branching turn at or below a turn
+   * index, recursing into the turns that follow each variant
+   * @param {number} minTurnIndex - First turn index to consider
+   */
+  async visit(minTurnIndex) {
+    if (this.shouldStop()) return;
+
+    const turn = this.getBranchTurns().find((t) => t.turnIndex >= minTurnIndex);
+    if (!turn) return; // Reached the end of this path
+
+    const totalVariants = turn.totalVariants || 1;
+    for (let variantIndex = 1; variantIndex <= totalVariants; variantIndex++) {
+      if (this.shouldStop()) return;
+
+      const switched = await this.switchVariant(turn.turnIndex, variantIndex);
+      if (!switched) {
+        throw new Error(
+          `Could not show variant ${variantIndex} of turn ${turn.turnIndex + 1}`
+        );
+      }
+
+      this.statesVisited++;
+      this.stack.push({ variantIndex, totalVariants });
+      this.reportProgress(
+        "crawling",
+        turn.turnIndex,
+        variantIndex,
+        totalVariants
+      );
+
+      await this.visit(turn.turnIndex + 1);
+      this.stack.pop();
+    }
+  }
+
+  /**
+   * Show a variant of the turn at an index, then wait out the re-render
+   * @param {number} turnIndex - Turn index
+   * @param {number} variantIndex - Variant number
+   * @returns {Promise<boolean>} True if the page shows the variant
+   */
+  async switchVariant(turnIndex, variantIndex) {
+    const turn = this.getBranchTurns().find((t) => t.turnIndex === turnIndex);
+    if (!turn) return false;
+
+    if ((turn.currentVariant || 1) !== variantIndex) {
+      const clicked = await this.navigationController.navigateToVariant(
+        turn.id,
+        variantIndex
+      );
+      if (!clicked) return false;
+
+      const shown = await this.navigationController.waitForTurnVariant(
+        turnIndex,
+        variantIndex
+      );
+      if (!shown) return false;
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, this.stepDelay));
+    // Capture the new state (also feeds the tree and storage)
+    this.navigationController.rescanTurns();
+    return true;
+  }
+
+  /**
+   * Switch every turn back to the variant it showed before the crawl
+   * @param {Array<{turnIndex: number, variantIndex: number}>} path - Original path
+   * @returns {Promise<boolean>} True if every turn was restored
+   */
+  async restorePath(path) {
+    let restored = true;
+
+    for (const [index, step] of path.entries()) {
+      this.reportProgress(
+        "restoring",
+        step.turnIndex,
+        step.variantIndex,
+        null,
+        index / path.length
+      );
+      if (!(await this.switchVariant(step.turnIndex, step.variantIndex))) {
+        restored = false;
+      }
+    }
+
+    return restored;
+  }
+
+  /**
+   * Re-detect the page and list the turns that have variants
+   * @returns {Object[]} Detected branch turns, top-down
+   */
+  getBranchTurns() {
+    return this.navigationController
+      .rescanTurns()
+      .filter((turn) => (turn.totalVariants || 1) > 1)
+      .sort((a, b) => a.turnIndex - b.turnIndex);
+  }
+
+  shouldStop() {
+    return this.cancelRequested || this.statesVisited >= this.maxStates;
+  }
+
+  /**
+   * Report progress. The crawled fraction follows the depth-first position:
+   * each finished variant at depth k covers 1/(n1*...*nk) of the tree.
+   */
+  reportProgress(phase, turnIndex, variantIndex, totalVariants, fraction) {
+    if (fraction === undefined) {
+      fraction = 0;
+      let scale = 1;
+      for (const level of this.stack) {
+        fraction += ((level.variantIndex - 1) / level.totalVariants) * scale;
+        scale /= level.totalVariants;
+      }
+    }
+
+    try {
+      this.onProgress({
+        phase,
+        statesVisited: this.statesVisited,
+        turnIndex,
+        variantIndex,
+        totalVariants,
+        fraction,
+      });
+    } catch (error) {
+      this.log.error("Error in crawl progress callback:", error);
+    }
+  }
+}
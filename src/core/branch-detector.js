@@ -2,11 +2,16 @@
 // BRANCH DETECTOR CLASS
 // ============================================================================
 
-// Dependencies: generateTurnId, simpleHash, findConversationTurns from dom-utils.js
+// Dependencies: simpleHash, findConversationTurns, parseVariantCounter,
+// findVariantButtons from dom-utils.js,
+// TurnIdentity from turn-identity.js, selectorProfile from selector-profile.js
 
 class BranchDetector {
   constructor() {
     this.detectedBranches = new Map(); // turnId -> branch info
+    this.captureFullContent = false; // Opt-in: keep complete variant text
+    this.log = debugLogger.get("branch-detector");
+    this.turnIdentity = new TurnIdentity();
     this.callbacks = {
       onBranchDetected: [],
       onBranchUpdated: [],
@@ -16,13 +21,17 @@ class BranchDetector {
   /**
    * Detect branches in the provided turn elements
    * @param {Element[]} turnElements - Array of turn elements to analyze
+   * @param {Set<Element>} [onlyTurns] - Analyze just these turns (the others
+   *   still provide turn indices and parent turns)
    * @returns {Object[]} Array of detected branch information
    */
-  detectBranches(turnElements) {
+  detectBranches(turnElements, onlyTurns = null) {
     const branches = [];
 
     turnElements.forEach((turn, index) => {
-      const branchInfo = this.analyzeTurn(turn, index);
+      if (onlyTurns && !onlyTurns.has(turn)) return;
+
+      const branchInfo = this.analyzeTurn(turn, index, turnElements);
       if (branchInfo) {
         branches.push(branchInfo);
 
@@ -34,13 +43,20 @@ class BranchDetector {
           try {
             callback(branchInfo);
           } catch (error) {
-            console.error("Error in onBranchDetected callback:", error);
+            this.log.error("Error in onBranchDetected callback:", error);
           }
         });
       }
     });
 
-    console.log("Detected branches:", branches);
+    this.log.info(
+      `Detected ${branches.length} branching turns`,
+      branches.map((branch) => ({
+        turnId: branch.turnId,
+        turnIndex: branch.turnIndex,
+        variant: `${branch.currentVariant}/${branch.totalVariants}`,
+      }))
+    );
     return branches;
   }
 
@@ -48,9 +64,10 @@ class BranchDetector {
    * Analyze a single turn for branch indicators
    * @param {Element} turnElement - The turn element to analyze
    * @param {number} index - Turn index in conversation
+   * @param {Element[]} [turnElements] - All turn elements (to find the parent turn)
    * @returns {Object|null} Branch information or null if no branch detected
    */
-  analyzeTurn(turnElement, index) {
+  analyzeTurn(turnElement, index, turnElements = []) {
     // Look for variant indicators
     const variantInfo = this.parseVariantInfo(turnElement);
 
@@ -62,15 +79,20 @@ class BranchDetector {
     const hasNavControls = this.verifyNavigationControls(turnElement);
 
     if (!hasNavControls) {
-      console.warn(
+      this.log.warn(
         "Found variant indicator but no navigation controls:",
         variantInfo
       );
       return null;
     }
 
-    // Generate base turn ID (without variant info)
-    const id = generateTurnId(turnElement, index);
+    // Base turn ID (without variant info), shared by all variants of the turn
+    const identity = this.turnIdentity.resolve(
+      turnElement,
+      index,
+      turnElements
+    );
+    const id = identity.turnId;
 
     // Classify turn role
     const role = this.classifyTurnRole(turnElement);
@@ -87,6 +109,8 @@ class BranchDetector {
       totalVariants: variantInfo.total,
       role,
       element: turnElement,
+      messageId: identity.messageId,
+      hasStableId: identity.isStable,
       timestamp: Date.now(),
       // Create entries for all variants
       variants: this.createVariantEntries(
@@ -101,6 +125,11 @@ class BranchDetector {
       activeVariantId: `${id}_v${variantInfo.current}`,
     };
 
+    // Full text of the visible variant (full content capture mode only)
+    if (this.captureFullContent) {
+      branchInfo.capturedContent = this.extractFullContent(turnElement);
+    }
+
     return branchInfo;
   }
 
@@ -152,8 +181,8 @@ class BranchDetector {
    * @returns {Object|null} Variant info {current, total} or null if not found
    */
   parseVariantInfo(turnElement) {
-    // Look for .tabular-nums element with pattern like "1/2"
-    const variantCounter = turnElement.querySelector(".tabular-nums");
+    // Look for the variant counter with pattern like "1/2" (any digit system)
+    const variantCounter = selectorProfile.query("variantCounter", turnElement);
 
     if (!variantCounter) {
       return null;
@@ -165,19 +194,21 @@ class BranchDetector {
       return null;
     }
 
-    // Match pattern like "1/2", "2/3", etc.
-    const match = counterText.match(/^(\d+)\/(\d+)$/);
+    const parsed = parseVariantCounter(counterText);
 
-    if (!match) {
+    if (!parsed) {
       return null;
     }
 
-    const current = parseInt(match[1], 10);
-    const total = parseInt(match[2], 10);
+    const { current, total } = parsed;
 
     // Validate numbers make sense
     if (current < 1 || total < 2 || current > total) {
-      console.warn("Invalid variant numbers:", { current, total, counterText });
+      this.log.warn("Invalid variant numbers:", {
+        current,
+        total,
+        counterText,
+      });
       return null;
     }
 
@@ -190,12 +221,7 @@ class BranchDetector {
    * @returns {boolean} True if navigation controls are found
    */
   verifyNavigationControls(turnElement) {
-    const prevButton = turnElement.querySelector(
-      'button[aria-label="Previous response"]'
-    );
-    const nextButton = turnElement.querySelector(
-      'button[aria-label="Next response"]'
-    );
+    const { prevButton, nextButton } = findVariantButtons(turnElement);
 
     // At least one navigation button should be present
     // (Previous might be disabled on first variant, Next might be disabled on last)
@@ -214,27 +240,37 @@ class BranchDetector {
       return dataRole;
     }
 
-    // Method 2: Look for role indicators in aria-labels
+    // Method 2: ChatGPT marks the message element with its author
+    const authorRole =
+      turnElement
+        .closest("[data-message-author-role]")
+        ?.getAttribute("data-message-author-role") ||
+      turnElement
+        .querySelector("[data-message-author-role]")
+        ?.getAttribute("data-message-author-role");
+    if (authorRole === "user" || authorRole === "assistant") {
+      return authorRole;
+    }
+
+    // Method 3: Look for role indicators in aria-labels
     const ariaLabel = turnElement.getAttribute("aria-label") || "";
     if (ariaLabel.toLowerCase().includes("user")) {
       return "user";
     }
 
-    // Method 3: Check for navigation buttons (typically only on assistant messages)
+    // Method 4: Check for navigation buttons (typically only on assistant messages)
     const hasNavButtons = this.verifyNavigationControls(turnElement);
     if (hasNavButtons) {
       return "user";
     }
 
-    // Method 4: Look for edit button (typically only on user messages)
-    const editButton = turnElement.querySelector(
-      'button[aria-label="Edit message"]'
-    );
+    // Method 5: Look for edit button (typically only on user messages)
+    const editButton = selectorProfile.query("editMessageButton", turnElement);
     if (editButton) {
       return "user";
     }
 
-    // Method 5: Check DOM structure/positioning
+    // Method 6: Check DOM structure/positioning
     // Look for common class patterns or structural indicators
     const className = turnElement.className || "";
     if (className.includes("user")) {
@@ -244,7 +280,7 @@ class BranchDetector {
       return "assistant";
     }
 
-    // Method 6: Check parent structure for layout clues
+    // Method 7: Check parent structure for layout clues
     const parent = turnElement.parentElement;
     if (parent) {
       const parentClass = parent.className || "";
@@ -257,7 +293,7 @@ class BranchDetector {
     }
 
     // Default fallback: if we found variant controls, it's likely an assistant message
-    console.warn("Could not determine turn role, defaulting to assistant");
+    this.log.warn("Could not determine turn role, defaulting to assistant");
     return "assistant";
   }
 
@@ -268,24 +304,8 @@ class BranchDetector {
    */
   extractContentPreview(turnElement) {
     // Try to find the main content area, avoiding buttons and controls
-    let contentElement = turnElement;
-
-    // Look for common content selectors
-    const contentSelectors = [
-      ".message-content",
-      ".turn-content",
-      "[data-message-content]",
-      "p",
-      'div[class*="content"]',
-    ];
-
-    for (const selector of contentSelectors) {
-      const found = turnElement.querySelector(selector);
-      if (found) {
-        contentElement = found;
-        break;
-      }
-    }
+    const contentElement =
+      selectorProfile.query("messagePreview", turnElement) || turnElement;
 
     // Extract text content, clean it up
     let text = contentElement.textContent || "";
@@ -302,6 +322,85 @@ class BranchDetector {
     return text || "[No content]";
   }
 
+  /**
+   * Extract the complete rendered text of a turn, with code blocks kept as
+   * fenced Markdown and listed separately
+   * @param {Element} turnElement - The turn element
+   * @returns {{text: string, codeBlocks: Array<{language: string, code: string}>}|null}
+   *   Content, or null if the turn has no text
+   */
+  extractFullContent(turnElement) {
+    const contentElement =
+      selectorProfile.query("messageContent", turnElement) || turnElement;
+
+    // Controls to skip (variant counter, copy buttons, hidden labels)
+    const skipSelector = [
+      "button",
+      "svg",
+      ".sr-only",
+      "[aria-hidden='true']",
+      selectorProfile.getSelector("variantCounter"),
+    ].join(", ");
+    const codeBlocks = [];
+    const blockTags = new Set([
+      "P",
+      "DIV",
+      "LI",
+      "UL",
+      "OL",
+      "TABLE",
+      "TR",
+      "BLOCKQUOTE",
+      "H1",
+      "H2",
+      "H3",
+      "H4",
+      "H5",
+      "H6",
+    ]);
+    let text = "";
+
+    const walk = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        text += node.nodeValue;
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+      if (node.matches(skipSelector)) return;
+
+      if (node.tagName === "PRE") {
+        const codeElement = node.querySelector("code") || node;
+        const language =
+          (codeElement.className.match(/language-([\w+#-]+)/) || [])[1] || "";
+        const code = codeElement.textContent.replace(/\n$/, "");
+        codeBlocks.push({ language, code });
+        text += `\n\n\`\`\`${language}\n${code}\n\`\`\`\n\n`;
+        return;
+      }
+
+      if (node.tagName === "BR") {
+        text += "\n";
+        return;
+      }
+
+      const isBlock = blockTags.has(node.tagName);
+      if (isBlock) text += "\n";
+      if (node.tagName === "LI") text += "- ";
+      node.childNodes.forEach(walk);
+      if (isBlock) text += "\n";
+    };
+
+    walk(contentElement);
+
+    text = text
+      .replace(/[ \t]+\n/g, "\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+
+    return text ? { text, codeBlocks } : null;
+  }
+
   /**
    * Generate content hash for change detection
    * @param {Element} turnElement - The turn element
@@ -320,7 +419,7 @@ class BranchDetector {
   updateBranch(turnId, updates) {
     const existing = this.detectedBranches.get(turnId);
     if (!existing) {
-      console.warn("Attempted to update non-existent branch:", turnId);
+      this.log.warn("Attempted to update non-existent branch:", turnId);
       return;
     }
 
@@ -332,7 +431,7 @@ class BranchDetector {
       try {
         callback(updated, existing);
       } catch (error) {
-        console.error("Error in onBranchUpdated callback:", error);
+        this.log.error("Error in onBranchUpdated callback:", error);
       }
     });
   }
@@ -389,16 +488,16 @@ class BranchDetector {
     try {
       const turns = findConversationTurns();
       return turns.map((turnElement, index) => {
-        const turnId = this.generateTurnId(turnElement, index);
+        const { turnId } = this.turnIdentity.resolve(turnElement, index, turns);
         return {
           turnId,
           element: turnElement,
           index,
-          role: this.determineTurnRole(turnElement),
+          role: this.classifyTurnRole(turnElement),
         };
       });
     } catch (error) {
-      console.warn("Error getting current turns:", error);
+      this.log.warn("Error getting current turns:", error);
       return [];
     }
   }
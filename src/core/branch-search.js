@@ -0,0 +1,104 @@
+// ============================================================================
+// BRANCH SEARCH CLASS
+// ============================================================================
+
+class BranchSearch {
+  constructor() {
+    this.snippetRadius = 40; // characters of context around a match
+    this.maxResults = 50;
+  }
+
+  /**
+   * Search every variant of a lean tree for a query
+   * @param {Object} leanState - Lean tree state { nodes: [], rootChildren: [] }
+   * @param {string} query - Search text (whitespace separated terms, all must match)
+   * @returns {Object[]} Hits sorted by turn index then variant index
+   */
+  search(leanState, query) {
+    const terms = this.tokenize(query);
+    if (terms.length === 0 || !leanState || !Array.isArray(leanState.nodes)) {
+      return [];
+    }
+
+    const hits = [];
+
+    for (const node of leanState.nodes) {
+      const text = this.getSearchableText(node);
+      if (!text) continue;
+
+      const haystack = text.toLowerCase();
+      if (!terms.every((term) => haystack.includes(term))) continue;
+
+      const matchIndex = haystack.indexOf(terms[0]);
+      hits.push({
+        nodeId: node.id,
+        turnId: node.turnId,
+        turnIndex: node.turnIndex || 0,
+        variantIndex: node.variantIndex || 1,
+        role: node.role || "unknown",
+        matchIndex,
+        snippet: this.buildSnippet(text, matchIndex, terms[0].length),
+        terms,
+      });
+    }
+
+    hits.sort(
+      (a, b) => a.turnIndex - b.turnIndex || a.variantIndex - b.variantIndex
+    );
+
+    return hits.slice(0, this.maxResults);
+  }
+
+  /**
+   * Split a query into lowercase search terms
+   * @param {string} query - Raw query
+   * @returns {string[]} Search terms
+   */
+  tokenize(query) {
+    if (typeof query !== "string") return [];
+    return query
+      .toLowerCase()
+      .split(/\s+/)
+      .filter((term) => term.length > 0);
+  }
+
+  /**
+   * Get the text of a lean node that should be searched
+   * @param {Object} node - Lean node
+   * @returns {string} Searchable text (empty for placeholder variants)
+   */
+  getSearchableText(node) {
+    if (!node) return "";
+    if (node.fullText) return node.fullText;
+    if (node.text == null) return "";
+    const text = String(node.text);
+
+    // Undiscovered variants only carry their variant number as text
+    if (!node.isDiscovered && /^[0-9]{1,3}$/.test(text.trim())) return "";
+
+    return text;
+  }
+
+  /**
+   * Build a short snippet of text around a match
+   * @param {string} text - Full text
+   * @param {number} matchIndex - Index of the match in text
+   * @param {number} matchLength - Length of the match
+   * @returns {{before: string, match: string, after: string}} Snippet parts
+   */
+  buildSnippet(text, matchIndex, matchLength) {
+    const start = Math.max(0, matchIndex - this.snippetRadius);
+    const end = Math.min(
+      text.length,
+      matchIndex + matchLength + this.snippetRadius
+    );
+
+    return {
+      before: (start > 0 ? "…" : "") + text.slice(start, matchIndex),
+      match: text.slice(matchIndex, matchIndex + matchLength),
+      after:
+        text.slice(matchIndex + matchLength, end) +
+        (end < text.length ? "…" : ""),
+    };
+  }
+}
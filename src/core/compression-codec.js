@@ -0,0 +1,130 @@
+// ============================================================================
+// COMPRESSION CODEC CLASS
+// ============================================================================
+
+// Deflate compression for stored JSON, packed as base64 behind a versioned
+// header: "__CB_DEFLATE_V1__<base64>". Also reads the legacy "__COMPRESSED__"
+// format, which was plain text with collapsed whitespace.
+
+const COMPRESSION_HEADER_V1 = "__CB_DEFLATE_V1__";
+const LEGACY_COMPRESSION_MARKER = "__COMPRESSED__";
+
+class CompressionCodec {
+  constructor() {
+    this.header = COMPRESSION_HEADER_V1;
+    this.legacyMarker = LEGACY_COMPRESSION_MARKER;
+  }
+
+  /**
+   * Check whether deflate compression is supported in this context
+   * @returns {boolean} True if CompressionStream is available
+   */
+  isSupported() {
+    return (
+      typeof CompressionStream !== "undefined" &&
+      typeof DecompressionStream !== "undefined"
+    );
+  }
+
+  /**
+   * Get the storage format of a value
+   * @param {string} data - Stored value
+   * @returns {"deflate-v1"|"legacy"|"none"} Format name
+   */
+  getFormat(data) {
+    if (typeof data !== "string") return "none";
+    if (data.startsWith(this.header)) return "deflate-v1";
+    if (data.startsWith(this.legacyMarker)) return "legacy";
+    return "none";
+  }
+
+  /**
+   * Check if data carries any compression header
+   * @param {string} data - Data to check
+   * @returns {boolean} True if compressed
+   */
+  isCompressed(data) {
+    return this.getFormat(data) !== "none";
+  }
+
+  /**
+   * Compress a string. Returns the input unchanged when compression is
+   * unsupported or would not make it smaller.
+   * @param {string} text - Text to compress
+   * @returns {Promise<string>} Header plus base64 payload, or the input
+   */
+  async compress(text) {
+    if (!this.isSupported()) return text;
+
+    const bytes = new TextEncoder().encode(text);
+    const compressed = await this.pipe(bytes, new CompressionStream("deflate"));
+    const packed = this.header + this.toBase64(compressed);
+
+    return packed.length < text.length ? packed : text;
+  }
+
+  /**
+   * Decompress a value in any known format
+   * @param {string} data - Stored value
+   * @returns {Promise<string>} Original text
+   */
+  async decompress(data) {
+    switch (this.getFormat(data)) {
+      case "deflate-v1": {
+        const bytes = this.fromBase64(data.substring(this.header.length));
+        const decompressed = await this.pipe(
+          bytes,
+          new DecompressionStream("deflate")
+        );
+        return new TextDecoder().decode(decompressed);
+      }
+      case "legacy":
+        return data.substring(this.legacyMarker.length);
+      default:
+        return data;
+    }
+  }
+
+  /**
+   * Run bytes through a compression or decompression stream
+   * @param {Uint8Array} bytes - Input bytes
+   * @param {TransformStream} transform - CompressionStream or DecompressionStream
+   * @returns {Promise<Uint8Array>} Output bytes
+   */
+  async pipe(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * Encode bytes as base64
+   * @param {Uint8Array} bytes - Bytes to encode
+   * @returns {string} Base64 text
+   */
+  toBase64(bytes) {
+    // Build the binary string in chunks to stay under argument limits
+    let binary = "";
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode.apply(
+        null,
+        bytes.subarray(i, i + chunkSize)
+      );
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Decode base64 into bytes
+   * @param {string} base64 - Base64 text
+   * @returns {Uint8Array} Decoded bytes
+   */
+  fromBase64(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+}
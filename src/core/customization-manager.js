@@ -0,0 +1,155 @@
+// ============================================================================
+// CUSTOMIZATION MANAGER CLASS
+// ============================================================================
+
+// Dependencies: StorageManager from storage-manager.js
+
+/**
+ * Colors offered by the branch color palette. Values mirror the accent
+ * colors declared in styles/extension.css.
+ */
+const BRANCH_COLOR_PALETTE = [
+  { name: "Blue", value: "#3b82f6" },
+  { name: "Green", value: "#10b981" },
+  { name: "Orange", value: "#f59e0b" },
+  { name: "Red", value: "#ef4444" },
+  { name: "Purple", value: "#8b5cf6" },
+  { name: "Pink", value: "#ec4899" },
+  { name: "Teal", value: "#14b8a6" },
+  { name: "Gray", value: "#6b7280" },
+];
+
+class CustomizationManager {
+  constructor(storageManager) {
+    this.storageManager = storageManager;
+    this.conversationId = null;
+    this.customizations = storageManager.getDefaultCustomizations();
+    this.callbacks = {
+      onCustomizationChanged: [],
+    };
+    this.log = debugLogger.get("customization");
+  }
+
+  /**
+   * Load customizations for a conversation into memory
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Loaded customizations
+   */
+  async load(conversationId) {
+    this.conversationId = conversationId;
+    this.customizations = await this.storageManager.loadCustomizations(
+      conversationId
+    );
+    return this.customizations;
+  }
+
+  /**
+   * Get the customization stored for a branch (variant) node
+   * @param {string} nodeId - Variant node ID (e.g. "<turnId>_v2")
+   * @returns {{name?: string, color?: string}|null} Customization or null
+   */
+  getBranchCustomization(nodeId) {
+    if (!nodeId) return null;
+    return this.customizations.branches?.[nodeId] || null;
+  }
+
+  /**
+   * Get the custom name of a branch
+   * @param {string} nodeId - Variant node ID
+   * @returns {string|null} Custom name or null if not renamed
+   */
+  getBranchName(nodeId) {
+    const name = this.getBranchCustomization(nodeId)?.name;
+    return typeof name === "string" && name.trim() ? name : null;
+  }
+
+  /**
+   * Get the custom color of a branch
+   * @param {string} nodeId - Variant node ID
+   * @returns {string|null} CSS color or null if not colored
+   */
+  getBranchColor(nodeId) {
+    const color = this.getBranchCustomization(nodeId)?.color;
+    return typeof color === "string" && color ? color : null;
+  }
+
+  /**
+   * Rename a branch. An empty name removes the custom name.
+   * @param {string} nodeId - Variant node ID
+   * @param {string} name - New name
+   * @returns {Promise<boolean>} Success status
+   */
+  async renameBranch(nodeId, name) {
+    const trimmed = typeof name === "string" ? name.trim() : "";
+    return this.updateBranch(nodeId, "name", trimmed || undefined);
+  }
+
+  /**
+   * Set the color of a branch. A null color removes the custom color.
+   * @param {string} nodeId - Variant node ID
+   * @param {string|null} color - CSS color
+   * @returns {Promise<boolean>} Success status
+   */
+  async setBranchColor(nodeId, color) {
+    return this.updateBranch(nodeId, "color", color || undefined);
+  }
+
+  /**
+   * Persist a single branch property and notify listeners
+   * @param {string} nodeId - Variant node ID
+   * @param {string} property - Property to update (name, color)
+   * @param {any} value - New value (undefined clears it)
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateBranch(nodeId, property, value) {
+    if (!this.conversationId || !nodeId) {
+      return false;
+    }
+
+    const success = await this.storageManager.updateCustomization(
+      this.conversationId,
+      nodeId,
+      property,
+      value
+    );
+
+    if (success) {
+      // Keep the in-memory copy in sync with what was persisted
+      await this.load(this.conversationId);
+      this.notifyCustomizationChanged(nodeId, property, value);
+    }
+
+    return success;
+  }
+
+  /**
+   * Get the palette of selectable branch colors
+   * @returns {{name: string, value: string}[]} Palette entries
+   */
+  getColorPalette() {
+    return BRANCH_COLOR_PALETTE;
+  }
+
+  /**
+   * Register callback for customization changes
+   * @param {Function} callback - Callback function
+   */
+  onCustomizationChanged(callback) {
+    if (typeof callback === "function") {
+      this.callbacks.onCustomizationChanged.push(callback);
+    }
+  }
+
+  /**
+   * Notify customization changed callbacks
+   */
+  notifyCustomizationChanged(nodeId, property, value) {
+    this.callbacks.onCustomizationChanged.forEach((callback) => {
+      try {
+        callback(nodeId, property, value);
+      } catch (error) {
+        this.log.error("Error in onCustomizationChanged callback:", error);
+      }
+    });
+  }
+}
@@ -0,0 +1,175 @@
+// ============================================================================
+// DOM OBSERVER CLASS
+// ============================================================================
+
+// Watches the conversation for changes and re-analyzes only the turns that
+// changed. Mutations are batched: each batch records the changed nodes, and
+// after a quiet period they are mapped to the turn elements that contain
+// them. Turns whose response is still streaming are held back until ChatGPT
+// finishes them (the streaming marker disappearing is itself a change).
+
+// Dependencies: findConversationTurns from dom-utils.js,
+// selectorProfile from selector-profile.js
+
+class DOMObserver {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onRescan - Called with (turnElements,
+   *   changedTurns: Set<Element>) when changed turns need analysis
+   * @param {PerformanceMonitor} [options.performanceMonitor] - Receives timings
+   * @param {number} [options.delay] - Quiet period before a rescan (ms)
+   */
+  constructor({ onRescan, performanceMonitor = null, delay = 500 }) {
+    this.onRescan = onRescan;
+    this.performanceMonitor = performanceMonitor;
+    this.delay = delay;
+    this.observer = null;
+    this.timer = null;
+    this.changedNodes = new Set(); // Nodes touched since the last rescan
+    this.streamingTurns = new Set(); // Turns held back while streaming
+    this.log = debugLogger.get("dom-observer");
+  }
+
+  /**
+   * Start watching a subtree
+   * @param {Node} target - Usually the conversation's main element
+   */
+  observe(target) {
+    this.disconnect();
+    this.observer = new MutationObserver((mutations) =>
+      this.handleMutations(mutations)
+    );
+    // Only attributes that change when a variant is switched or a turn gets
+    // its message ID; "class" also covers the streaming marker going away
+    this.observer.observe(target, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ["class", "data-message-id"],
+    });
+  }
+
+  /**
+   * Stop watching and drop pending changes
+   */
+  disconnect() {
+    this.observer?.disconnect();
+    this.observer = null;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.changedNodes.clear();
+    this.streamingTurns.clear();
+  }
+
+  /**
+   * Record the nodes of a mutation batch and schedule a rescan. Kept cheap:
+   * streaming responses produce a batch for every few tokens.
+   * @param {MutationRecord[]} mutations - Batch from the MutationObserver
+   */
+  handleMutations(mutations) {
+    for (const mutation of mutations) {
+      this.changedNodes.add(mutation.target);
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE) this.changedNodes.add(node);
+      }
+    }
+
+    this.performanceMonitor?.increment("mutations", mutations.length);
+    this.schedule();
+  }
+
+  /**
+   * Rescan after the quiet period, restarting it on every new change
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.delay);
+  }
+
+  /**
+   * Map recorded changes to turns and hand the finished ones to onRescan
+   */
+  flush() {
+    this.timer = null;
+    if (this.changedNodes.size === 0 && this.streamingTurns.size === 0) {
+      return;
+    }
+
+    const run = () => {
+      const turnElements = findConversationTurns();
+      const changedTurns = this.findChangedTurns(turnElements);
+
+      for (const turn of changedTurns) {
+        if (this.isStreaming(turn)) {
+          changedTurns.delete(turn);
+          this.streamingTurns.add(turn);
+        }
+      }
+
+      if (this.streamingTurns.size > 0) {
+        this.performanceMonitor?.increment(
+          "streamingTurnsDeferred",
+          this.streamingTurns.size
+        );
+      }
+      if (changedTurns.size === 0) return;
+
+      this.performanceMonitor?.increment("turnsRescanned", changedTurns.size);
+      this.log.debug(
+        `Rescanning ${changedTurns.size} of ${turnElements.length} turns`
+      );
+      this.onRescan(turnElements, changedTurns);
+    };
+
+    try {
+      if (this.performanceMonitor) {
+        this.performanceMonitor.measure("rescan", run);
+      } else {
+        run();
+      }
+    } catch (error) {
+      this.log.error("Rescan failed:", error);
+    }
+  }
+
+  /**
+   * Find the turns containing the recorded changes, plus held-back streaming
+   * turns that are still on the page. Changes outside any turn are ignored.
+   * @param {Element[]} turnElements - All turns of the conversation
+   * @returns {Set<Element>} Changed turns
+   */
+  findChangedTurns(turnElements) {
+    const turnSet = new Set(turnElements);
+    const changedTurns = new Set();
+
+    for (const node of this.changedNodes) {
+      for (
+        let current = node;
+        current && current !== document.body;
+        current = current.parentNode
+      ) {
+        if (turnSet.has(current)) {
+          changedTurns.add(current);
+          break;
+        }
+      }
+    }
+    this.changedNodes.clear();
+
+    for (const turn of this.streamingTurns) {
+      if (turnSet.has(turn)) changedTurns.add(turn);
+    }
+    this.streamingTurns.clear();
+
+    return changedTurns;
+  }
+
+  /**
+   * Check whether ChatGPT is still writing a turn's response
+   * @param {Element} turn - Turn element
+   * @returns {boolean} True while streaming
+   */
+  isStreaming(turn) {
+    return selectorProfile.query("streamingResponse", turn) !== null;
+  }
+}
@@ -0,0 +1,152 @@
+// ============================================================================
+// KEYBOARD CONTROLLER CLASS
+// ============================================================================
+
+// Maps configurable key combos ("Alt+Shift+ArrowUp", "Mod+Shift+F") to named
+// actions. "Mod" matches Ctrl or Cmd. Letter and digit keys are matched by
+// physical key so Alt combos work on macOS layouts too.
+
+const DEFAULT_SHORTCUTS = {
+  focusPreviousTurn: "Alt+Shift+ArrowUp",
+  focusNextTurn: "Alt+Shift+ArrowDown",
+  previousVariant: "Alt+Shift+ArrowLeft",
+  nextVariant: "Alt+Shift+ArrowRight",
+  jumpToDivergence: "Alt+Shift+D",
+  toggleVisualization: "Alt+Shift+T",
+  openSearch: "Mod+Shift+F",
+};
+
+const SHORTCUT_DESCRIPTIONS = {
+  focusPreviousTurn: "Focus previous turn in the path bar",
+  focusNextTurn: "Focus next turn in the path bar",
+  previousVariant: "Previous variant of the focused turn",
+  nextVariant: "Next variant of the focused turn",
+  jumpToDivergence: "Jump to the previous branch point",
+  toggleVisualization: "Open or close the tree view",
+  openSearch: "Search all variants",
+};
+
+class KeyboardController {
+  /**
+   * @param {Object} actions - actionName -> handler(event)
+   * @param {Object} [shortcuts] - actionName -> combo overrides
+   */
+  constructor(actions, shortcuts = {}) {
+    this.actions = actions;
+    this.bindings = new Map(); // normalized combo -> action name
+    this.target = null;
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.log = debugLogger.get("keyboard");
+    this.setShortcuts(shortcuts);
+  }
+
+  /**
+   * Replace the active shortcuts (missing actions fall back to the defaults)
+   * @param {Object} overrides - actionName -> combo; empty string disables
+   */
+  setShortcuts(overrides = {}) {
+    this.shortcuts = { ...DEFAULT_SHORTCUTS, ...overrides };
+    this.bindings.clear();
+
+    for (const [action, combo] of Object.entries(this.shortcuts)) {
+      if (!combo || !this.actions[action]) continue;
+      for (const normalized of KeyboardController.expandCombo(combo)) {
+        this.bindings.set(normalized, action);
+      }
+    }
+  }
+
+  /**
+   * Start listening for shortcuts
+   * @param {EventTarget} target - Where to listen (capture phase)
+   */
+  attach(target = document) {
+    this.detach();
+    this.target = target;
+    target.addEventListener("keydown", this.handleKeyDown, true);
+  }
+
+  detach() {
+    if (this.target) {
+      this.target.removeEventListener("keydown", this.handleKeyDown, true);
+      this.target = null;
+    }
+  }
+
+  handleKeyDown(e) {
+    if (e.repeat && !/Arrow/.test(e.key)) return;
+    if (this.isTypingTarget(e.target)) return;
+
+    const action = this.bindings.get(KeyboardController.eventToCombo(e));
+    if (!action) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    try {
+      this.actions[action](e);
+    } catch (error) {
+      this.log.error(`Keyboard action ${action} failed:`, error);
+    }
+  }
+
+  /**
+   * Check whether the user is typing (composer, inputs, contenteditable)
+   * @param {EventTarget} target - Event target
+   * @returns {boolean} True if shortcuts should be ignored
+   */
+  isTypingTarget(target) {
+    if (!target || target.nodeType !== 1) return false;
+    if (target.isContentEditable) return true;
+    if (target.closest?.("#prompt-textarea, [contenteditable='true']")) {
+      return true;
+    }
+    return ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName);
+  }
+
+  /**
+   * Build a normalized combo string from a keyboard event
+   * @param {KeyboardEvent} e - Keyboard event
+   * @returns {string} Combo such as "Ctrl+Shift+F"
+   */
+  static eventToCombo(e) {
+    const parts = [];
+    if (e.ctrlKey) parts.push("Ctrl");
+    if (e.metaKey) parts.push("Meta");
+    if (e.altKey) parts.push("Alt");
+    if (e.shiftKey) parts.push("Shift");
+
+    let key = e.key;
+    if (/^Key[A-Z]$/.test(e.code || "")) key = e.code.slice(3);
+    else if (/^Digit[0-9]$/.test(e.code || "")) key = e.code.slice(5);
+    else if (key.length === 1) key = key.toUpperCase();
+
+    // A lone modifier press has no key part yet
+    if (!["Control", "Meta", "Alt", "Shift"].includes(key)) parts.push(key);
+    return parts.join("+");
+  }
+
+  /**
+   * Normalize a configured combo; "Mod" expands to both Ctrl and Meta
+   * @param {string} combo - Configured combo
+   * @returns {string[]} Normalized combos
+   */
+  static expandCombo(combo) {
+    const tokens = combo.split("+").map((token) => token.trim());
+    const key = tokens.pop();
+    const modifiers = new Set(tokens.map((token) => token.toLowerCase()));
+    const normalizedKey = key.length === 1 ? key.toUpperCase() : key;
+
+    const build = (primary) => {
+      const parts = [];
+      if (modifiers.has("ctrl") || primary === "Ctrl") parts.push("Ctrl");
+      if (modifiers.has("meta") || modifiers.has("cmd") || primary === "Meta")
+        parts.push("Meta");
+      if (modifiers.has("alt") || modifiers.has("option")) parts.push("Alt");
+      if (modifiers.has("shift")) parts.push("Shift");
+      parts.push(normalizedKey);
+      return parts.join("+");
+    };
+
+    return modifiers.has("mod") ? [build("Ctrl"), build("Meta")] : [build()];
+  }
+}
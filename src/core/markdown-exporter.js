@@ -0,0 +1,224 @@
+// ============================================================================
+// MARKDOWN EXPORTER CLASS
+// ============================================================================
+
+// Turns root-to-leaf paths of a lean tree into readable Markdown documents.
+
+class MarkdownExporter {
+  /**
+   * @param {Object} options - Export options
+   * @param {Function} [options.getBranchName] - (nodeId) => custom name or null
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Build child -> parent links from the children arrays of a lean tree
+   * @param {Object} leanState - Lean tree state { nodes: [], rootChildren: [] }
+   * @returns {{nodeMap: Map, parentMap: Map}} Node and parent lookups
+   */
+  indexTree(leanState) {
+    const nodeMap = new Map((leanState?.nodes || []).map((n) => [n.id, n]));
+    const parentMap = new Map();
+
+    for (const node of nodeMap.values()) {
+      for (const childId of node.children || []) {
+        if (nodeMap.has(childId)) parentMap.set(childId, node.id);
+      }
+    }
+
+    return { nodeMap, parentMap };
+  }
+
+  /**
+   * Get the path from the first turn through a node down to a leaf.
+   * Below the node, the active child (or the first one) is followed.
+   * @param {Object} leanState - Lean tree state
+   * @param {string} nodeId - Node the path must pass through
+   * @returns {Object[]} Lean nodes from root to leaf (empty if node unknown)
+   */
+  getPathThroughNode(leanState, nodeId) {
+    const { nodeMap, parentMap } = this.indexTree(leanState);
+    const node = nodeMap.get(nodeId);
+    if (!node) return [];
+
+    const path = [node];
+    let parentId = parentMap.get(node.id);
+    while (parentId) {
+      path.unshift(nodeMap.get(parentId));
+      parentId = parentMap.get(parentId);
+    }
+
+    let current = node;
+    while (current) {
+      const children = (current.children || [])
+        .map((id) => nodeMap.get(id))
+        .filter(Boolean);
+      current = children.find((c) => c.isActive) || children[0];
+      if (current) path.push(current);
+    }
+
+    return path;
+  }
+
+  /**
+   * Get the currently active root-to-leaf path (active variant at every turn)
+   * @param {Object} leanState - Lean tree state
+   * @returns {Object[]} Lean nodes from root to leaf
+   */
+  getActivePath(leanState) {
+    const { nodeMap } = this.indexTree(leanState);
+    const roots = (leanState?.rootChildren || [])
+      .map((id) => nodeMap.get(id))
+      .filter(Boolean);
+    const start = roots.find((n) => n.isActive) || roots[0];
+
+    return start ? this.getPathThroughNode(leanState, start.id) : [];
+  }
+
+  /**
+   * Get every root-to-leaf path of the tree
+   * @param {Object} leanState - Lean tree state
+   * @returns {Object[][]} Paths, each an array of lean nodes
+   */
+  getAllLeafPaths(leanState) {
+    const { nodeMap } = this.indexTree(leanState);
+    const paths = [];
+
+    const walk = (nodeId, path, visited) => {
+      const node = nodeMap.get(nodeId);
+      if (!node || visited.has(nodeId)) return;
+      visited.add(nodeId);
+
+      const nextPath = [...path, node];
+      const children = (node.children || []).filter((id) => nodeMap.has(id));
+      if (children.length === 0) {
+        paths.push(nextPath);
+      } else {
+        children.forEach((id) => walk(id, nextPath, new Set(visited)));
+      }
+    };
+
+    (leanState?.rootChildren || []).forEach((id) => walk(id, [], new Set()));
+
+    return paths;
+  }
+
+  /**
+   * Render paths as one Markdown document
+   * @param {Object} leanState - Lean tree state (used for variant counts)
+   * @param {Object[][]} paths - Paths to export
+   * @param {Object} meta - Document metadata
+   * @param {string} [meta.title] - Conversation title
+   * @param {string} [meta.conversationId] - Conversation ID
+   * @returns {string} Markdown text
+   */
+  toMarkdown(leanState, paths, meta = {}) {
+    const variantCounts = this.countVariantsPerTurn(leanState);
+    const lines = [`# ${meta.title || "ChatGPT Conversation"}`, ""];
+
+    if (meta.conversationId) {
+      lines.push(`Conversation: \`${meta.conversationId}\``);
+    }
+    lines.push(`Exported: ${new Date().toISOString()}`, "");
+
+    paths.forEach((path, index) => {
+      if (paths.length > 1) {
+        lines.push(`## Path ${index + 1} of ${paths.length}`, "");
+      }
+      lines.push(...this.renderPath(path, variantCounts), "---", "");
+    });
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Render the turns of a single path
+   * @param {Object[]} path - Lean nodes from root to leaf
+   * @param {Map} variantCounts - turnId -> number of known variants
+   * @returns {string[]} Markdown lines
+   */
+  renderPath(path, variantCounts) {
+    const lines = [];
+
+    for (const node of path) {
+      // Custom branch names start a new section
+      const customName = this.options.getBranchName?.(node.id);
+      if (customName) {
+        lines.push(`### ${customName}`, "");
+      }
+
+      const role = node.role === "user" ? "User" : "Assistant";
+      const total = variantCounts.get(node.turnId) || 1;
+      const variantLabel =
+        total > 1 ? ` · variant ${node.variantIndex || 1} of ${total}` : "";
+      lines.push(`#### ${role}${variantLabel}`, "");
+      lines.push(this.getNodeText(node), "");
+    }
+
+    return lines;
+  }
+
+  /**
+   * Count known variants of each turn
+   * @param {Object} leanState - Lean tree state
+   * @returns {Map} turnId -> variant count
+   */
+  countVariantsPerTurn(leanState) {
+    const counts = new Map();
+    for (const node of leanState?.nodes || []) {
+      counts.set(node.turnId, (counts.get(node.turnId) || 0) + 1);
+    }
+    return counts;
+  }
+
+  /**
+   * Get exportable text of a lean node
+   * @param {Object} node - Lean node
+   * @returns {string} Text, or a note for variants never opened
+   */
+  getNodeText(node) {
+    return (
+      this.getCapturedText(node) ??
+      "_(Text not captured - open this variant in ChatGPT first)_"
+    );
+  }
+
+  /**
+   * Get the captured text of a lean node (full text when captured)
+   * @param {Object} node - Lean node
+   * @returns {string|null} Text, or null for variants never opened
+   */
+  getCapturedText(node) {
+    if (node?.fullText) return node.fullText;
+
+    const text = node?.text == null ? "" : String(node.text).trim();
+
+    // Undiscovered variants only carry their variant number as text
+    if (!text || (!node.isDiscovered && /^[0-9]{1,3}$/.test(text))) {
+      return null;
+    }
+
+    return text;
+  }
+
+  /**
+   * Download Markdown text as a file
+   * @param {string} markdown - Markdown text
+   * @param {string} filename - File name
+   */
+  download(markdown, filename) {
+    const blob = new Blob([markdown], { type: "text/markdown;charset=utf-8" });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
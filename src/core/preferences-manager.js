@@ -0,0 +1,180 @@
+// ============================================================================
+// PREFERENCES MANAGER CLASS
+// ============================================================================
+
+// Extension-wide preferences, kept in chrome.storage.sync so they follow the
+// user across browsers. Edited on the options page; every open ChatGPT tab
+// hears about changes through chrome.storage.onChanged and applies them live.
+
+const PREFERENCES_STORAGE_KEY = "chatgpt_branching__preferences";
+
+const DEFAULT_PREFERENCES = {
+  defaultTabColor: "#3b82f6", // Accent of branches without a custom color
+  showBranchCounts: true, // "2/3" next to branching turns in the path bar
+  showPathBar: true,
+  autoSave: true, // Persist detected branches as they are discovered
+  clickDelay: 300, // ms between clicks on ChatGPT's Previous/Next buttons
+  settleDelay: 500, // ms to wait for ChatGPT to re-render after the last click
+  debugLogging: false,
+};
+
+// Bounds for the numeric preferences (ms)
+const PREFERENCE_LIMITS = {
+  clickDelay: { min: 50, max: 5000 },
+  settleDelay: { min: 100, max: 10000 },
+};
+
+class PreferencesManager {
+  /**
+   * @param {Object} [area] - chrome.storage area (sync, or local as fallback)
+   */
+  constructor(area = PreferencesManager.getDefaultArea()) {
+    this.area = area;
+    this.preferences = { ...DEFAULT_PREFERENCES };
+    this.callbacks = {
+      onPreferencesChanged: [],
+    };
+    this.handleStorageChange = this.handleStorageChange.bind(this);
+    this.log = debugLogger.get("preferences");
+  }
+
+  /**
+   * Pick chrome.storage.sync when available, chrome.storage.local otherwise
+   * @returns {Object|null} Storage area
+   */
+  static getDefaultArea() {
+    if (typeof chrome === "undefined" || !chrome.storage) return null;
+    return chrome.storage.sync || chrome.storage.local || null;
+  }
+
+  /**
+   * Load the stored preferences and start listening for changes
+   * @returns {Promise<Object>} Preferences (defaults for anything unset)
+   */
+  async load() {
+    try {
+      const result = this.area
+        ? await this.area.get(PREFERENCES_STORAGE_KEY)
+        : {};
+      this.preferences = PreferencesManager.sanitize(
+        result[PREFERENCES_STORAGE_KEY]
+      );
+    } catch (error) {
+      this.log.error("Failed to load preferences:", error);
+      this.preferences = { ...DEFAULT_PREFERENCES };
+    }
+
+    if (typeof chrome !== "undefined" && chrome.storage?.onChanged) {
+      chrome.storage.onChanged.removeListener(this.handleStorageChange);
+      chrome.storage.onChanged.addListener(this.handleStorageChange);
+    }
+    return this.getAll();
+  }
+
+  /**
+   * Get one preference
+   * @param {string} name - Preference name
+   * @returns {any} Value
+   */
+  get(name) {
+    return this.preferences[name];
+  }
+
+  /**
+   * Get a copy of every preference
+   * @returns {Object} Preferences
+   */
+  getAll() {
+    return { ...this.preferences };
+  }
+
+  /**
+   * Store changed preferences (listeners run via the storage change event)
+   * @param {Object} changes - name -> value
+   * @returns {Promise<boolean>} Success status
+   */
+  async save(changes) {
+    const next = PreferencesManager.sanitize({
+      ...this.preferences,
+      ...changes,
+    });
+
+    try {
+      await this.area.set({ [PREFERENCES_STORAGE_KEY]: next });
+      return true;
+    } catch (error) {
+      this.log.error("Failed to save preferences:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Restore every preference to its default
+   * @returns {Promise<boolean>} Success status
+   */
+  async reset() {
+    return this.save({ ...DEFAULT_PREFERENCES });
+  }
+
+  handleStorageChange(changes, areaName) {
+    const change = changes[PREFERENCES_STORAGE_KEY];
+    if (!change || !this.area || chrome.storage[areaName] !== this.area) {
+      return;
+    }
+
+    const previous = this.preferences;
+    this.preferences = PreferencesManager.sanitize(change.newValue);
+
+    const changedKeys = Object.keys(this.preferences).filter(
+      (key) => previous[key] !== this.preferences[key]
+    );
+    if (changedKeys.length > 0) {
+      this.notifyPreferencesChanged(changedKeys);
+    }
+  }
+
+  /**
+   * Merge stored values over the defaults, dropping anything malformed
+   * @param {Object} stored - Stored preferences
+   * @returns {Object} Complete, valid preferences
+   */
+  static sanitize(stored) {
+    const preferences = { ...DEFAULT_PREFERENCES };
+    if (!stored || typeof stored !== "object") return preferences;
+
+    for (const [name, fallback] of Object.entries(DEFAULT_PREFERENCES)) {
+      const value = stored[name];
+      if (typeof value !== typeof fallback) continue;
+
+      if (typeof fallback === "number") {
+        const { min, max } = PREFERENCE_LIMITS[name];
+        if (!Number.isFinite(value)) continue;
+        preferences[name] = Math.min(max, Math.max(min, Math.round(value)));
+      } else if (name === "defaultTabColor") {
+        if (/^#[0-9a-f]{6}$/i.test(value)) preferences[name] = value;
+      } else {
+        preferences[name] = value;
+      }
+    }
+
+    return preferences;
+  }
+
+  /**
+   * Register callback for preference changes
+   * @param {Function} callback - Called with (preferences, changedKeys)
+   */
+  onPreferencesChanged(callback) {
+    this.callbacks.onPreferencesChanged.push(callback);
+  }
+
+  notifyPreferencesChanged(changedKeys) {
+    this.callbacks.onPreferencesChanged.forEach((callback) => {
+      try {
+        callback(this.getAll(), changedKeys);
+      } catch (error) {
+        this.log.error("Error in onPreferencesChanged callback:", error);
+      }
+    });
+  }
+}
@@ -0,0 +1,69 @@
+// ============================================================================
+// ROUTE WATCHER CLASS
+// ============================================================================
+
+// ChatGPT is a single-page app: opening another chat from the sidebar, or a
+// new chat receiving its ID after the first message, changes the URL without
+// reloading the content script. Content scripts run in an isolated world, so
+// wrapping history.pushState here would never see the page's own calls.
+// Instead the watcher listens to the Navigation API and popstate where
+// available and polls location as the fallback that always works.
+
+class RouteWatcher {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onChange - Called with (url, previousUrl)
+   * @param {number} [options.pollInterval] - ms between location checks
+   */
+  constructor({ onChange, pollInterval = 1000 }) {
+    this.onChange = onChange;
+    this.pollInterval = pollInterval;
+    this.currentUrl = null;
+    this.pollTimer = null;
+    this.check = this.check.bind(this);
+    this.log = debugLogger.get("route-watcher");
+  }
+
+  /**
+   * Start watching for URL changes
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    this.currentUrl = location.href;
+    window.addEventListener("popstate", this.check);
+    if (typeof navigation !== "undefined" && navigation.addEventListener) {
+      navigation.addEventListener("currententrychange", this.check);
+    }
+    this.pollTimer = setInterval(this.check, this.pollInterval);
+  }
+
+  /**
+   * Stop watching for URL changes
+   */
+  stop() {
+    window.removeEventListener("popstate", this.check);
+    if (typeof navigation !== "undefined" && navigation.removeEventListener) {
+      navigation.removeEventListener("currententrychange", this.check);
+    }
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Report the URL if it changed since the last check. Hash changes are
+   * ignored, they never switch conversations.
+   */
+  check() {
+    const url = location.href;
+    if (url.split("#")[0] === this.currentUrl.split("#")[0]) return;
+
+    const previousUrl = this.currentUrl;
+    this.currentUrl = url;
+    try {
+      this.onChange(url, previousUrl);
+    } catch (error) {
+      this.log.error("Error in route change callback:", error);
+    }
+  }
+}
@@ -0,0 +1,212 @@
+// ============================================================================
+// SCHEMA MIGRATIONS
+// ============================================================================
+
+// Stored payloads carry a schema version. Each registry entry upgrades one
+// data type payload from one version to the next; SchemaMigrator chains the
+// steps until the payload reaches SCHEMA_VERSION. Add a new entry (and bump
+// SCHEMA_VERSION) whenever a stored shape changes.
+
+const SCHEMA_VERSION = "2.0.0";
+
+/**
+ * Migration registry: fromVersion -> { to, description, migrate(payload, dataType) }
+ * Unversioned payloads are treated as version "0.0.0".
+ */
+const SCHEMA_MIGRATIONS = {
+  "0.0.0": {
+    to: "1.0.0",
+    description: "Stamp unversioned payloads with the fields 1.0.0 required",
+    migrate(payload) {
+      return {
+        ...payload,
+        conversationId: payload.conversationId || null,
+        timestamp:
+          typeof payload.timestamp === "number" ? payload.timestamp : 0,
+      };
+    },
+  },
+
+  "1.0.0": {
+    to: "2.0.0",
+    description:
+      "Record the data type and normalize tree, lean tree and customization shapes",
+    migrate(payload, dataType) {
+      const upgraded = { ...payload, dataType };
+
+      switch (dataType) {
+        case "tree":
+          upgraded.treeData = migrateTupleTreeV2(payload.treeData);
+          break;
+        case "lean_tree":
+          upgraded.treeData = migrateLeanTreeV2(payload.treeData);
+          break;
+        case "customizations":
+          upgraded.customizations = migrateCustomizationsV2(
+            payload.customizations
+          );
+          break;
+        default:
+          break;
+      }
+
+      return upgraded;
+    },
+  },
+};
+
+/**
+ * 1.0.0 trees stored nodes as [nodeId, node] tuples (sanitizeTreeData);
+ * earlier builds stored a plain { nodeId: node } object. Both become tuples
+ * with array fields filled in.
+ * @param {Object} treeData - Stored tree data
+ * @returns {Object|null} Normalized tree data
+ */
+function migrateTupleTreeV2(treeData) {
+  if (!treeData || typeof treeData !== "object") return null;
+
+  const entries = Array.isArray(treeData.nodes)
+    ? treeData.nodes.filter((entry) => Array.isArray(entry) && entry[1])
+    : Object.entries(treeData.nodes || {});
+
+  return {
+    ...treeData,
+    nodeCount: treeData.nodeCount || entries.length,
+    rootBranches: Array.isArray(treeData.rootBranches)
+      ? treeData.rootBranches
+      : [],
+    currentPath: Array.isArray(treeData.currentPath)
+      ? treeData.currentPath
+      : [],
+    nodes: entries.map(([nodeId, node]) => [
+      nodeId,
+      {
+        ...node,
+        children: Array.isArray(node.children) ? node.children : [],
+        variants: Array.isArray(node.variants) ? node.variants : [],
+        branches: Array.isArray(node.branches) ? node.branches : [],
+      },
+    ]),
+  };
+}
+
+/**
+ * 1.0.0 lean trees stored plain node objects whose id is "<turnId>_v<n>";
+ * some lacked turnId/variantId/variantIndex or rootChildren. Derive them.
+ * @param {Object} treeData - Stored lean tree data
+ * @returns {Object|null} Normalized lean tree data
+ */
+function migrateLeanTreeV2(treeData) {
+  if (!treeData || typeof treeData !== "object") return null;
+
+  const sourceNodes = (
+    Array.isArray(treeData.nodes) ? treeData.nodes : []
+  ).filter((node) => node && typeof node === "object" && node.id);
+
+  const parentIds = new Map();
+  for (const node of sourceNodes) {
+    for (const childId of node.children || []) parentIds.set(childId, node.id);
+  }
+
+  const nodes = sourceNodes.map((node) => {
+    const match = String(node.id).match(/^(.*)_v(\d+)$/);
+    return {
+      ...node,
+      variantId: node.variantId || node.id,
+      turnId: node.turnId || (match ? match[1] : node.id),
+      variantIndex: node.variantIndex || (match ? Number(match[2]) : 1),
+      children: Array.isArray(node.children) ? node.children : [],
+      parentId: node.parentId ?? parentIds.get(node.id) ?? null,
+      isDiscovered: Boolean(node.isDiscovered),
+    };
+  });
+
+  let rootChildren = Array.isArray(treeData.rootChildren)
+    ? treeData.rootChildren
+    : null;
+  if (!rootChildren) {
+    // Roots are nodes no other node lists as a child
+    rootChildren = nodes
+      .filter((node) => !parentIds.has(node.id))
+      .map((node) => node.id);
+  }
+
+  return {
+    ...treeData,
+    nodeCount: nodes.length,
+    nodes,
+    rootChildren,
+  };
+}
+
+/**
+ * Keep only well-formed branch entries
+ * @param {Object} customizations - Stored customizations
+ * @returns {Object} Normalized customizations
+ */
+function migrateCustomizationsV2(customizations) {
+  const source =
+    customizations && typeof customizations === "object" ? customizations : {};
+  const branches = {};
+
+  for (const [nodeId, branch] of Object.entries(source.branches || {})) {
+    if (!branch || typeof branch !== "object") continue;
+    const entry = {};
+    if (typeof branch.name === "string") entry.name = branch.name;
+    if (typeof branch.color === "string") entry.color = branch.color;
+    if (Object.keys(entry).length > 0) branches[nodeId] = entry;
+  }
+
+  return { ...source, branches };
+}
+
+// ============================================================================
+// SCHEMA MIGRATOR CLASS
+// ============================================================================
+
+class SchemaMigrator {
+  constructor(migrations = SCHEMA_MIGRATIONS, targetVersion = SCHEMA_VERSION) {
+    this.migrations = migrations;
+    this.targetVersion = targetVersion;
+  }
+
+  /**
+   * Check whether a payload needs migrating
+   * @param {Object} payload - Stored payload
+   * @returns {boolean} True if its version differs from the target
+   */
+  needsMigration(payload) {
+    return (payload?.version || "0.0.0") !== this.targetVersion;
+  }
+
+  /**
+   * Upgrade a payload step by step to the target version
+   * @param {Object} payload - Stored payload
+   * @param {string} dataType - Storage data type (tree, lean_tree, customizations, metadata)
+   * @returns {Object} Upgraded payload
+   * @throws {Error} If no migration path exists from the payload's version
+   */
+  migrate(payload, dataType) {
+    let current = payload;
+    let version = payload.version || "0.0.0";
+
+    while (version !== this.targetVersion) {
+      const step = this.migrations[version];
+      if (!step) {
+        throw new Error(
+          `No migration from schema ${version} to ${this.targetVersion}`
+        );
+      }
+
+      current = { ...step.migrate(current, dataType), version: step.to };
+      version = step.to;
+    }
+
+    if (current !== payload) {
+      current.migratedFrom = payload.version || "0.0.0";
+      current.migrationTimestamp = Date.now();
+    }
+
+    return current;
+  }
+}
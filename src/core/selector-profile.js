@@ -0,0 +1,330 @@
+// ============================================================================
+// SELECTOR PROFILE
+// ============================================================================
+
+// Every ChatGPT DOM selector the extension relies on, in one place. Each key
+// lists fallbacks in order (newest ChatGPT markup first); the first one that
+// matches wins. Users can put their own selectors in front of the built-in
+// ones from the options page when ChatGPT changes its markup, and the
+// self-test reports which fallback matched on the current page.
+//
+// Bump SELECTOR_PROFILE_VERSION whenever the built-in fallbacks change, so
+// overrides written against an older profile can be flagged.
+
+const SELECTOR_PROFILE_VERSION = 2;
+
+// ChatGPT translates the aria-labels of its message buttons. Languages not
+// listed here still work through the structural lookup in findVariantButtons
+// (dom-utils.js), or by adding the label as a selector override.
+const LOCALIZED_BUTTON_LABELS = {
+  en: {
+    previous: "Previous response",
+    next: "Next response",
+    edit: "Edit message",
+  },
+  de: {
+    previous: "Vorherige Antwort",
+    next: "Nächste Antwort",
+    edit: "Nachricht bearbeiten",
+  },
+  fr: {
+    previous: "Réponse précédente",
+    next: "Réponse suivante",
+    edit: "Modifier le message",
+  },
+  es: {
+    previous: "Respuesta anterior",
+    next: "Respuesta siguiente",
+    edit: "Editar mensaje",
+  },
+  it: {
+    previous: "Risposta precedente",
+    next: "Risposta successiva",
+    edit: "Modifica messaggio",
+  },
+  pt: {
+    previous: "Resposta anterior",
+    next: "Próxima resposta",
+    edit: "Editar mensagem",
+  },
+  ru: {
+    previous: "Предыдущий ответ",
+    next: "Следующий ответ",
+    edit: "Редактировать сообщение",
+  },
+  ja: {
+    previous: "前の回答",
+    next: "次の回答",
+    edit: "メッセージを編集する",
+  },
+  zh: {
+    previous: "上一条回复",
+    next: "下一条回复",
+    edit: "编辑消息",
+  },
+  ko: {
+    previous: "이전 응답",
+    next: "다음 응답",
+    edit: "메시지 편집",
+  },
+  ar: {
+    previous: "الرد السابق",
+    next: "الرد التالي",
+    edit: "تعديل الرسالة",
+  },
+};
+
+/**
+ * Build button selectors for one label kind in every known language
+ * @param {string} kind - "previous", "next" or "edit"
+ * @returns {string[]} Selectors, English first
+ */
+function localizedButtonSelectors(kind) {
+  return Object.values(LOCALIZED_BUTTON_LABELS).map(
+    (labels) => `button[aria-label="${labels[kind]}"]`
+  );
+}
+
+const DEFAULT_SELECTOR_PROFILE = {
+  conversationContainer: {
+    description: "Element that holds the conversation",
+    fallbacks: [
+      'main[role="main"]',
+      "main",
+      '[role="main"]',
+      ".conversation-container",
+      "#__next main",
+      'div[class*="conversation"]',
+      'div[class*="flex-1"]',
+      'div[class*="overflow"]',
+      ".h-full",
+      "div.flex-1.overflow-hidden",
+    ],
+  },
+  conversationTurn: {
+    description: "One message turn of the conversation",
+    fallbacks: [
+      '[data-testid="conversation-turn"]',
+      "article",
+      'li[role="listitem"]',
+      'div[class*="turn"]',
+      'div[class*="message"]',
+      "div[data-message-author-role]",
+      "div[data-message-id]",
+      ".group\\/conversation-turn",
+      ".group.w-full",
+      "div.group",
+      "main > div > div",
+      'main div[class*="flex"]',
+      'div[class*="conversation"] > div',
+    ],
+  },
+  variantCounter: {
+    description: 'Variant counter such as "2/3" inside a turn',
+    fallbacks: [".tabular-nums"],
+  },
+  previousVariantButton: {
+    description: "Button that shows the previous variant",
+    fallbacks: localizedButtonSelectors("previous"),
+  },
+  nextVariantButton: {
+    description: "Button that shows the next variant",
+    fallbacks: localizedButtonSelectors("next"),
+  },
+  editMessageButton: {
+    description: "Edit button on user messages",
+    fallbacks: localizedButtonSelectors("edit"),
+  },
+  streamingResponse: {
+    description: "Marker inside a turn while its response is being written",
+    fallbacks: [".result-streaming", '[data-is-streaming="true"]'],
+  },
+  pageHeader: {
+    description: "Page header the conversation path bar is added to",
+    fallbacks: ["#page-header"],
+  },
+  messageContent: {
+    description: "Rendered message body used for full text capture",
+    fallbacks: [
+      "[data-message-author-role]",
+      ".message-content",
+      ".turn-content",
+      "[data-message-content]",
+    ],
+  },
+  messagePreview: {
+    description: "Element whose text becomes a variant preview",
+    fallbacks: [
+      ".message-content",
+      ".turn-content",
+      "[data-message-content]",
+      "p",
+      'div[class*="content"]',
+    ],
+  },
+};
+
+class SelectorProfile {
+  /**
+   * @param {Object} [profile] - Built-in profile: key -> { description, fallbacks }
+   */
+  constructor(profile = DEFAULT_SELECTOR_PROFILE) {
+    this.profile = profile;
+    this.version = SELECTOR_PROFILE_VERSION;
+    this.overrides = {}; // key -> selectors tried before the built-in ones
+    this.log = debugLogger.get("selectors");
+  }
+
+  /**
+   * Use selector overrides in front of the built-in fallbacks
+   * @param {Object} [stored] - { profileVersion, selectors: key -> string[] }
+   * @returns {string[]} Problems found (unknown keys, invalid selectors)
+   */
+  setOverrides(stored) {
+    const { overrides, errors } = SelectorProfile.validateOverrides(
+      stored?.selectors || {},
+      this.profile
+    );
+    this.overrides = overrides;
+
+    if (stored?.profileVersion && stored.profileVersion < this.version) {
+      errors.push(
+        `Overrides were written for selector profile ${stored.profileVersion}; the built-in profile is now ${this.version}`
+      );
+    }
+    errors.forEach((error) => this.log.warn("Selector override:", error));
+    return errors;
+  }
+
+  /**
+   * Get the selectors tried for a key, overrides first
+   * @param {string} key - Profile key
+   * @returns {string[]} Selectors in order
+   */
+  getSelectors(key) {
+    const builtIn = this.profile[key]?.fallbacks || [];
+    return [...(this.overrides[key] || []), ...builtIn];
+  }
+
+  /**
+   * Get all selectors of a key as one selector list (for matches/closest)
+   * @param {string} key - Profile key
+   * @returns {string} Comma separated selectors
+   */
+  getSelector(key) {
+    return this.getSelectors(key).join(", ");
+  }
+
+  /**
+   * Find the first element matched by the first matching fallback
+   * @param {string} key - Profile key
+   * @param {ParentNode} [root] - Where to search
+   * @returns {Element|null} Element or null
+   */
+  query(key, root = document) {
+    for (const selector of this.getSelectors(key)) {
+      try {
+        const element = root.querySelector(selector);
+        if (element) return element;
+      } catch (error) {
+        this.log.warn(`Error with ${key} selector "${selector}":`, error);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find all elements of the first fallback that matches anything
+   * @param {string} key - Profile key
+   * @param {ParentNode} [root] - Where to search
+   * @returns {Element[]} Elements (empty if no fallback matches)
+   */
+  queryAll(key, root = document) {
+    for (const selector of this.getSelectors(key)) {
+      try {
+        const elements = root.querySelectorAll(selector);
+        if (elements.length > 0) return Array.from(elements);
+      } catch (error) {
+        this.log.warn(`Error with ${key} selector "${selector}":`, error);
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Report which fallback of every key matches on a page
+   * @param {ParentNode} [root] - Page to test
+   * @returns {Object} { profileVersion, timestamp, url, results: [{ key,
+   *   description, matched, tried: [{ selector, source, count, error }] }] }
+   */
+  selfTest(root = document) {
+    const results = Object.entries(this.profile).map(([key, entry]) => {
+      const overrides = this.overrides[key] || [];
+      const tried = this.getSelectors(key).map((selector, index) => {
+        const source = index < overrides.length ? "override" : "built-in";
+        try {
+          return {
+            selector,
+            source,
+            count: root.querySelectorAll(selector).length,
+          };
+        } catch (error) {
+          return { selector, source, count: 0, error: error.message };
+        }
+      });
+
+      return {
+        key,
+        description: entry.description,
+        matched: tried.find((attempt) => attempt.count > 0)?.selector || null,
+        tried,
+      };
+    });
+
+    return {
+      profileVersion: this.version,
+      timestamp: Date.now(),
+      url: typeof location !== "undefined" ? location.href : null,
+      results,
+    };
+  }
+
+  /**
+   * Keep only well-formed overrides for known keys
+   * @param {Object} selectors - key -> string[] (or newline separated string)
+   * @param {Object} [profile] - Profile the keys must exist in
+   * @returns {{overrides: Object, errors: string[]}} Valid overrides and problems
+   */
+  static validateOverrides(selectors, profile = DEFAULT_SELECTOR_PROFILE) {
+    const overrides = {};
+    const errors = [];
+
+    for (const [key, value] of Object.entries(selectors || {})) {
+      if (!profile[key]) {
+        errors.push(`Unknown selector key "${key}"`);
+        continue;
+      }
+
+      const list = (Array.isArray(value) ? value : String(value).split("\n"))
+        .map((selector) => String(selector).trim())
+        .filter(Boolean);
+
+      const valid = list.filter((selector) => {
+        try {
+          document.createDocumentFragment().querySelector(selector);
+          return true;
+        } catch (error) {
+          errors.push(`Invalid ${key} selector "${selector}"`);
+          return false;
+        }
+      });
+
+      if (valid.length > 0) overrides[key] = valid;
+    }
+
+    return { overrides, errors };
+  }
+}
+
+// Shared instance used by dom-utils.js, branch-detector.js and content.js
+const selectorProfile = new SelectorProfile();
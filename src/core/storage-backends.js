@@ -0,0 +1,146 @@
+// ============================================================================
+// STORAGE BACKENDS
+// ============================================================================
+
+// Key/value stores used by StorageManager. Every backend stores string values
+// and exposes the same async interface: get, set, remove, keys.
+
+/**
+ * chrome.storage.local backend (preferred; unlimited with "unlimitedStorage")
+ */
+class ChromeStorageBackend {
+  constructor(area = chrome.storage.local) {
+    this.area = area;
+    this.name = "chrome.storage.local";
+  }
+
+  /**
+   * Check whether chrome.storage.local can be used in this context
+   * @returns {boolean} True if available
+   */
+  static isAvailable() {
+    return (
+      typeof chrome !== "undefined" &&
+      !!chrome.storage &&
+      !!chrome.storage.local
+    );
+  }
+
+  async get(key) {
+    const result = await this.area.get(key);
+    return result[key] ?? null;
+  }
+
+  async set(key, value) {
+    await this.area.set({ [key]: value });
+  }
+
+  async remove(keys) {
+    await this.area.remove(keys);
+  }
+
+  async keys() {
+    // getKeys avoids reading every value (Chrome 130+)
+    if (typeof this.area.getKeys === "function") {
+      return this.area.getKeys();
+    }
+    return Object.keys(await this.area.get(null));
+  }
+}
+
+/**
+ * IndexedDB backend (fallback when chrome.storage is unavailable)
+ */
+class IndexedDBBackend {
+  constructor(dbName = "chatgpt_branching", storeName = "entries") {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.name = "indexedDB";
+    this.dbPromise = null;
+  }
+
+  /**
+   * Check whether IndexedDB can be used in this context
+   * @returns {boolean} True if available
+   */
+  static isAvailable() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  /**
+   * Open (and create on first use) the database
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single request against the object store
+   * @param {string} mode - Transaction mode ("readonly" or "readwrite")
+   * @param {Function} operation - (store) => IDBRequest
+   * @returns {Promise<any>} Request result
+   */
+  async runRequest(mode, operation) {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  async get(key) {
+    const value = await this.runRequest("readonly", (store) => store.get(key));
+    return value ?? null;
+  }
+
+  async set(key, value) {
+    await this.runRequest("readwrite", (store) => store.put(value, key));
+  }
+
+  async remove(keys) {
+    const keyList = Array.isArray(keys) ? keys : [keys];
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, "readwrite");
+      const store = transaction.objectStore(this.storeName);
+      keyList.forEach((key) => store.delete(key));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async keys() {
+    const keys = await this.runRequest("readonly", (store) =>
+      store.getAllKeys()
+    );
+    return keys.map(String);
+  }
+}
+
+/**
+ * Pick the best backend available in the current context
+ * @returns {ChromeStorageBackend|IndexedDBBackend} Storage backend
+ */
+function createStorageBackend() {
+  if (ChromeStorageBackend.isAvailable()) {
+    return new ChromeStorageBackend();
+  }
+  if (IndexedDBBackend.isAvailable()) {
+    return new IndexedDBBackend();
+  }
+  throw new Error("No persistent storage backend available");
+}
@@ -2,12 +2,144 @@
 // STORAGE MANAGER CLASS
 // ============================================================================
 
+// Dependencies: createStorageBackend from storage-backends.js,
+// CompressionCodec from compression-codec.js, SchemaMigrator and
+// SCHEMA_VERSION from schema-migrations.js, TurnIdentity from turn-identity.js
+
 class StorageManager {
-  constructor() {
+  /**
+   * @param {Object} [backend] - Key/value backend (defaults to chrome.storage.local,
+   *   falling back to IndexedDB)
+   */
+  constructor(backend = createStorageBackend()) {
+    this.log = debugLogger.get("storage");
+    this.backend = backend;
     this.storagePrefix = "chatgpt_branching_";
-    this.currentVersion = "1.0.0";
+    // Old TreeBuilder snapshots: tree_<conversation UUID>, the ID format
+    // extractConversationId reads from ChatGPT URLs. Other tree_* keys belong
+    // to chatgpt.com and are left alone.
+    this.legacySnapshotPattern = /^tree_([a-f0-9-]{36})$/i;
+    this.currentVersion = SCHEMA_VERSION;
+    this.migrator = new SchemaMigrator();
     this.maxStorageSize = 100 * 1024 * 1024; // 100MB limit
     this.compressionThreshold = 1024; // Compress data larger than 1KB
+    this.retentionInterval = 24 * 60 * 60 * 1000; // Retention runs once a day
+    this.codec = new CompressionCodec();
+    this.migrationPromise = null;
+    this.contentWriteQueue = Promise.resolve(); // Serializes content store updates
+  }
+
+  // ================= BACKEND ACCESS =================
+  /**
+   * Read a raw value, migrating legacy localStorage data first
+   * @param {string} key - Storage key
+   * @returns {Promise<string|null>} Stored value or null
+   */
+  async getItem(key) {
+    await this.ensureMigrated();
+    return this.backend.get(key);
+  }
+
+  /**
+   * Write a raw value
+   * @param {string} key - Storage key
+   * @param {string} value - Serialized value
+   * @returns {Promise<void>}
+   */
+  async setItem(key, value) {
+    await this.ensureMigrated();
+    return this.backend.set(key, value);
+  }
+
+  /**
+   * Remove one or more keys
+   * @param {string|string[]} keys - Storage key(s)
+   * @returns {Promise<void>}
+   */
+  async removeItems(keys) {
+    await this.ensureMigrated();
+    return this.backend.remove(keys);
+  }
+
+  /**
+   * Get every key owned by the extension
+   * @returns {Promise<string[]>} Storage keys
+   */
+  async getAllKeys() {
+    await this.ensureMigrated();
+    const keys = await this.backend.keys();
+    return keys.filter((key) => key.startsWith(this.storagePrefix));
+  }
+
+  /**
+   * Run the localStorage migration once per StorageManager instance
+   * @returns {Promise<void>}
+   */
+  ensureMigrated() {
+    if (!this.migrationPromise) {
+      this.migrationPromise = this.migrateFromLocalStorage().catch((error) => {
+        this.log.error("Failed to migrate localStorage data:", error);
+      });
+    }
+    return this.migrationPromise;
+  }
+
+  /**
+   * Move data written by older versions into the backend. Covers every
+   * chatgpt_branching_* key (trees, lean trees, customizations, metadata)
+   * and the tree_<conversation UUID> snapshots written by TreeBuilder.
+   * Existing backend values win; migrated keys are removed from localStorage.
+   * @returns {Promise<number>} Number of keys migrated
+   */
+  async migrateFromLocalStorage() {
+    if (typeof localStorage === "undefined") return 0;
+
+    const legacyKeys = Object.keys(localStorage).filter(
+      (key) =>
+        key.startsWith(this.storagePrefix) ||
+        this.isLegacySnapshotKey(key, localStorage.getItem(key))
+    );
+    if (legacyKeys.length === 0) return 0;
+
+    const existingKeys = new Set(await this.backend.keys());
+    let migrated = 0;
+
+    for (const legacyKey of legacyKeys) {
+      const value = localStorage.getItem(legacyKey);
+      const key = legacyKey.startsWith(this.storagePrefix)
+        ? legacyKey
+        : this.getStorageKey(
+            legacyKey.match(this.legacySnapshotPattern)[1],
+            "snapshot"
+          );
+
+      if (!existingKeys.has(key)) {
+        await this.backend.set(key, value);
+        migrated++;
+      }
+      localStorage.removeItem(legacyKey);
+    }
+
+    this.log.info(
+      `Migrated ${migrated} stored entries from localStorage to ${this.backend.name}`
+    );
+    return migrated;
+  }
+
+  /**
+   * Check whether a localStorage entry is a TreeBuilder snapshot
+   * (tree_<conversation UUID> holding a JSON array)
+   * @param {string} key - localStorage key
+   * @param {string} value - localStorage value
+   * @returns {boolean} True if it is a legacy snapshot
+   */
+  isLegacySnapshotKey(key, value) {
+    if (!this.legacySnapshotPattern.test(key)) return false;
+    try {
+      return Array.isArray(JSON.parse(value));
+    } catch (error) {
+      return false;
+    }
   }
 
   /**
@@ -22,7 +154,7 @@ class StorageManager {
   }
 
   /**
-   * Save conversation tree to localStorage
+   * Save conversation tree
    * @param {string} conversationId - Conversation ID
    * @param {Object} treeData - Tree data from TreeBuilder
    * @returns {Promise<boolean>} Success status
@@ -36,6 +168,7 @@ class StorageManager {
         version: this.currentVersion,
         timestamp: Date.now(),
         conversationId,
+        dataType: "tree",
         treeData: this.sanitizeTreeData(treeData),
       };
 
@@ -43,60 +176,46 @@ class StorageManager {
       const serializedData = JSON.stringify(dataToSave);
       const finalData =
         serializedData.length > this.compressionThreshold
-          ? this.compressData(serializedData)
+          ? await this.compressData(serializedData)
           : serializedData;
 
       // Check storage size
       if (this.getDataSize(finalData) > this.maxStorageSize) {
-        console.warn("Tree data exceeds storage limit, performing cleanup");
+        this.log.warn("Tree data exceeds storage limit, performing cleanup");
         await this.performStorageCleanup();
       }
 
-      localStorage.setItem(key, finalData);
+      await this.setItem(key, finalData);
 
       return true;
     } catch (error) {
-      console.error("Failed to save conversation tree:", error);
+      this.log.error("Failed to save conversation tree:", error);
       return false;
     }
   }
 
   /**
-   * Load conversation tree from localStorage
+   * Load conversation tree
    * @param {string} conversationId - Conversation ID
    * @returns {Promise<Object|null>} Tree data or null if not found
    */
   async loadConversationTree(conversationId) {
     try {
       const key = this.getStorageKey(conversationId, "tree");
-      const rawData = localStorage.getItem(key);
-
-      if (!rawData) {
-        const allKeys = Object.keys(localStorage).filter((k) =>
-          k.startsWith(this.storagePrefix)
-        );
-
+      if (!(await this.getItem(key))) {
         return null;
       }
 
-      // Decompress if needed
-      const serializedData = this.isCompressed(rawData)
-        ? this.decompressData(rawData)
-        : rawData;
-
-      const parsedData = JSON.parse(serializedData);
-
-      // Validate and migrate if needed
-      const validatedData = await this.validateAndMigrate(parsedData);
+      const validatedData = await this.readPayload(conversationId, "tree");
 
       if (!validatedData) {
-        console.warn(`Invalid tree data for conversation ${conversationId}`);
+        this.log.warn(`Invalid tree data for conversation ${conversationId}`);
         return null;
       }
 
       return validatedData.treeData;
     } catch (error) {
-      console.error("Failed to load conversation tree:", error);
+      this.log.error("Failed to load conversation tree:", error);
       return null;
     }
   }
@@ -115,13 +234,14 @@ class StorageManager {
         version: this.currentVersion,
         timestamp: Date.now(),
         conversationId,
+        dataType: "customizations",
         customizations: this.sanitizeCustomizations(customizations),
       };
 
-      localStorage.setItem(key, JSON.stringify(dataToSave));
+      await this.setItem(key, JSON.stringify(dataToSave));
       return true;
     } catch (error) {
-      console.error("Failed to save customizations:", error);
+      this.log.error("Failed to save customizations:", error);
       return false;
     }
   }
@@ -133,15 +253,10 @@ class StorageManager {
    */
   async loadCustomizations(conversationId) {
     try {
-      const key = this.getStorageKey(conversationId, "customizations");
-      const rawData = localStorage.getItem(key);
-
-      if (!rawData) {
-        return this.getDefaultCustomizations();
-      }
-
-      const parsedData = JSON.parse(rawData);
-      const validatedData = await this.validateAndMigrate(parsedData);
+      const validatedData = await this.readPayload(
+        conversationId,
+        "customizations"
+      );
 
       if (!validatedData) {
         return this.getDefaultCustomizations();
@@ -152,7 +267,7 @@ class StorageManager {
         ...validatedData.customizations,
       };
     } catch (error) {
-      console.error("Failed to load customizations:", error);
+      this.log.error("Failed to load customizations:", error);
       return this.getDefaultCustomizations();
     }
   }
@@ -178,7 +293,7 @@ class StorageManager {
 
       return await this.saveCustomizations(conversationId, customizations);
     } catch (error) {
-      console.error("Failed to update customization:", error);
+      this.log.error("Failed to update customization:", error);
       return false;
     }
   }
@@ -313,28 +428,66 @@ class StorageManager {
   }
 
   /**
-   * Validate and migrate stored data
+   * Read, decompress, validate and migrate a stored payload. Upgraded
+   * payloads are written back so each migration runs only once.
+   * @param {string} conversationId - Conversation ID
+   * @param {string} dataType - Type of data (tree, lean_tree, customizations, metadata, content)
+   * @returns {Promise<Object|null>} Payload at the current schema, or null
+   */
+  async readPayload(conversationId, dataType) {
+    const key = this.getStorageKey(conversationId, dataType);
+    const rawData = await this.getItem(key);
+    if (!rawData) return null;
+
+    const parsedData = JSON.parse(await this.decompressData(rawData));
+    const needsMigration = this.migrator.needsMigration(parsedData);
+    const validatedData = await this.validateAndMigrate(
+      parsedData,
+      dataType,
+      conversationId
+    );
+
+    if (validatedData && needsMigration) {
+      const serialized = JSON.stringify(validatedData);
+      await this.setItem(
+        key,
+        this.isCompressed(rawData)
+          ? await this.compressData(serialized)
+          : serialized
+      );
+    }
+
+    return validatedData;
+  }
+
+  /**
+   * Validate and migrate stored data. Data is never dropped for its age;
+   * removal is left to the retention policy.
    * @param {Object} data - Stored data
+   * @param {string} dataType - Type of data (tree, lean_tree, customizations, metadata)
+   * @param {string} [conversationId] - Owner, for payloads saved without one
    * @returns {Promise<Object|null>} Validated data or null if invalid
    */
-  async validateAndMigrate(data) {
+  async validateAndMigrate(data, dataType, conversationId) {
     if (!data || typeof data !== "object") {
       return null;
     }
 
-    // Check version and migrate if needed
-    if (!data.version || data.version !== this.currentVersion) {
-      data = await this.migrateData(data);
+    // Upgrade step by step through the migration registry
+    if (this.migrator.needsMigration(data)) {
+      try {
+        data = this.migrator.migrate(data, dataType);
+      } catch (error) {
+        this.log.error(`Failed to migrate stored ${dataType} data:`, error);
+        return null;
+      }
     }
 
     // Validate required fields
-    if (!data.conversationId || !data.timestamp) {
-      return null;
+    if (!data.conversationId && conversationId) {
+      data = { ...data, conversationId };
     }
-
-    // Check if data is too old (older than 30 days)
-    const maxAge = 30 * 24 * 60 * 60 * 1000; // 30 days
-    if (Date.now() - data.timestamp > maxAge) {
+    if (!data.conversationId) {
       return null;
     }
 
@@ -342,51 +495,30 @@ class StorageManager {
   }
 
   /**
-   * Migrate data between versions
-   * @param {Object} data - Old version data
-   * @returns {Promise<Object>} Migrated data
-   */
-  async migrateData(data) {
-    // For now, just update version and preserve data
-    // Future migrations can be added here
-    return {
-      ...data,
-      version: this.currentVersion,
-      migrated: true,
-      migrationTimestamp: Date.now(),
-    };
-  }
-
-  /**
-   * Simple compression using JSON string manipulation
+   * Compress serialized data (deflate with a versioned header)
    * @param {string} data - Data to compress
-   * @returns {string} Compressed data with marker
+   * @returns {Promise<string>} Compressed data, or the input if not smaller
    */
-  compressData(data) {
-    // Simple compression: remove extra whitespace and add compression marker
-    const compressed = data.replace(/\s+/g, " ").trim();
-    return `__COMPRESSED__${compressed}`;
+  async compressData(data) {
+    return this.codec.compress(data);
   }
 
   /**
-   * Decompress data
-   * @param {string} data - Compressed data
-   * @returns {string} Decompressed data
+   * Decompress data in the current or legacy format (plain data passes through)
+   * @param {string} data - Stored data
+   * @returns {Promise<string>} Decompressed data
    */
-  decompressData(data) {
-    if (this.isCompressed(data)) {
-      return data.substring("__COMPRESSED__".length);
-    }
-    return data;
+  async decompressData(data) {
+    return this.codec.decompress(data);
   }
 
   /**
-   * Check if data is compressed
+   * Check if data is compressed (current or legacy format)
    * @param {string} data - Data to check
    * @returns {boolean} True if compressed
    */
   isCompressed(data) {
-    return typeof data === "string" && data.startsWith("__COMPRESSED__");
+    return this.codec.isCompressed(data);
   }
 
   /**
@@ -399,20 +531,24 @@ class StorageManager {
   }
 
   /**
-   * Perform storage cleanup when approaching limits
+   * Perform storage cleanup when approaching limits. Extension settings
+   * (retention, overrides, shortcuts, ...) carry no timestamp and are never
+   * removed; only conversation data is.
    * @returns {Promise<void>}
    */
   async performStorageCleanup() {
     try {
-      const keys = Object.keys(localStorage).filter((key) =>
-        key.startsWith(this.storagePrefix)
+      const settingsPrefix = this.getSettingsKey("");
+      const keys = (await this.getAllKeys()).filter(
+        (key) => !key.startsWith(settingsPrefix)
       );
 
       // Sort by timestamp (oldest first)
       const keyData = [];
       for (const key of keys) {
         try {
-          const data = JSON.parse(localStorage.getItem(key));
+          const raw = await this.getItem(key);
+          const data = JSON.parse(await this.decompressData(raw));
           keyData.push({ key, timestamp: data.timestamp || 0 });
         } catch (error) {
           // Invalid data, mark for removal
@@ -424,11 +560,11 @@ class StorageManager {
 
       // Remove oldest 25% of entries
       const toRemove = Math.ceil(keyData.length * 0.25);
-      for (let i = 0; i < toRemove; i++) {
-        localStorage.removeItem(keyData[i].key);
-      }
+      await this.removeItems(
+        keyData.slice(0, toRemove).map((entry) => entry.key)
+      );
     } catch (error) {
-      console.error("Failed to perform storage cleanup:", error);
+      this.log.error("Failed to perform storage cleanup:", error);
     }
   }
 
@@ -439,18 +575,15 @@ class StorageManager {
    */
   async clearConversation(conversationId) {
     try {
-      const keys = [
-        this.getStorageKey(conversationId, "tree"),
-        this.getStorageKey(conversationId, "customizations"),
-        this.getStorageKey(conversationId, "metadata"),
-      ];
+      const prefix = `${this.storagePrefix}${conversationId}_`;
+      const keys = (await this.getAllKeys()).filter((key) =>
+        key.startsWith(prefix)
+      );
 
-      for (const key of keys) {
-        localStorage.removeItem(key);
-      }
+      await this.removeItems(keys);
       return true;
     } catch (error) {
-      console.error("Failed to clear conversation data:", error);
+      this.log.error("Failed to clear conversation data:", error);
       return false;
     }
   }
@@ -485,6 +618,7 @@ class StorageManager {
         version: this.currentVersion,
         timestamp: Date.now(),
         conversationId,
+        dataType: "lean_tree",
         treeData: {
           nodeCount: leanState.nodeCount,
           nodes: leanState.nodes, // plain node objects
@@ -494,39 +628,623 @@ class StorageManager {
       const serialized = JSON.stringify(payload);
       const finalData =
         serialized.length > this.compressionThreshold
-          ? this.compressData(serialized)
+          ? await this.compressData(serialized)
           : serialized;
-      localStorage.setItem(key, finalData);
+      await this.setItem(key, finalData);
+      this.log.info("Saved lean tree", {
+        conversationId,
+        nodeCount: leanState.nodeCount,
+        bytes: finalData.length,
+      });
       return true;
     } catch (e) {
-      console.error("Failed to save lean tree:", e);
+      this.log.error("Failed to save lean tree:", e);
       return false;
     }
   }
 
   async loadLeanTree(conversationId) {
     try {
-      const key = this.getStorageKey(conversationId, "lean_tree");
-      const raw = localStorage.getItem(key);
-      if (!raw) return null;
-      const serialized = this.isCompressed(raw)
-        ? this.decompressData(raw)
-        : raw;
-      const parsed = JSON.parse(serialized);
-      const validated = await this.validateAndMigrate(parsed);
+      const validated = await this.readPayload(conversationId, "lean_tree");
       if (!validated) return null;
       const td = validated.treeData;
       return {
         nodeCount: td.nodeCount || (td.nodes ? td.nodes.length : 0),
         nodes: td.nodes || [],
         rootChildren: td.rootChildren || [],
+        timestamp: validated.timestamp,
       };
     } catch (e) {
-      console.error("Failed to load lean tree:", e);
+      this.log.error("Failed to load lean tree:", e);
+      return null;
+    }
+  }
+
+  // ================= TREE SNAPSHOTS =================
+  /**
+   * Save a TreeBuilder snapshot (formerly localStorage key tree_<conversationId>)
+   * @param {string} conversationId - Conversation ID
+   * @param {Object[]} snapshot - Snapshot array from buildCurrentTreeSnapshot
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveTreeSnapshot(conversationId, snapshot) {
+    try {
+      const key = this.getStorageKey(conversationId, "snapshot");
+      await this.setItem(key, JSON.stringify(snapshot));
+      return true;
+    } catch (error) {
+      this.log.error("Failed to save tree snapshot:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Load a TreeBuilder snapshot
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object[]|null>} Snapshot array or null if not found
+   */
+  async loadTreeSnapshot(conversationId) {
+    try {
+      const key = this.getStorageKey(conversationId, "snapshot");
+      const rawData = await this.getItem(key);
+      if (!rawData) return null;
+
+      const snapshot = JSON.parse(rawData);
+      return Array.isArray(snapshot) ? snapshot : null;
+    } catch (error) {
+      this.log.error("Failed to load tree snapshot:", error);
+      return null;
+    }
+  }
+
+  // ================= VARIANT CONTENT =================
+  /**
+   * Hash captured content so identical variants share one stored copy
+   * @param {string} text - Content text
+   * @returns {Promise<string>} Hex SHA-256 digest (simpleHash-style fallback)
+   */
+  async hashContent(text) {
+    if (typeof crypto !== "undefined" && crypto.subtle) {
+      const digest = await crypto.subtle.digest(
+        "SHA-256",
+        new TextEncoder().encode(text)
+      );
+      return Array.from(new Uint8Array(digest))
+        .map((byte) => byte.toString(16).padStart(2, "0"))
+        .join("");
+    }
+
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+    }
+    return `${Math.abs(hash).toString(16)}_${text.length}`;
+  }
+
+  /**
+   * Load the full-content store of a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<{contents: Object, refs: Object}>} hash -> content and
+   *   variantId -> hash (empty when nothing was captured)
+   */
+  async loadContentStore(conversationId) {
+    try {
+      const validated = await this.readPayload(conversationId, "content");
+      return {
+        contents: validated?.contents || {},
+        refs: validated?.refs || {},
+      };
+    } catch (error) {
+      this.log.error("Failed to load variant contents:", error);
+      return { contents: {}, refs: {} };
+    }
+  }
+
+  /**
+   * Store captured variant contents. Contents are keyed by hash, so variants
+   * with the same text share one entry; entries no variant points to any
+   * more (e.g. a partially streamed answer) are dropped.
+   * @param {string} conversationId - Conversation ID
+   * @param {Array<{variantId: string, text: string, codeBlocks: Array}>} captures
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveVariantContents(conversationId, captures) {
+    const write = async () => {
+      const store = await this.loadContentStore(conversationId);
+      let changed = false;
+
+      for (const { variantId, text, codeBlocks } of captures) {
+        if (!variantId || !text) continue;
+        const hash = await this.hashContent(text);
+        if (store.refs[variantId] === hash) continue;
+
+        if (!store.contents[hash]) {
+          store.contents[hash] = {
+            text,
+            codeBlocks: codeBlocks || [],
+            capturedAt: Date.now(),
+          };
+        }
+        store.refs[variantId] = hash;
+        changed = true;
+      }
+
+      if (!changed) return true;
+
+      const referenced = new Set(Object.values(store.refs));
+      for (const hash of Object.keys(store.contents)) {
+        if (!referenced.has(hash)) delete store.contents[hash];
+      }
+
+      return this.writeContentStore(conversationId, store);
+    };
+
+    this.contentWriteQueue = this.contentWriteQueue.then(write, write);
+    try {
+      return await this.contentWriteQueue;
+    } catch (error) {
+      this.log.error("Failed to save variant contents:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Write a full-content store
+   * @param {string} conversationId - Conversation ID
+   * @param {{contents: Object, refs: Object}} store - Content store
+   * @returns {Promise<boolean>} Success status
+   */
+  async writeContentStore(conversationId, store) {
+    const serialized = JSON.stringify({
+      version: this.currentVersion,
+      timestamp: Date.now(),
+      conversationId,
+      dataType: "content",
+      contents: store.contents,
+      refs: store.refs,
+    });
+    await this.setItem(
+      this.getStorageKey(conversationId, "content"),
+      serialized.length > this.compressionThreshold
+        ? await this.compressData(serialized)
+        : serialized
+    );
+    return true;
+  }
+
+  /**
+   * Attach captured full text to lean nodes as fullText/codeBlocks
+   * @param {string} conversationId - Conversation ID
+   * @param {Object[]} nodes - Lean nodes (modified in place)
+   * @returns {Promise<number>} Number of nodes with full text
+   */
+  async attachVariantContents(conversationId, nodes) {
+    const { contents, refs } = await this.loadContentStore(conversationId);
+    let attached = 0;
+
+    for (const node of nodes || []) {
+      const content = contents[refs[node.id]];
+      if (!content) continue;
+      node.fullText = content.text;
+      node.codeBlocks = content.codeBlocks;
+      attached++;
+    }
+
+    return attached;
+  }
+
+  // ================= TURN ID UPGRADES =================
+  /**
+   * Rewrite stored data after synthetic turn IDs were upgraded to real ones.
+   * Lean nodes, branch names/colors and captured content all move to the
+   * new variant IDs; where both IDs have a customization, the one already on
+   * the real ID wins.
+   * @param {string} conversationId - Conversation ID
+   * @param {Map<string, string>} idMap - Old turn ID -> new turn ID
+   * @returns {Promise<Object|null>} Rewritten lean tree, or null if none stored
+   */
+  async rewriteTurnIds(conversationId, idMap) {
+    // Upgraded entries go first so entries already under the real ID win
+    const rewriteKeys = (entries, merge) => {
+      const moved = [];
+      const kept = [];
+      for (const [variantId, value] of Object.entries(entries || {})) {
+        const newId = TurnIdentity.rewriteVariantId(variantId, idMap);
+        (newId === variantId ? kept : moved).push([newId, value]);
+      }
+
+      const result = {};
+      for (const [variantId, value] of [...moved, ...kept]) {
+        result[variantId] =
+          variantId in result ? merge(result[variantId], value) : value;
+      }
+      return result;
+    };
+
+    try {
+      const customizations = await this.loadCustomizations(conversationId);
+      await this.saveCustomizations(conversationId, {
+        ...customizations,
+        branches: rewriteKeys(customizations.branches, (moved, kept) => ({
+          ...moved,
+          ...kept,
+        })),
+      });
+
+      const contentStore = await this.loadContentStore(conversationId);
+      if (Object.keys(contentStore.refs).length > 0) {
+        await this.writeContentStore(conversationId, {
+          contents: contentStore.contents,
+          refs: rewriteKeys(contentStore.refs, (moved, kept) => kept),
+        });
+      }
+
+      const leanTree = await this.loadLeanTree(conversationId);
+      if (!leanTree) return null;
+
+      const nodes = TurnIdentity.rewriteLeanNodes(leanTree.nodes, idMap);
+      const rewritten = {
+        ...leanTree,
+        nodeCount: nodes.length,
+        nodes,
+        rootChildren: Array.from(
+          new Set(
+            leanTree.rootChildren.map((id) =>
+              TurnIdentity.rewriteVariantId(id, idMap)
+            )
+          )
+        ),
+      };
+      await this.saveLeanTree(conversationId, rewritten);
+      return rewritten;
+    } catch (error) {
+      this.log.error("Failed to rewrite upgraded turn IDs:", error);
+      return null;
+    }
+  }
+
+  // ================= EXTENSION SETTINGS =================
+  /**
+   * Get the storage key of an extension-wide setting. The leading underscore
+   * keeps it out of getStoredConversationIds.
+   * @param {string} name - Setting name
+   * @returns {string} Storage key
+   */
+  getSettingsKey(name) {
+    return `${this.storagePrefix}_settings_${name}`;
+  }
+
+  /**
+   * Load an extension-wide setting
+   * @param {string} name - Setting name
+   * @param {any} fallback - Value returned when unset or unreadable
+   * @returns {Promise<any>} Setting value
+   */
+  async loadSetting(name, fallback = null) {
+    try {
+      const rawData = await this.getItem(this.getSettingsKey(name));
+      return rawData ? JSON.parse(rawData) : fallback;
+    } catch (error) {
+      this.log.error(`Failed to load setting ${name}:`, error);
+      return fallback;
+    }
+  }
+
+  /**
+   * Save an extension-wide setting
+   * @param {string} name - Setting name
+   * @param {any} value - JSON-serializable value
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveSetting(name, value) {
+    try {
+      await this.setItem(this.getSettingsKey(name), JSON.stringify(value));
+      return true;
+    } catch (error) {
+      this.log.error(`Failed to save setting ${name}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Call back when another page (library, options) changes a setting. Only
+   * the chrome.storage backend reports changes.
+   * @param {string} name - Setting name
+   * @param {Function} callback - Called with the new value (null once removed)
+   * @returns {Function} Stops listening
+   */
+  onSettingChanged(name, callback) {
+    if (typeof chrome === "undefined" || !chrome.storage?.onChanged) {
+      return () => {};
+    }
+
+    const key = this.getSettingsKey(name);
+    const listener = (changes, areaName) => {
+      if (areaName !== "local" || !(key in changes)) return;
+      try {
+        const { newValue } = changes[key];
+        callback(newValue ? JSON.parse(newValue) : null);
+      } catch (error) {
+        this.log.error(`Failed to apply changed setting ${name}:`, error);
+      }
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+
+  // ================= RETENTION POLICY =================
+  /**
+   * Get the retention policy (default: keep everything)
+   * @returns {Promise<{maxAgeDays: number|null}>} Retention policy
+   */
+  async getRetentionPolicy() {
+    const policy = (await this.loadSetting("retention", {})) || {};
+    return {
+      maxAgeDays:
+        typeof policy.maxAgeDays === "number" && policy.maxAgeDays > 0
+          ? policy.maxAgeDays
+          : null,
+    };
+  }
+
+  /**
+   * Save the retention policy
+   * @param {{maxAgeDays: number|null}} policy - null keeps data forever
+   * @returns {Promise<boolean>} Success status
+   */
+  async setRetentionPolicy(policy) {
+    const maxAgeDays =
+      typeof policy?.maxAgeDays === "number" && policy.maxAgeDays > 0
+        ? policy.maxAgeDays
+        : null;
+    return this.saveSetting("retention", { maxAgeDays });
+  }
+
+  /**
+   * Remove conversations not visited within the retention period. Every
+   * content script start calls this, so it runs at most once per
+   * retentionInterval unless forced, and judges age by each conversation's
+   * small metadata entry instead of decoding its trees.
+   * @param {string[]} [keepIds] - Conversations to keep regardless (e.g. the open one)
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Run now, e.g. right after the policy changed
+   * @returns {Promise<string[]>} IDs of removed conversations
+   */
+  async applyRetentionPolicy(keepIds = [], { force = false } = {}) {
+    const { maxAgeDays } = await this.getRetentionPolicy();
+    if (!maxAgeDays) return [];
+
+    const lastRun = await this.loadSetting("retentionLastRun", 0);
+    if (!force && Date.now() - lastRun < this.retentionInterval) return [];
+    await this.saveSetting("retentionLastRun", Date.now());
+
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    const removed = [];
+
+    for (const conversationId of await this.getStoredConversationIds()) {
+      if (keepIds.includes(conversationId)) continue;
+      // Unknown age (0) is kept rather than guessed
+      const lastActivity = await this.getLastActivity(conversationId);
+      if (!lastActivity || lastActivity >= cutoff) continue;
+
+      if (await this.clearConversation(conversationId)) {
+        removed.push(conversationId);
+      }
+    }
+
+    if (removed.length > 0) {
+      this.log.info(
+        `Retention policy removed ${removed.length} conversation(s) older than ${maxAgeDays} days`
+      );
+    }
+    return removed;
+  }
+
+  /**
+   * Get when a conversation was last visited. Every visit rewrites its
+   * metadata entry; conversations stored before metadata existed fall back
+   * to the lean tree's save time.
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<number>} Timestamp in ms, 0 if unknown
+   */
+  async getLastActivity(conversationId) {
+    const metadata = await this.loadMetadata(conversationId);
+    if (metadata?.lastVisited) return metadata.lastVisited;
+
+    const leanTree = await this.loadLeanTree(conversationId);
+    return leanTree?.timestamp || 0;
+  }
+
+  // ================= CONVERSATION METADATA =================
+  /**
+   * Save conversation metadata (title, last visit) used by the branch library
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} metadata - Metadata to merge into what is stored
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveMetadata(conversationId, metadata) {
+    try {
+      const key = this.getStorageKey(conversationId, "metadata");
+      const existing = (await this.loadMetadata(conversationId)) || {};
+
+      const dataToSave = {
+        version: this.currentVersion,
+        timestamp: Date.now(),
+        conversationId,
+        dataType: "metadata",
+        metadata: {
+          ...existing,
+          ...metadata,
+          lastVisited: Date.now(),
+        },
+      };
+
+      await this.setItem(key, JSON.stringify(dataToSave));
+      return true;
+    } catch (error) {
+      this.log.error("Failed to save conversation metadata:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Load conversation metadata
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object|null>} Metadata or null if not found
+   */
+  async loadMetadata(conversationId) {
+    try {
+      const validatedData = await this.readPayload(conversationId, "metadata");
+      return validatedData?.metadata || null;
+    } catch (error) {
+      this.log.error("Failed to load conversation metadata:", error);
       return null;
     }
   }
 
+  /**
+   * Get IDs of every conversation with stored data
+   * @returns {Promise<string[]>} Conversation IDs
+   */
+  async getStoredConversationIds() {
+    const conversations = new Set();
+
+    for (const key of await this.getAllKeys()) {
+      // Extract conversation ID from key
+      const match = key.match(new RegExp(`${this.storagePrefix}([^_]+)_`));
+      if (match) {
+        conversations.add(match[1]);
+      }
+    }
+
+    return Array.from(conversations);
+  }
+
+  /**
+   * Summarize a stored conversation for the branch library
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Summary { conversationId, title, nodeCount,
+   *   branchPointCount, lastUpdated, customNames, storedBytes, rawBytes,
+   *   savedPercent, contentBytes }
+   */
+  async getConversationSummary(conversationId) {
+    const leanTree = await this.loadLeanTree(conversationId);
+    const customizations = await this.loadCustomizations(conversationId);
+    const metadata = await this.loadMetadata(conversationId);
+    const sizeReport = await this.getConversationSizeReport(conversationId);
+
+    // A branch point is a turn with more than one known variant
+    const variantsPerTurn = new Map();
+    for (const node of leanTree?.nodes || []) {
+      const turnIndex = node.turnIndex || 0;
+      variantsPerTurn.set(turnIndex, (variantsPerTurn.get(turnIndex) || 0) + 1);
+    }
+    const branchPointCount = Array.from(variantsPerTurn.values()).filter(
+      (count) => count > 1
+    ).length;
+
+    const customNames = Object.entries(customizations.branches || {})
+      .filter(([, branch]) => branch && branch.name)
+      .map(([nodeId, branch]) => ({
+        nodeId,
+        name: branch.name,
+        color: branch.color || null,
+      }));
+
+    return {
+      conversationId,
+      title: metadata?.title || null,
+      nodeCount: leanTree?.nodes?.length || 0,
+      branchPointCount,
+      lastUpdated: Math.max(
+        leanTree?.timestamp || 0,
+        metadata?.lastVisited || 0
+      ),
+      customNames,
+      storedBytes: sizeReport.storedBytes,
+      rawBytes: sizeReport.rawBytes,
+      savedPercent: sizeReport.savedPercent,
+      contentBytes: sizeReport.entries
+        .filter((entry) => entry.dataType === "content")
+        .reduce((sum, entry) => sum + entry.storedBytes, 0),
+    };
+  }
+
+  /**
+   * Report stored vs. uncompressed size of each entry of a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Report { conversationId, entries, storedBytes,
+   *   rawBytes, savedBytes, savedPercent }
+   */
+  async getConversationSizeReport(conversationId) {
+    const prefix = `${this.storagePrefix}${conversationId}_`;
+    const keys = (await this.getAllKeys()).filter((key) =>
+      key.startsWith(prefix)
+    );
+
+    const entries = [];
+    for (const key of keys) {
+      const raw = await this.getItem(key);
+      if (!raw) continue;
+
+      entries.push({
+        dataType: key.substring(prefix.length),
+        format: this.codec.getFormat(raw),
+        storedBytes: this.getDataSize(raw),
+        rawBytes: this.getDataSize(await this.decompressData(raw)),
+      });
+    }
+
+    const storedBytes = entries.reduce((sum, e) => sum + e.storedBytes, 0);
+    const rawBytes = entries.reduce((sum, e) => sum + e.rawBytes, 0);
+
+    return {
+      conversationId,
+      entries,
+      storedBytes,
+      rawBytes,
+      savedBytes: rawBytes - storedBytes,
+      savedPercent:
+        rawBytes > 0 ? ((rawBytes - storedBytes) / rawBytes) * 100 : 0,
+    };
+  }
+
+  /**
+   * Report compression savings for every stored conversation, largest first
+   * @returns {Promise<Object[]>} Per-conversation size reports
+   */
+  async getCompressionReport() {
+    const reports = [];
+
+    for (const conversationId of await this.getStoredConversationIds()) {
+      try {
+        reports.push(await this.getConversationSizeReport(conversationId));
+      } catch (error) {
+        this.log.error(`Failed to measure ${conversationId}:`, error);
+      }
+    }
+
+    return reports.sort((a, b) => b.storedBytes - a.storedBytes);
+  }
+
+  /**
+   * Summarize every stored conversation, most recently updated first
+   * @returns {Promise<Object[]>} Conversation summaries
+   */
+  async getConversationSummaries() {
+    const summaries = [];
+
+    for (const conversationId of await this.getStoredConversationIds()) {
+      try {
+        summaries.push(await this.getConversationSummary(conversationId));
+      } catch (error) {
+        this.log.error(`Failed to summarize ${conversationId}:`, error);
+      }
+    }
+
+    return summaries.sort((a, b) => b.lastUpdated - a.lastUpdated);
+  }
+
   /**
    * Merge variant arrays, avoiding duplicates
    * @param {Array} existing - Existing variants
@@ -597,31 +1315,42 @@ class StorageManager {
 
   /**
    * Get storage statistics
-   * @returns {Object} Storage statistics
+   * @returns {Promise<Object>} Storage statistics; conversations maps each
+   *   conversation ID to its totalSize and full-content contentSize in bytes
    */
-  getStorageStats() {
-    const keys = Object.keys(localStorage).filter((key) =>
-      key.startsWith(this.storagePrefix)
-    );
+  async getStorageStats() {
+    const keys = await this.getAllKeys();
+    const conversationIds = await this.getStoredConversationIds();
 
     let totalSize = 0;
-    const conversations = new Set();
+    const conversations = {}; // conversationId -> { totalSize, contentSize }
 
     for (const key of keys) {
-      const data = localStorage.getItem(key);
-      totalSize += this.getDataSize(data);
+      const data = await this.getItem(key);
+      const size = this.getDataSize(data || "");
+      totalSize += size;
 
-      // Extract conversation ID from key
-      const match = key.match(new RegExp(`${this.storagePrefix}([^_]+)_`));
-      if (match) {
-        conversations.add(match[1]);
+      const conversationId = conversationIds.find((id) =>
+        key.startsWith(`${this.storagePrefix}${id}_`)
+      );
+      if (!conversationId) continue;
+
+      const entry = (conversations[conversationId] ||= {
+        totalSize: 0,
+        contentSize: 0,
+      });
+      entry.totalSize += size;
+      if (key === this.getStorageKey(conversationId, "content")) {
+        entry.contentSize += size;
       }
     }
 
     return {
+      backend: this.backend.name,
       totalEntries: keys.length,
       totalSize,
-      conversationCount: conversations.size,
+      conversationCount: conversationIds.length,
+      conversations,
       storageUsagePercent: (totalSize / this.maxStorageSize) * 100,
     };
   }
@@ -0,0 +1,147 @@
+// ============================================================================
+// TEXT DIFF CLASS
+// ============================================================================
+
+// Word-level diff of two texts using a longest-common-subsequence table.
+// Texts are split into words, punctuation and whitespace so changes line up
+// with what a reader would call a word.
+
+class TextDiff {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxCells] - Largest LCS table to build; bigger
+   *   inputs fall back to a single delete/insert pair for the changed middle
+   */
+  constructor({ maxCells = 4000000 } = {}) {
+    this.maxCells = maxCells;
+  }
+
+  /**
+   * Split text into word, punctuation and whitespace tokens
+   * @param {string} text - Text to split
+   * @returns {string[]} Tokens (joined they give back the text)
+   */
+  tokenize(text) {
+    return String(text || "").match(/\s+|[\p{L}\p{N}_'’]+|[^\s]/gu) || [];
+  }
+
+  /**
+   * Diff two texts word by word
+   * @param {string} oldText - Left text
+   * @param {string} newText - Right text
+   * @returns {Array<{type: "equal"|"delete"|"insert", text: string}>} Operations
+   */
+  diff(oldText, newText) {
+    const a = this.tokenize(oldText);
+    const b = this.tokenize(newText);
+
+    // Common prefix and suffix never need the table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+      start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const ops = [];
+    this.push(ops, "equal", a.slice(0, start));
+    const middle = this.diffMiddle(a.slice(start, endA), b.slice(start, endB));
+    for (const op of middle) {
+      this.push(ops, op.type, [op.token]);
+    }
+    this.push(ops, "equal", a.slice(endA));
+
+    return ops;
+  }
+
+  /**
+   * LCS diff of the token ranges that differ
+   * @param {string[]} a - Left tokens
+   * @param {string[]} b - Right tokens
+   * @returns {Array<{type: string, token: string}>} Per-token operations
+   */
+  diffMiddle(a, b) {
+    const n = a.length;
+    const m = b.length;
+
+    if (n * m > this.maxCells) {
+      return [
+        ...a.map((token) => ({ type: "delete", token })),
+        ...b.map((token) => ({ type: "insert", token })),
+      ];
+    }
+
+    // lengths[i][j] = LCS of a[i..] and b[j..], stored row-major
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * width + j] =
+          a[i] === b[j]
+            ? lengths[(i + 1) * width + j + 1] + 1
+            : Math.max(
+                lengths[(i + 1) * width + j],
+                lengths[i * width + j + 1]
+              );
+      }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (a[i] === b[j]) {
+        result.push({ type: "equal", token: a[i] });
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        result.push({ type: "delete", token: a[i++] });
+      } else {
+        result.push({ type: "insert", token: b[j++] });
+      }
+    }
+    while (i < n) result.push({ type: "delete", token: a[i++] });
+    while (j < m) result.push({ type: "insert", token: b[j++] });
+
+    return result;
+  }
+
+  /**
+   * Append tokens to the operation list, merging runs of the same type
+   * @param {Array} ops - Operation list
+   * @param {string} type - Operation type
+   * @param {string[]} tokens - Tokens to append
+   */
+  push(ops, type, tokens) {
+    if (tokens.length === 0) return;
+    const text = tokens.join("");
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      ops.push({ type, text });
+    }
+  }
+
+  /**
+   * Count changed words in a diff
+   * @param {Array} ops - Operations from diff()
+   * @returns {{added: number, removed: number, unchanged: number}} Word counts
+   */
+  getStats(ops) {
+    const stats = { added: 0, removed: 0, unchanged: 0 };
+    const key = { insert: "added", delete: "removed", equal: "unchanged" };
+
+    for (const op of ops) {
+      stats[key[op.type]] += this.tokenize(op.text).filter(
+        (token) => !/^\s+$/.test(token)
+      ).length;
+    }
+
+    return stats;
+  }
+}
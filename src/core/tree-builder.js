@@ -8,6 +8,8 @@ class TreeBuilder {
     this.currentPath = []; // [nodeId1, nodeId2, ...] - active conversation path
     this.rootNodes = []; // [nodeId1, nodeId2, ...] - top-level node points
     this.lean = null; // current lean structure
+    this.autoSave = true; // Off: keep discovered branches in memory only
+    this.log = debugLogger.get("tree-builder");
   }
 
   /**
@@ -223,13 +225,16 @@ class TreeBuilder {
 
   /**
    * Build tree structure from detected nodes
-   * @param {Object[]} nodes - Array of node data from NodeDetector
+   * @param {Object[]} nodes - Array of node data from NodeDetector, one per
+   *   turn of the conversation (use updateNodes for a subset)
    */
   buildFromNodes(nodes) {
     // Clear existing tree
     this.clear();
 
-    console.log("Snapshot:", this.buildCurrentTreeSnapshot(nodes));
+    if (this.log.isEnabled("debug")) {
+      this.log.debug("Snapshot:", this.buildCurrentTreeSnapshot(nodes));
+    }
 
     for (const node of nodes) {
       const nodeId = node.id;
@@ -240,52 +245,139 @@ class TreeBuilder {
     try {
       this.buildLeanStructure(nodes);
     } catch (e) {
-      console.warn("Failed to build lean structure:", e);
+      this.log.warn("Failed to build lean structure:", e);
     }
 
-    // Load stored lean tree and merge (variantId uniqueness) asynchronously
+    // Load stored lean tree and merge (variantId uniqueness) asynchronously,
+    // then save once. Saving before the merge would write a lean tree without
+    // the stored variants.
     if (
       typeof extensionState !== "undefined" &&
       extensionState?.conversationId &&
       extensionState.storageManager
     ) {
+      // Capture the ID now: the page may switch conversations before this runs
       const convId = extensionState.conversationId;
-      extensionState.storageManager.loadLeanTree(convId).then((storedLean) => {
-        if (!storedLean || !storedLean.nodes) return;
-        try {
-          this.mergeStoredLeanWithCurrent(storedLean);
-          this.saveToComprehensiveStorage(convId).catch((err) =>
-            console.error("Failed to save merged lean tree", err)
-          );
-          this.notifyTreeUpdated();
-        } catch (err) {
-          console.warn("VariantId merge failed", err);
-        }
-      });
-    }
+      extensionState.storageManager
+        .loadLeanTree(convId)
+        .then(async (storedLean) => {
+          if (storedLean && storedLean.nodes) {
+            try {
+              // Turns stored under synthetic IDs now have real ones
+              const upgrades = TurnIdentity.findUpgrades(
+                storedLean.nodes,
+                nodes
+              );
+              if (upgrades.size > 0) {
+                storedLean =
+                  (await this.applyTurnIdUpgrades(convId, upgrades)) ||
+                  storedLean;
+              }
+              this.mergeStoredLeanWithCurrent(storedLean);
+              this.notifyTreeUpdated();
+            } catch (err) {
+              this.log.warn("VariantId merge failed", err);
+            }
+          }
 
-    // Save to comprehensive storage (async, non-blocking)
-    if (
-      typeof extensionState !== "undefined" &&
-      extensionState?.conversationId
-    ) {
-      setTimeout(() => {
-        this.saveToComprehensiveStorage(extensionState.conversationId).catch(
-          (error) => {
-            console.error("Failed to save to comprehensive storage:", error);
+          if (this.autoSave) {
+            await this.saveToComprehensiveStorage(convId);
           }
-        );
-      }, 0);
+        })
+        .catch((error) => {
+          this.log.error("Failed to save to comprehensive storage:", error);
+        });
     }
 
     // Notify callbacks AFTER lean build
     this.notifyTreeUpdated();
   }
 
+  /**
+   * Merge re-detected turns into the tree and rebuild it. The other turns keep
+   * their last detection, except those whose element left the page (ChatGPT
+   * replaces the downstream turns when a variant is switched).
+   * @param {Object[]} changedNodes - Node data of the re-detected turns
+   */
+  updateNodes(changedNodes) {
+    const changedElements = new Set(
+      changedNodes.map((node) => node.element).filter(Boolean)
+    );
+    const merged = new Map();
+
+    for (const [nodeId, node] of this.nodes) {
+      const element = node.element;
+      if (element && (!element.isConnected || changedElements.has(element))) {
+        continue;
+      }
+      merged.set(nodeId, node);
+    }
+    for (const node of changedNodes) {
+      merged.set(node.id, node);
+    }
+
+    this.buildFromNodes(
+      Array.from(merged.values()).sort((a, b) => a.turnIndex - b.turnIndex)
+    );
+  }
+
+  /**
+   * Move stored and in-memory nodes from synthetic turn IDs to real ones,
+   * keeping their branch names and colors
+   * @param {string} conversationId - Conversation ID
+   * @param {Map<string, string>} upgrades - Old turn ID -> new turn ID
+   * @returns {Promise<Object|null>} Rewritten stored lean tree
+   */
+  async applyTurnIdUpgrades(conversationId, upgrades) {
+    this.log.info("Upgrading turn IDs:", Object.fromEntries(upgrades));
+
+    if (this.lean?.nodes instanceof Map) {
+      const nodes = TurnIdentity.rewriteLeanNodes(
+        Array.from(this.lean.nodes.values()),
+        upgrades
+      );
+      this.lean = {
+        root: {
+          ...this.lean.root,
+          children: this.lean.root.children.map((id) =>
+            TurnIdentity.rewriteVariantId(id, upgrades)
+          ),
+        },
+        nodes: new Map(nodes.map((n) => [n.id, n])),
+      };
+    }
+
+    const rewritten = await extensionState.storageManager.rewriteTurnIds(
+      conversationId,
+      upgrades
+    );
+    if (
+      extensionState.customizationManager?.conversationId === conversationId
+    ) {
+      await extensionState.customizationManager.load(conversationId);
+    }
+    return rewritten;
+  }
+
   /** Merge stored lean (array form) into current lean using variantId as unique key */
   mergeStoredLeanWithCurrent(storedLean) {
     if (!this.lean || !this.lean.nodes) return;
-    const currentMap = this.lean.nodes; // Map id->node (id will become variantId)
+    this.lean = TreeBuilder.mergeLeanNodes(
+      storedLean.nodes || [],
+      Array.from(this.lean.nodes.values())
+    );
+  }
+
+  /**
+   * Merge two sets of lean nodes using variantId as the unique key and
+   * rebuild the variant chain. Also used to merge imported bundles.
+   * Discovered variants win over placeholders; otherwise the newer one wins.
+   * Variants of turns unknown to the stored side are only taken if active or discovered.
+   * @param {Object[]} storedNodes - Previously stored lean nodes
+   * @param {Object[]} incomingNodes - Newly observed (or imported) lean nodes
+   * @returns {{root: Object, nodes: Map}} Merged lean structure
+   */
+  static mergeLeanNodes(storedNodes, incomingNodes) {
     const byVariant = new Map();
     const storedTurnIds = new Set();
 
@@ -300,7 +392,7 @@ class TreeBuilder {
     };
 
     // Seed with stored nodes (normalize old text-based ids)
-    for (const sn of storedLean.nodes || []) {
+    for (const sn of storedNodes) {
       const node = normalizeNode(sn);
       if (!byVariant.has(node.variantId)) byVariant.set(node.variantId, node);
       if (node.turnId) {
@@ -310,8 +402,8 @@ class TreeBuilder {
         storedVariantsByTurn.get(node.turnId).push(node);
       }
     }
-    // Merge current nodes
-    for (const node of currentMap.values()) {
+    // Merge incoming nodes
+    for (const node of incomingNodes) {
       const cur = normalizeNode(node);
       if (cur.turnId) {
         if (!incomingVariantsByTurn.has(cur.turnId))
@@ -413,7 +505,7 @@ class TreeBuilder {
     }
     const newMap = new Map();
     for (const n of nodesArr) newMap.set(n.id, n);
-    this.lean = { root, nodes: newMap };
+    return { root, nodes: newMap };
   }
 
   /**
@@ -561,6 +653,44 @@ class TreeBuilder {
     };
   }
 
+  /**
+   * Get the variants currently shown on the page
+   * @returns {string[]} Lean node IDs flagged active by the last detection
+   */
+  getActiveVariantIds() {
+    if (!this.lean) return [];
+    return Array.from(this.lean.nodes.values())
+      .filter((node) => node.isActive)
+      .map((node) => node.id);
+  }
+
+  /**
+   * Find path from the first turn to a lean variant node via the lean children links
+   * @param {string} targetNodeId - Lean node (variant) ID
+   * @param {Object} leanState - Lean state { nodes: [], rootChildren: [] } (defaults to current)
+   * @returns {Object[]} Lean nodes ordered from the first turn down to the target
+   */
+  findLeanPathToNode(targetNodeId, leanState = this.getLeanState()) {
+    const nodeMap = new Map((leanState?.nodes || []).map((n) => [n.id, n]));
+    const parentOf = new Map();
+    for (const node of nodeMap.values()) {
+      for (const childId of node.children || []) {
+        parentOf.set(childId, node.id);
+      }
+    }
+
+    const path = [];
+    const visited = new Set();
+    let currentId = targetNodeId;
+    while (currentId && nodeMap.has(currentId) && !visited.has(currentId)) {
+      visited.add(currentId);
+      path.unshift(nodeMap.get(currentId));
+      currentId = parentOf.get(currentId);
+    }
+
+    return path;
+  }
+
   /** Return lean tree snapshot */
   getLeanTree() {
     if (!this.lean) return null;
@@ -639,7 +769,7 @@ class TreeBuilder {
     // Check for duplicates and log error if found
     const uniqueSet = new Set(turnIndexes);
     if (uniqueSet.size !== turnIndexes.length) {
-      console.error(
+      this.log.error(
         "Error: Duplicate turnIndex values found in nodes:",
         turnIndexes
       );
@@ -647,7 +777,7 @@ class TreeBuilder {
 
     if (turnIndexes.length === 0) return [];
 
-    console.log("Turn indexes in snapshot:", turnIndexes);
+    this.log.debug("Turn indexes in snapshot:", turnIndexes);
 
     // Map turnIndex -> node objects (there might be >1 though usually 1)
     const nodesMappedToTurn = new Map();
@@ -683,7 +813,7 @@ class TreeBuilder {
         const prevTi = turnIndexes[i - 1];
         parentContainer = activeNodeByTurn.get(prevTi)?.children;
         if (!parentContainer) {
-          console.error("No active parent found for turn index:", prevTi);
+          this.log.error("No active parent found for turn index:", prevTi);
           break;
         }
       }
@@ -722,73 +852,65 @@ class TreeBuilder {
   }
 
   /**
-   * Save the current tree snapshot to localStorage
+   * Save the current tree snapshot through StorageManager
    * @param {string} conversationId - The conversation ID to use as storage key
    * @param {Object[]} branches - Array of branch objects (optional, will use internal data if not provided)
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
-  saveTreeSnapshot(conversationId, branches) {
+  async saveTreeSnapshot(conversationId, branches) {
     try {
       if (!conversationId || typeof conversationId !== "string") {
-        console.error("Invalid conversationId provided to saveTreeSnapshot");
+        this.log.error("Invalid conversationId provided to saveTreeSnapshot");
         return false;
       }
 
       // Generate the tree snapshot
       const treeSnapshot = this.buildCurrentTreeSnapshot(branches);
 
-      // Save to localStorage with key format: tree_<conversationId>
-      const storageKey = `tree_${conversationId}`;
-      const dataToStore = JSON.stringify(treeSnapshot);
-
-      localStorage.setItem(storageKey, dataToStore);
-
-      console.log(
-        `Tree snapshot saved to localStorage with key: ${storageKey}`
+      const saved = await extensionState.storageManager.saveTreeSnapshot(
+        conversationId,
+        treeSnapshot
       );
-      return true;
+
+      if (saved) {
+        this.log.info(
+          `Tree snapshot saved for conversation: ${conversationId}`
+        );
+      }
+      return saved;
     } catch (error) {
-      console.error("Error saving tree snapshot to localStorage:", error);
+      this.log.error("Error saving tree snapshot:", error);
       return false;
     }
   }
 
   /**
-   * Retrieve the tree snapshot from localStorage
+   * Retrieve the tree snapshot through StorageManager
    * @param {string} conversationId - The conversation ID to use as storage key
-   * @returns {Object[]|null} Tree snapshot array or null if not found/error
+   * @returns {Promise<Object[]|null>} Tree snapshot array or null if not found/error
    */
-  loadTreeSnapshot(conversationId) {
+  async loadTreeSnapshot(conversationId) {
     try {
       if (!conversationId || typeof conversationId !== "string") {
-        console.error("Invalid conversationId provided to loadTreeSnapshot");
+        this.log.error("Invalid conversationId provided to loadTreeSnapshot");
         return null;
       }
 
-      // Get data from localStorage with key format: tree_<conversationId>
-      const storageKey = `tree_${conversationId}`;
-      const storedData = localStorage.getItem(storageKey);
-
-      if (!storedData) {
-        console.log(`No tree snapshot found for key: ${storageKey}`);
-        return null;
-      }
-
-      // Parse the JSON data
-      const treeSnapshot = JSON.parse(storedData);
+      const treeSnapshot = await extensionState.storageManager.loadTreeSnapshot(
+        conversationId
+      );
 
-      // Validate that it's an array
-      if (!Array.isArray(treeSnapshot)) {
-        console.error("Invalid tree snapshot format in localStorage");
+      if (!treeSnapshot) {
+        this.log.info(
+          `No tree snapshot found for conversation: ${conversationId}`
+        );
         return null;
       }
 
-      console.log(
-        `Tree snapshot loaded from localStorage with key: ${storageKey}`
-      );
+      this.log.info(`Tree snapshot loaded for conversation: ${conversationId}`);
       return treeSnapshot;
     } catch (error) {
-      console.error("Error loading tree snapshot from localStorage:", error);
+      this.log.error("Error loading tree snapshot:", error);
       return null;
     }
   }
@@ -893,7 +1015,7 @@ class TreeBuilder {
         }
       }
     } catch (error) {
-      console.warn("Error finding preceding user message:", error);
+      this.log.warn("Error finding preceding user message:", error);
     }
 
     return null;
@@ -1083,10 +1205,17 @@ class TreeBuilder {
       const storedLean = await extensionState.storageManager?.loadLeanTree(
         conversationId
       );
-      console.log("Loaded stored lean tree:", storedLean);
+      this.log.debug("Loaded stored lean tree:", storedLean);
+      // Full text captured in full content capture mode
+      if (storedLean) {
+        await extensionState.storageManager.attachVariantContents(
+          conversationId,
+          storedLean.nodes
+        );
+      }
       return storedLean;
     } catch (e) {
-      console.error("Lean comprehensive retrieval fallback:", e);
+      this.log.error("Lean comprehensive retrieval fallback:", e);
       // return this.getLeanState();
     }
   }
@@ -1105,7 +1234,7 @@ class TreeBuilder {
         this.getLeanState()
       );
     } catch (e) {
-      console.error("Error saving lean tree:", e);
+      this.log.error("Error saving lean tree:", e);
       return false;
     }
   }
@@ -1147,7 +1276,7 @@ class TreeBuilder {
         try {
           callback(this.getTreeState());
         } catch (error) {
-          console.error("Error in onTreeUpdated callback:", error);
+          this.log.error("Error in onTreeUpdated callback:", error);
         }
       });
     }
@@ -1162,7 +1291,7 @@ class TreeBuilder {
         try {
           callback(newPath, oldPath);
         } catch (error) {
-          console.error("Error in onPathChanged callback:", error);
+          this.log.error("Error in onPathChanged callback:", error);
         }
       });
     }
@@ -1205,7 +1334,7 @@ class TreeBuilder {
       // Notify that tree was updated
       this.notifyTreeUpdated();
     } catch (error) {
-      console.error("Error importing tree data:", error);
+      this.log.error("Error importing tree data:", error);
       this.clear(); // Reset to clean state on error
     }
   }
@@ -0,0 +1,817 @@
+// ============================================================================
+// TREE VISUALIZER CLASS
+// ============================================================================
+
+// Dependencies: d3 (vendor/d3.v7.min.js)
+// Shared by the in-page visualization modal and the branch library page.
+
+// Layouts offered by the layout switcher (name -> label)
+const TREE_LAYOUTS = {
+  horizontal: "Left to right",
+  vertical: "Top down",
+  radial: "Radial",
+  grid: "Turn grid",
+};
+
+// Below this zoom labels are unreadable; opening the tree never starts there
+const MIN_READABLE_SCALE = 0.5;
+
+// Turn grid cell size: columns are turns, rows are variants
+const GRID_COLUMN_WIDTH = 64;
+const GRID_ROW_HEIGHT = 40;
+
+class TreeVisualizer {
+  /**
+   * @param {Object} d3 - D3 library instance
+   * @param {Object} options - Rendering options
+   * @param {Function} [options.getBranchName] - (nodeId) => custom name or null
+   * @param {Function} [options.getBranchColor] - (nodeId) => custom color or null
+   * @param {Function} [options.onNodeClick] - (event, hierarchyNode) => void; omit for read-only trees
+   * @param {Function} [options.onViewStateChange] - (viewState) => void after zoom, pan or collapse
+   * @param {Function} [options.onRender] - Called after nodes are (re)drawn
+   * @param {string} [options.layout] - Key of TREE_LAYOUTS (default "horizontal")
+   * @param {Function} [options.onLayoutChange] - (layout) => void when the user switches layouts
+   * @param {Function} [options.getActiveVariantIds] - () => IDs of the variants shown on the
+   *   page, or null to use the isActive flags stored with the tree
+   */
+  constructor(d3, options = {}) {
+    this.d3 = d3;
+    this.options = options;
+  }
+
+  /**
+   * One-time style injection for the D3 tree
+   * @param {Document} doc - Document to inject into
+   */
+  static injectStyles(doc = document) {
+    if (doc.getElementById("chatgpt-branches-d3-style")) return;
+
+    const style = doc.createElement("style");
+    style.id = "chatgpt-branches-d3-style";
+    style.textContent = `
+        .cb-tree-wrapper { position:relative; width:100%; height:100%; min-height:560px; }
+        .cb-tree-svg { display:block; width:100%; height:560px; cursor:grab; font:11px/1.2 -apple-system,BlinkMacSystemFont,Segoe UI,Roboto,sans-serif; }
+        .cb-tree-svg:active { cursor:grabbing; }
+  .cb-tree-node circle { stroke:#fff; stroke-width:2px; cursor:pointer; }
+  .cb-tree-node circle.cb-hit-area { stroke:none !important; stroke-width:0 !important; fill:transparent !important; }
+        .cb-tree-node circle.user { fill:#34d399; }
+        .cb-tree-node circle.assistant { fill:#4f8ef7; }
+        .cb-tree-node circle.root { fill:#6b7280; }
+        .cb-tree-node circle.inactive { opacity:.45; }
+        .cb-tree-node.cb-active circle:not(.cb-hit-area) { stroke:#f8fafc; stroke-width:3px; }
+        .cb-tree-link.cb-active { stroke:#f8fafc; stroke-width:2.6px; stroke-opacity:1; }
+        .cb-tree-readonly .cb-tree-node circle { cursor:default; }
+        .cb-tree-node.cb-selected circle:not(.cb-hit-area) { stroke:#facc15; stroke-width:3px; }
+        .cb-tree-node.cb-compare circle:not(.cb-hit-area) { stroke:#a78bfa; stroke-width:3px; stroke-dasharray:4 2; }
+  .cb-tree-link { fill:none; stroke:rgba(190,210,255,0.55); stroke-width:1.8px; stroke-linecap:round; transition:stroke .18s, stroke-width .18s, stroke-opacity .18s; pointer-events:none; }
+        .cb-tree-link.highlight { stroke:#60a5fa; stroke-width:2.4px; stroke-opacity:0.95; filter:drop-shadow(0 0 4px rgba(96,165,250,0.55)); }
+        .cb-tree-label { pointer-events:none; font-weight:600; color:#fff; text-shadow:0 1px 2px rgba(0,0,0,.6); }
+        .cb-tree-badge { font-size:10px; font-weight:500; fill:#e5e7eb; pointer-events:none; }
+        .cb-tree-node.cb-collapsed circle:not(.cb-hit-area) { stroke:#e5e7eb; stroke-dasharray:3 2; }
+        .cb-tree-minimap { position:absolute; bottom:8px; right:8px; background:rgba(0,0,0,0.55); border:1px solid rgba(255,255,255,0.15); border-radius:8px; cursor:crosshair; }
+        .cb-tree-minimap[hidden] { display:none; }
+        .cb-tree-minimap circle.user { fill:#34d399; }
+        .cb-tree-minimap circle.assistant { fill:#4f8ef7; }
+        .cb-tree-minimap circle.root { fill:#6b7280; }
+        .cb-tree-minimap-viewport { fill:rgba(96,165,250,0.12); stroke:#60a5fa; stroke-width:1px; }
+        .cb-tree-tooltip { position:absolute; pointer-events:none; background:rgba(0,0,0,.85); color:#fff; padding:6px 8px; border-radius:6px; font-size:12px; line-height:1.3; max-width:240px; box-shadow:0 4px 16px rgba(0,0,0,.4); backdrop-filter:blur(6px); }
+        .cb-tree-controls { position:absolute; top:8px; right:8px; display:flex; gap:6px; z-index:10; }
+        .cb-tree-controls button { background:rgba(255,255,255,0.08); color:#fff; border:1px solid rgba(255,255,255,0.2); border-radius:6px; padding:4px 8px; font-size:12px; cursor:pointer; display:flex; align-items:center; gap:4px; }
+        .cb-tree-controls button:hover { background:rgba(255,255,255,0.15); }
+        .cb-tree-controls select { background:rgba(0,0,0,0.6); color:#fff; border:1px solid rgba(255,255,255,0.2); border-radius:6px; padding:3px 6px; font-size:12px; cursor:pointer; }
+        .cb-tree-variant { display:none; font-size:10px; font-weight:600; fill:#fff; text-anchor:middle; pointer-events:none; }
+        .cb-tree-column-label { font-size:10px; fill:#9ca3af; text-anchor:middle; }
+        .cb-tree-wrapper[data-layout="grid"] .cb-tree-variant { display:inline; }
+        .cb-tree-wrapper[data-layout="grid"] foreignObject { display:none; }
+        .cb-tree-legend { position:absolute; bottom:8px; left:8px; background:rgba(0,0,0,0.55); padding:6px 10px; border:1px solid rgba(255,255,255,0.15); border-radius:8px; display:flex; gap:12px; font-size:11px; color:#e5e7eb; }
+        .cb-tree-legend span { display:flex; align-items:center; gap:4px; }
+        .cb-tree-legend i { display:inline-block; width:12px; height:12px; border-radius:50%; }
+        .cb-tree-legend i.user { background:#34d399; }
+        .cb-tree-legend i.assistant { background:#4f8ef7; }
+        .cb-tree-legend i.inactive { background:#6b7280; opacity:.5; }
+        .cb-tree-header { margin-bottom:12px; }
+      `;
+    doc.head.appendChild(style);
+  }
+
+  /**
+   * Convert a lean tree state into a D3 hierarchy source object
+   * Expect treeState to be lean: { nodes: [nodeObjects], rootChildren: [] }
+   * Node shape: { id, role, text, turnIndex, variantIndex, children: [childIds], turnId, variantId }
+   * @param {Object} treeState - Lean tree state
+   * @returns {Object} Nested { id, name, children } object rooted at ROOT
+   */
+  buildHierarchy(treeState) {
+    const { getBranchName, getBranchColor } = this.options;
+    const nodeMap = new Map((treeState.nodes || []).map((n) => [n.id, n]));
+
+    const toHierarchy = (id) => {
+      if (id === "ROOT") {
+        return {
+          id: "ROOT",
+          role: "root",
+          name: "ROOT",
+          children: (treeState.rootChildren || []).map(toHierarchy),
+        };
+      }
+      const n = nodeMap.get(id);
+      if (!n) return { id, name: id, children: [] };
+      return {
+        id: n.id,
+        role: n.role,
+        name: getBranchName?.(n.id) || (n.text || n.id).slice(0, 80),
+        customColor: getBranchColor?.(n.id) || null,
+        turnIndex: n.turnIndex,
+        variantIndex: n.variantIndex,
+        turnId: n.turnId,
+        variantId: n.variantId,
+        isActive: !!n.isActive,
+        timestamp: n.timestamp || 0,
+        isVariant: true,
+        children: (n.children || []).map(toHierarchy),
+      };
+    };
+
+    return toHierarchy("ROOT");
+  }
+
+  /**
+   * Position the visible nodes of a hierarchy. Sets d.px / d.py (screen
+   * coordinates before zoom) on every visible node.
+   * @param {Object} root - D3 hierarchy (collapsed nodes have no children)
+   * @param {string} layout - Key of TREE_LAYOUTS
+   * @returns {{link: Function, showLabels: boolean, anchor: Function,
+   *   columns: number[]}} Link path generator, whether text labels fit, where
+   *   the root sits at 100% zoom ((width, height) => [x, y]) and, for the
+   *   turn grid, the columns to number
+   */
+  applyLayout(root, layout) {
+    const d3 = this.d3;
+
+    if (layout === "vertical") {
+      d3.tree().nodeSize([160, 130])(root);
+      root.each((d) => {
+        d.px = d.x;
+        d.py = d.y;
+      });
+      return {
+        link: d3
+          .linkVertical()
+          .x((d) => d.px)
+          .y((d) => d.py),
+        showLabels: true,
+        anchor: (width) => [width / 2, 30],
+      };
+    }
+
+    if (layout === "radial") {
+      const radius = Math.max(1, root.height) * 130;
+      d3
+        .tree()
+        .size([2 * Math.PI, radius])
+        .separation((a, b) => (a.parent === b.parent ? 1 : 2) / a.depth)(root);
+      root.each((d) => {
+        d.px = d.y * Math.cos(d.x - Math.PI / 2);
+        d.py = d.y * Math.sin(d.x - Math.PI / 2);
+      });
+      return {
+        link: d3
+          .linkRadial()
+          .angle((d) => d.x)
+          .radius((d) => d.y),
+        showLabels: true,
+        anchor: (width, height) => [width / 2, height / 2],
+      };
+    }
+
+    if (layout === "grid") {
+      // Column = turn (root in column 0), kept right of the parent's column
+      const columns = new Map(); // column -> nodes
+      root.each((d) => {
+        d.column = d.parent
+          ? Math.max(
+              d.parent.column + 1,
+              Number.isFinite(d.data.turnIndex) ? d.data.turnIndex + 1 : 0
+            )
+          : 0;
+        if (!columns.has(d.column)) columns.set(d.column, []);
+        columns.get(d.column).push(d);
+      });
+
+      // Row = rank in the column, following the parent's row, then variant
+      const sortedColumns = Array.from(columns.keys()).sort((a, b) => a - b);
+      for (const column of sortedColumns) {
+        columns
+          .get(column)
+          .sort(
+            (a, b) =>
+              (a.parent?.row ?? 0) - (b.parent?.row ?? 0) ||
+              (a.data.variantIndex || 0) - (b.data.variantIndex || 0)
+          )
+          .forEach((d, row) => {
+            d.row = row;
+            d.px = column * GRID_COLUMN_WIDTH;
+            d.py = row * GRID_ROW_HEIGHT;
+          });
+      }
+
+      return {
+        link: d3
+          .linkHorizontal()
+          .x((d) => d.px)
+          .y((d) => d.py),
+        showLabels: false,
+        anchor: () => [30, 50],
+        columns: sortedColumns.filter((column) => column > 0),
+      };
+    }
+
+    // Horizontal (default)
+    d3.tree().nodeSize([90, 140])(root);
+    root.each((d) => {
+      d.px = d.y;
+      d.py = d.x;
+    });
+    return {
+      link: d3
+        .linkHorizontal()
+        .x((d) => d.px)
+        .y((d) => d.py),
+      showLabels: true,
+      anchor: (width, height) => [80, height / 2],
+    };
+  }
+
+  /**
+   * Render a lean tree into a container. Drag to pan, wheel to zoom,
+   * Alt-click a node to collapse or expand its subtree.
+   * @param {Element} container - Element to render into (appends a wrapper)
+   * @param {Object} treeState - Lean tree state { nodes: [], rootChildren: [] }
+   * @param {Object} [viewState] - Saved view: { layout, transform: { x, y, k },
+   *   collapsed: [nodeId] }; omit to fit the whole tree
+   * @returns {{svg: Object, root: Object, refit: Function, getViewState: Function,
+   *   refreshActivePath: Function}} Render handles
+   */
+  render(container, treeState, viewState = null) {
+    const d3 = this.d3;
+    const {
+      onNodeClick,
+      onViewStateChange,
+      onRender,
+      onLayoutChange,
+      getActiveVariantIds,
+    } = this.options;
+    let layout = TREE_LAYOUTS[this.options.layout]
+      ? this.options.layout
+      : "horizontal";
+    let layoutResult = null;
+    const doc = container.ownerDocument;
+
+    TreeVisualizer.injectStyles(doc);
+
+    // Wrapper
+    const wrapper = doc.createElement("div");
+    wrapper.className = "cb-tree-wrapper";
+    if (!onNodeClick) wrapper.classList.add("cb-tree-readonly");
+    container.appendChild(wrapper);
+
+    // Tooltip
+    const tooltip = doc.createElement("div");
+    tooltip.className = "cb-tree-tooltip";
+    tooltip.style.display = "none";
+    wrapper.appendChild(tooltip);
+
+    // Controls
+    const controls = doc.createElement("div");
+    controls.className = "cb-tree-controls";
+    controls.innerHTML = `
+        <button data-action="fit" title="Fit to view">Fit</button>
+        <button data-action="reset" title="Reset zoom">Reset</button>
+        <button data-action="expand" title="Expand / Collapse all (Alt-click a node for one subtree)">Collapse all</button>
+        <select data-action="layout" title="Tree layout"></select>
+      `;
+    wrapper.appendChild(controls);
+    const layoutSelect = controls.querySelector('[data-action="layout"]');
+    for (const [value, label] of Object.entries(TREE_LAYOUTS)) {
+      layoutSelect.add(new Option(label, value, false, value === layout));
+    }
+    const toggleButton = controls.querySelector('[data-action="expand"]');
+
+    // Legend
+    const legend = doc.createElement("div");
+    legend.className = "cb-tree-legend";
+    legend.innerHTML = `
+        <span><i class="user"></i>User</span>
+        <span><i class="assistant"></i>Assistant</span>
+        <span><i class="inactive"></i>Inactive Variant</span>
+      `;
+    wrapper.appendChild(legend);
+
+    // -----------------------------
+    // LEAN TREE RENDERING (each variant is a node)
+    // -----------------------------
+    // treeState.nodes is an array of plain node objects
+    const data = this.buildHierarchy(treeState);
+
+    function labelWithVariant(d) {
+      const raw = d.name || d.role || d.id || "";
+      return raw.length > 40 ? raw.slice(0, 40).trimEnd() + "…" : raw;
+    }
+
+    const root = d3.hierarchy(data);
+    root.sort(
+      (a, b) =>
+        d3.ascending(a.data.role || "", b.data.role || "") ||
+        d3.ascending(a.data.name, b.data.name)
+    );
+
+    // Every node keeps its full child list; collapsed nodes hide theirs.
+    // Reversed breadth-first order visits children before their parents.
+    const allNodes = root.descendants();
+    for (const d of allNodes.slice().reverse()) {
+      d.allChildren = d.children || null;
+      d.hiddenCount = (d.allChildren || []).reduce(
+        (sum, child) => sum + child.hiddenCount + 1,
+        0
+      );
+    }
+    const knownIds = new Set(allNodes.map((d) => d.data.id));
+    const collapsed = new Set(
+      (viewState?.collapsed || []).filter((id) => knownIds.has(id))
+    );
+
+    // Multiline / wrapped labels using foreignObject (HTML) for easier wrapping
+    const LABEL_WIDTH = 140; // width in px before wrapping (below-node label)
+    const MAX_LINES = 4; // cap lines to avoid huge boxes
+    const LINE_HEIGHT = 1.25; // em
+    const LABEL_HEIGHT = Math.round(MAX_LINES * 14 * LINE_HEIGHT + 8);
+
+    const svg = d3
+      .select(wrapper)
+      .append("svg")
+      .attr("class", "cb-tree-svg")
+      .style(
+        "background",
+        "linear-gradient(135deg, rgba(255,255,255,0.05), rgba(255,255,255,0.02))"
+      )
+      .style("border", "1px solid rgba(255,255,255,0.08)")
+      .style("border-radius", "12px");
+
+    // Everything that pans and zooms
+    const gView = svg.append("g");
+    const gColumns = gView.append("g").attr("class", "cb-tree-columns");
+
+    // GROUPS
+    const gLinks = gView
+      .append("g")
+      .attr("fill", "none")
+      .attr("stroke", "rgba(190,210,255,0.55)")
+      .attr("stroke-opacity", 1)
+      .attr("stroke-width", 1.8)
+      .attr("stroke-linecap", "round");
+    const gNodes = gView
+      .append("g")
+      .attr("stroke-linejoin", "round")
+      .attr("stroke-width", 2);
+
+    // Minimap for trees larger than the view
+    const minimap = d3
+      .select(wrapper)
+      .append("svg")
+      .attr("class", "cb-tree-minimap")
+      .attr("width", 160)
+      .attr("height", 110);
+    const gMinimapNodes = minimap.append("g");
+    const minimapViewport = minimap
+      .append("rect")
+      .attr("class", "cb-tree-minimap-viewport");
+    let minimapScale = null; // { scale, offsetX, offsetY } of the last layout
+
+    const viewportSize = () => {
+      const rect = svg.node().getBoundingClientRect();
+      return [rect.width || 928, rect.height || 560];
+    };
+
+    // Extent of the visible nodes, labels (or grid headers) included
+    let bounds = null;
+    const computeBounds = () => {
+      const { showLabels } = layoutResult;
+      const halfWidth = showLabels ? LABEL_WIDTH / 2 : 20;
+      let minX = Infinity;
+      let maxX = -Infinity;
+      let minY = Infinity;
+      let maxY = -Infinity;
+      root.each((d) => {
+        minX = Math.min(minX, d.px - halfWidth);
+        maxX = Math.max(maxX, d.px + halfWidth);
+        minY = Math.min(minY, d.py - (showLabels ? 20 : 40));
+        maxY = Math.max(maxY, d.py + (showLabels ? 12 + LABEL_HEIGHT : 20));
+      });
+      return { minX, maxX, minY, maxY };
+    };
+
+    // -----------------------------
+    // PAN AND ZOOM
+    // -----------------------------
+    let viewReady = false; // Restoring the saved view is not a user change
+    const getViewState = () => {
+      const { x, y, k } = d3.zoomTransform(svg.node());
+      return {
+        layout,
+        transform: { x, y, k },
+        collapsed: Array.from(collapsed),
+      };
+    };
+    const notifyViewState = () => {
+      if (viewReady && onViewStateChange) onViewStateChange(getViewState());
+    };
+
+    const zoom = d3
+      .zoom()
+      .scaleExtent([0.1, 3])
+      // Same size fitting uses, also while the modal is still hidden
+      .extent(() => [[0, 0], viewportSize()])
+      .on("zoom", (event) => {
+        gView.attr("transform", event.transform);
+        updateMinimapViewport(event.transform);
+      })
+      .on("end", notifyViewState);
+    svg.call(zoom).on("dblclick.zoom", null);
+
+    const fitTransform = () => {
+      const [width, height] = viewportSize();
+      const boxWidth = bounds.maxX - bounds.minX;
+      const boxHeight = bounds.maxY - bounds.minY;
+      const k = Math.max(
+        0.1,
+        Math.min(1.5, (width - 40) / boxWidth, (height - 40) / boxHeight)
+      );
+      return d3.zoomIdentity
+        .translate(width / 2, height / 2)
+        .scale(k)
+        .translate(
+          -(bounds.minX + boxWidth / 2),
+          -(bounds.minY + boxHeight / 2)
+        );
+    };
+
+    // Root at its layout's home position, at 100%
+    const resetTransform = () => {
+      const [x, y] = layoutResult.anchor(...viewportSize());
+      return d3.zoomIdentity.translate(x, y);
+    };
+
+    const refit = () =>
+      svg.transition().duration(300).call(zoom.transform, fitTransform());
+
+    // -----------------------------
+    // MINIMAP
+    // -----------------------------
+    const updateMinimap = () => {
+      const [width, height] = viewportSize();
+      const boxWidth = bounds.maxX - bounds.minX;
+      const boxHeight = bounds.maxY - bounds.minY;
+
+      // Only worth showing when the tree does not fit at 100%
+      minimap.attr(
+        "hidden",
+        boxWidth > width || boxHeight > height ? null : ""
+      );
+
+      const scale = Math.min(150 / boxWidth, 100 / boxHeight);
+      minimapScale = {
+        scale,
+        offsetX: 5 - bounds.minX * scale + (150 - boxWidth * scale) / 2,
+        offsetY: 5 - bounds.minY * scale + (100 - boxHeight * scale) / 2,
+      };
+
+      gMinimapNodes
+        .selectAll("circle")
+        .data(root.descendants(), (d) => d.data.id)
+        .join("circle")
+        .attr("r", 2)
+        .attr("class", (d) => d.data.role || "unknown")
+        .attr("cx", (d) => d.px * scale + minimapScale.offsetX)
+        .attr("cy", (d) => d.py * scale + minimapScale.offsetY);
+
+      updateMinimapViewport(d3.zoomTransform(svg.node()));
+    };
+
+    function updateMinimapViewport(transform) {
+      if (!minimapScale) return;
+      const [width, height] = viewportSize();
+      const { scale, offsetX, offsetY } = minimapScale;
+      minimapViewport
+        .attr("x", (-transform.x / transform.k) * scale + offsetX)
+        .attr("y", (-transform.y / transform.k) * scale + offsetY)
+        .attr("width", (width / transform.k) * scale)
+        .attr("height", (height / transform.k) * scale);
+    }
+
+    // Click or drag on the minimap centers the view there
+    let minimapDragging = false;
+    const panToMinimapPoint = (event) => {
+      const [mx, my] = d3.pointer(event, minimap.node());
+      const { scale, offsetX, offsetY } = minimapScale;
+      zoom.translateTo(svg, (mx - offsetX) / scale, (my - offsetY) / scale);
+    };
+    minimap
+      .on("pointerdown", (event) => {
+        minimapDragging = true;
+        minimap.node().setPointerCapture?.(event.pointerId);
+        panToMinimapPoint(event);
+      })
+      .on("pointermove", (event) => {
+        if (minimapDragging) panToMinimapPoint(event);
+      })
+      .on("pointerup pointercancel", () => {
+        minimapDragging = false;
+      });
+
+    // -----------------------------
+    // NODES AND LINKS
+    // -----------------------------
+    const toggleCollapsed = (d) => {
+      if (!d.allChildren) return;
+      if (collapsed.has(d.data.id)) collapsed.delete(d.data.id);
+      else collapsed.add(d.data.id);
+      update();
+      notifyViewState();
+    };
+
+    const handleClick = (event, d) => {
+      event.stopPropagation();
+      // Alt-click folds the subtree, also in read-only trees
+      if (event.altKey) {
+        toggleCollapsed(d);
+        return;
+      }
+      if (onNodeClick) onNodeClick(event, d);
+    };
+
+    let linkPaths = gLinks.selectAll("path");
+
+    // -----------------------------
+    // ACTIVE PATH
+    // -----------------------------
+    let activePath = [];
+
+    // Follow the active variant of each turn down from the root. Older
+    // branches may still carry stale active flags; the newest one wins.
+    const findActivePath = () => {
+      const ids = getActiveVariantIds ? getActiveVariantIds() : null;
+      const activeIds = ids ? new Set(ids) : null;
+      const isActive = (d) =>
+        activeIds ? activeIds.has(d.data.id) : d.data.isActive;
+
+      const path = [];
+      let current = root;
+      for (;;) {
+        const candidates = (current.allChildren || []).filter(isActive);
+        if (candidates.length === 0) break;
+        current = candidates.reduce((a, b) =>
+          b.data.timestamp > a.data.timestamp ? b : a
+        );
+        path.push(current);
+      }
+      return path;
+    };
+
+    // Deepest active node not hidden inside a collapsed subtree
+    const currentNode = () => {
+      let visible = null;
+      for (const d of activePath) {
+        visible = d;
+        if (collapsed.has(d.data.id)) break;
+      }
+      return visible;
+    };
+
+    const markActivePath = () => {
+      const onPath = new Set(activePath);
+      // Without any active variant there is nothing to dim against
+      const dimInactive = activePath.length > 0;
+
+      gNodes
+        .selectAll("g.cb-tree-node")
+        .classed("cb-active", (d) => onPath.has(d))
+        .select("circle:not(.cb-hit-area)")
+        .classed(
+          "inactive",
+          (d) => dimInactive && d.depth > 0 && !onPath.has(d)
+        );
+      linkPaths.classed("cb-active", (l) => onPath.has(l.target));
+    };
+
+    const centerTransform = (d, k) => {
+      const [width, height] = viewportSize();
+      return d3.zoomIdentity
+        .translate(width / 2, height / 2)
+        .scale(k)
+        .translate(-d.px, -d.py);
+    };
+
+    const isInView = (d, transform) => {
+      const [width, height] = viewportSize();
+      const [x, y] = transform.apply([d.px, d.py]);
+      return x >= 0 && x <= width && y >= 0 && y <= height;
+    };
+
+    /**
+     * Re-read which variants the page shows and move the highlight there.
+     * Pans to the current node if it left the view.
+     */
+    const refreshActivePath = () => {
+      const previous = currentNode();
+      activePath = findActivePath();
+      markActivePath();
+
+      const current = currentNode();
+      const transform = d3.zoomTransform(svg.node());
+      if (current && current !== previous && !isInView(current, transform)) {
+        svg
+          .transition()
+          .duration(300)
+          .call(zoom.transform, centerTransform(current, transform.k));
+      }
+    };
+
+    const update = () => {
+      for (const d of allNodes) {
+        d.children =
+          d.allChildren && !collapsed.has(d.data.id)
+            ? d.allChildren
+            : undefined;
+      }
+      layoutResult = this.applyLayout(root, layout);
+      bounds = computeBounds();
+      wrapper.dataset.layout = layout;
+
+      // Links
+      linkPaths = gLinks
+        .selectAll("path")
+        .data(root.links(), (l) => l.target.data.id)
+        .join("path")
+        .attr("class", "cb-tree-link")
+        .attr("d", layoutResult.link);
+
+      // Turn numbers above the grid columns
+      gColumns
+        .selectAll("text")
+        .data(layoutResult.columns || [])
+        .join("text")
+        .attr("class", "cb-tree-column-label")
+        .attr("x", (column) => column * GRID_COLUMN_WIDTH)
+        .attr("y", -26)
+        .text((column) => column);
+
+      // Nodes
+      const node = gNodes
+        .selectAll("g.cb-tree-node")
+        .data(root.descendants(), (d) => d.data.id)
+        .join((enter) => {
+          const entered = enter.append("g");
+
+          // Larger invisible hit area behind each node to improve clickability
+          entered
+            .append("circle")
+            .attr("class", "cb-hit-area")
+            .attr("r", 16)
+            .attr("fill", "transparent")
+            .on("click", handleClick);
+
+          entered
+            .append("circle")
+            .attr("r", 10)
+            .attr("class", (d) => d.data.role || "unknown")
+            .style("fill", (d) => d.data.customColor || null)
+            .on("click", handleClick)
+            .on("mouseenter", (event, d) => {
+              // Tooltip disabled per request
+              tooltip.style.display = "none";
+              // Highlight ancestor path links
+              const ancestors = new Set();
+              let cur = d;
+              while (cur.parent) {
+                ancestors.add(cur);
+                cur = cur.parent;
+              }
+              linkPaths.classed("highlight", (l) => ancestors.has(l.target));
+            })
+            .on("mouseleave", () => {
+              tooltip.style.display = "none";
+              linkPaths.classed("highlight", false);
+            });
+
+          entered
+            .append("foreignObject")
+            .attr("x", -LABEL_WIDTH / 2) // center under node
+            .attr("y", 12) // very close below circle
+            .attr("width", LABEL_WIDTH)
+            .attr("height", LABEL_HEIGHT)
+            .append("xhtml:div")
+            .attr("class", "cb-tree-label")
+            .style("width", LABEL_WIDTH + "px")
+            .style("font-size", "11px")
+            .style("line-height", LINE_HEIGHT)
+            .style("font-weight", "600")
+            .style("text-align", "center")
+            .style("word-break", "break-word")
+            .style("overflow", "hidden")
+            .style("display", "block")
+            .style("pointer-events", "none")
+            .style("padding", "0")
+            .style("border-radius", "0")
+            .style("background", "transparent")
+            .text((d) => labelWithVariant(d.data));
+
+          // Variant number inside the node (turn grid only, see styles)
+          entered
+            .append("text")
+            .attr("class", "cb-tree-variant")
+            .attr("dy", "0.35em")
+            .text((d) => d.data.variantIndex || "");
+
+          // Full label on hover where labels are hidden
+          entered.append("title").text((d) => d.data.name || d.data.id);
+
+          // "+N" next to collapsed nodes
+          entered
+            .append("text")
+            .attr("class", "cb-tree-badge")
+            .attr("x", 14)
+            .attr("y", -10);
+
+          return entered;
+        })
+        .attr("class", (d) => `cb-tree-node depth-${d.depth}`)
+        .classed("cb-collapsed", (d) => collapsed.has(d.data.id))
+        .attr("transform", (d) => `translate(${d.px},${d.py})`);
+
+      node
+        .select("text.cb-tree-badge")
+        .text((d) => (collapsed.has(d.data.id) ? `+${d.hiddenCount}` : ""));
+
+      toggleButton.textContent =
+        collapsed.size > 0 ? "Expand all" : "Collapse all";
+      markActivePath();
+      updateMinimap();
+      if (onRender) onRender();
+    };
+
+    // Controls
+    controls
+      .querySelector('[data-action="fit"]')
+      .addEventListener("click", refit);
+    controls
+      .querySelector('[data-action="reset"]')
+      .addEventListener("click", () =>
+        svg.transition().duration(300).call(zoom.transform, resetTransform())
+      );
+    layoutSelect.addEventListener("change", () => {
+      layout = layoutSelect.value;
+      update();
+      svg.call(zoom.transform, fitTransform());
+      if (onLayoutChange) onLayoutChange(layout);
+    });
+    toggleButton.addEventListener("click", () => {
+      if (collapsed.size > 0) {
+        collapsed.clear();
+      } else {
+        // Keep the first level visible so there is something to expand
+        for (const d of allNodes) {
+          if (d.depth > 0 && d.allChildren) collapsed.add(d.data.id);
+        }
+      }
+      update();
+      notifyViewState();
+    });
+
+    activePath = findActivePath();
+    update();
+
+    // A saved position only makes sense in the layout it was saved in
+    const saved =
+      (viewState?.layout || "horizontal") === layout
+        ? viewState?.transform
+        : null;
+    let initial =
+      saved && [saved.x, saved.y, saved.k].every(Number.isFinite)
+        ? d3.zoomIdentity.translate(saved.x, saved.y).scale(saved.k)
+        : fitTransform();
+
+    // Open on the node the page shows, unless it is already in view
+    const current = currentNode();
+    if (current) {
+      if (!saved && initial.k < MIN_READABLE_SCALE) {
+        initial = centerTransform(current, MIN_READABLE_SCALE);
+      } else if (!isInView(current, initial)) {
+        initial = centerTransform(current, initial.k);
+      }
+    }
+    svg.call(zoom.transform, initial);
+    viewReady = true;
+
+    return { svg, root, refit, getViewState, refreshActivePath };
+  }
+}
@@ -0,0 +1,211 @@
+// ============================================================================
+// TURN IDENTITY
+// ============================================================================
+
+// Dependencies: simpleHash from dom-utils.js
+
+// A turn is the set of sibling variants ChatGPT pages through with "2/3".
+// Siblings share a parent message, so a turn is identified by the message ID
+// of the turn above it: "msg-<parentMessageId>" ("msg-root" for the first
+// turn). That ID survives re-renders, layout changes and edits to the text.
+// When no message ID is rendered yet, a synthetic "turn-<n>-<hash>" ID is
+// used and later upgraded to the real one (see findUpgrades).
+
+const STABLE_TURN_PREFIX = "msg-";
+const ROOT_TURN_ID = "msg-root";
+
+class TurnIdentity {
+  /**
+   * Resolve the identity of a turn element
+   * @param {Element} turnElement - Turn element
+   * @param {number} index - Position among the detected turns
+   * @param {Element[]} [turnElements] - All detected turns, in order
+   * @returns {{turnId: string, turnNumber: number, messageId: string|null, isStable: boolean}}
+   */
+  resolve(turnElement, index, turnElements = []) {
+    const turnNumber = this.getTurnNumber(turnElement, index);
+    const messageId = this.getMessageId(turnElement);
+
+    if (index === 0) {
+      return { turnId: ROOT_TURN_ID, turnNumber, messageId, isStable: true };
+    }
+
+    const previousTurn =
+      turnElements[index - 1] ||
+      document.querySelector(
+        `[data-testid="conversation-turn-${turnNumber - 1}"]`
+      );
+    const parentMessageId = previousTurn
+      ? this.getMessageId(previousTurn)
+      : null;
+
+    if (parentMessageId) {
+      return {
+        turnId: `${STABLE_TURN_PREFIX}${parentMessageId}`,
+        turnNumber,
+        messageId,
+        isStable: true,
+      };
+    }
+
+    const text = turnElement.textContent?.trim().substring(0, 100) || "";
+    return {
+      turnId: `turn-${turnNumber}-${simpleHash(text)}`,
+      turnNumber,
+      messageId,
+      isStable: false,
+    };
+  }
+
+  /**
+   * Get ChatGPT's turn number from data-testid="conversation-turn-N"
+   * @param {Element} turnElement - Turn element
+   * @param {number} index - Fallback position
+   * @returns {number} Turn number
+   */
+  getTurnNumber(turnElement, index) {
+    const testIdElement = turnElement.matches?.(
+      '[data-testid^="conversation-turn-"]'
+    )
+      ? turnElement
+      : turnElement.closest?.('[data-testid^="conversation-turn-"]') ||
+        turnElement.querySelector?.('[data-testid^="conversation-turn-"]');
+    const match = testIdElement
+      ?.getAttribute("data-testid")
+      .match(/^conversation-turn-(\d+)$/);
+
+    return match ? parseInt(match[1], 10) : index;
+  }
+
+  /**
+   * Get the message ID rendered inside (or on) a turn element
+   * @param {Element} turnElement - Turn element
+   * @returns {string|null} Message ID
+   */
+  getMessageId(turnElement) {
+    return (
+      turnElement.getAttribute?.("data-message-id") ||
+      turnElement
+        .querySelector?.("[data-message-id]")
+        ?.getAttribute("data-message-id") ||
+      null
+    );
+  }
+
+  /**
+   * Check whether a turn ID is built from ChatGPT's message IDs
+   * @param {string} turnId - Turn ID
+   * @returns {boolean} True for stable IDs
+   */
+  static isStable(turnId) {
+    return String(turnId || "").startsWith(STABLE_TURN_PREFIX);
+  }
+
+  /**
+   * Find stored turn IDs that should be upgraded to real ones: a stored
+   * turn with a synthetic (or legacy positional) ID at the same turn index
+   * as a live turn that now has a stable ID, and under the same parent
+   * variant. Turns of other branches at that index are left alone.
+   * @param {Object[]} storedNodes - Stored lean nodes
+   * @param {Object[]} liveBranches - Branches just detected on the page
+   * @returns {Map<string, string>} Old turn ID -> new turn ID
+   */
+  static findUpgrades(storedNodes, liveBranches) {
+    const storedByIndex = new Map();
+    for (const node of storedNodes || []) {
+      if (!node.turnId || TurnIdentity.isStable(node.turnId)) continue;
+      if (!storedByIndex.has(node.turnIndex)) {
+        storedByIndex.set(node.turnIndex, []);
+      }
+      storedByIndex.get(node.turnIndex).push(node);
+    }
+
+    const upgrades = new Map();
+    const live = [...(liveBranches || [])].sort(
+      (a, b) => a.turnIndex - b.turnIndex
+    );
+    // The lean tree hangs each branching turn under the active variant of
+    // the branching turn above it
+    let parentVariantId = "ROOT";
+
+    for (const branch of live) {
+      if (TurnIdentity.isStable(branch.id)) {
+        for (const node of storedByIndex.get(branch.turnIndex) || []) {
+          // The parent may itself have just been upgraded
+          const parentId = TurnIdentity.rewriteVariantId(
+            node.parentId,
+            upgrades
+          );
+          if (node.turnId !== branch.id && parentId === parentVariantId) {
+            upgrades.set(node.turnId, branch.id);
+          }
+        }
+      }
+      parentVariantId =
+        branch.activeVariantId || `${branch.id}_v${branch.currentVariant || 1}`;
+    }
+
+    return upgrades;
+  }
+
+  /**
+   * Map a variant ID ("<turnId>_v<n>") through a turn ID upgrade map
+   * @param {string} variantId - Variant ID
+   * @param {Map<string, string>} idMap - Old turn ID -> new turn ID
+   * @returns {string} Upgraded variant ID (unchanged if not affected)
+   */
+  static rewriteVariantId(variantId, idMap) {
+    const match = String(variantId).match(/^(.*)_v(\d+)$/);
+    if (!match || !idMap.has(match[1])) return variantId;
+    return `${idMap.get(match[1])}_v${match[2]}`;
+  }
+
+  /**
+   * Rewrite lean nodes after turn ID upgrades. Where an upgraded node
+   * collides with one already stored under the real ID, the discovered (or
+   * newer) one is kept.
+   * @param {Object[]} nodes - Lean nodes
+   * @param {Map<string, string>} idMap - Old turn ID -> new turn ID
+   * @returns {Object[]} Rewritten nodes
+   */
+  static rewriteLeanNodes(nodes, idMap) {
+    const rewrite = (id) =>
+      id == null ? id : TurnIdentity.rewriteVariantId(id, idMap);
+    const byId = new Map();
+
+    for (const node of nodes || []) {
+      const id = rewrite(node.id);
+      const rewritten = {
+        ...node,
+        id,
+        variantId: id,
+        turnId: idMap.get(node.turnId) || node.turnId,
+        parentId: rewrite(node.parentId),
+        children: Array.from(new Set((node.children || []).map(rewrite))),
+      };
+
+      const existing = byId.get(id);
+      const keepExisting =
+        existing &&
+        (existing.isDiscovered && !rewritten.isDiscovered
+          ? true
+          : existing.isDiscovered === rewritten.isDiscovered &&
+            (existing.timestamp || 0) >= (rewritten.timestamp || 0));
+
+      if (existing && keepExisting) {
+        existing.children = Array.from(
+          new Set([...existing.children, ...rewritten.children])
+        );
+      } else {
+        if (existing) {
+          rewritten.children = Array.from(
+            new Set([...rewritten.children, ...existing.children])
+          );
+        }
+        byId.set(id, rewritten);
+      }
+    }
+
+    return Array.from(byId.values());
+  }
+}
@@ -0,0 +1,419 @@
+/**
+ * ChatGPT Branching Extension - Branch Library Page
+ * Lists every conversation with stored branch data and renders its tree read-only
+ */
+
+// Dependencies: d3 (vendor/d3.v7.min.js), TreeVisualizer from tree-visualizer.js,
+// StorageManager from storage-manager.js (reads chrome.storage.local directly),
+// exportAllConversations/importConversationBundle/setupRetentionSelect from
+// storage-utils.js, KeyboardController and SHORTCUT_DESCRIPTIONS from
+// keyboard-controller.js, debugLogger from logger.js
+
+// ============================================================================
+// LIBRARY PAGE
+// ============================================================================
+
+class LibraryPage {
+  constructor(storageManager) {
+    this.storageManager = storageManager;
+    this.conversations = [];
+    this.selectedId = null;
+
+    this.listElement = document.getElementById("library-list");
+    this.detailElement = document.getElementById("library-detail");
+    this.statusElement = document.getElementById("library-status");
+    this.log = debugLogger.get("library");
+  }
+
+  async initialize() {
+    document
+      .getElementById("library-refresh")
+      .addEventListener("click", () => this.loadConversations());
+
+    document
+      .getElementById("library-export")
+      .addEventListener("click", () => this.exportBundle());
+
+    const fileInput = document.getElementById("library-import-file");
+    document
+      .getElementById("library-import")
+      .addEventListener("click", () => fileInput.click());
+    fileInput.addEventListener("change", async () => {
+      const file = fileInput.files[0];
+      fileInput.value = ""; // Allow importing the same file again
+      if (file) await this.importBundle(file);
+    });
+
+    await setupRetentionSelect(
+      this.storageManager,
+      document.getElementById("library-retention"),
+      (removed) => this.handleRetentionApplied(removed)
+    );
+    await this.setupCaptureToggle();
+    await this.setupShortcutEditor();
+    await this.loadConversations();
+  }
+
+  /**
+   * Render the keyboard shortcut editor and save overrides as they change
+   */
+  async setupShortcutEditor() {
+    const listElement = document.getElementById("library-shortcut-list");
+    let overrides =
+      (await this.storageManager.loadSetting("shortcuts", {})) || {};
+
+    const render = () => {
+      listElement.innerHTML = "";
+      const shortcuts = { ...DEFAULT_SHORTCUTS, ...overrides };
+
+      for (const [action, description] of Object.entries(
+        SHORTCUT_DESCRIPTIONS
+      )) {
+        const row = document.createElement("label");
+        row.className = "library-shortcut-row";
+
+        const input = document.createElement("input");
+        input.readOnly = true;
+        input.value = shortcuts[action] || "Disabled";
+
+        input.addEventListener("keydown", async (e) => {
+          if (e.key === "Tab") return;
+          e.preventDefault();
+
+          if (e.key === "Escape") {
+            input.blur();
+            return;
+          }
+
+          let combo;
+          if (e.key === "Backspace" || e.key === "Delete") {
+            combo = "";
+          } else {
+            combo = KeyboardController.eventToCombo(e);
+            // Wait for a non-modifier key and require Ctrl, Cmd or Alt
+            const tokens = combo.split("+");
+            const modifiers = ["Ctrl", "Meta", "Alt", "Shift"];
+            const isModifierOnly = modifiers.includes(
+              tokens[tokens.length - 1]
+            );
+            const hasModifier = tokens.some((token) =>
+              ["Ctrl", "Meta", "Alt"].includes(token)
+            );
+            if (isModifierOnly || !hasModifier) return;
+          }
+
+          overrides = { ...overrides, [action]: combo };
+          await this.storageManager.saveSetting("shortcuts", overrides);
+          input.value = combo || "Disabled";
+        });
+
+        row.append(description, input);
+        listElement.appendChild(row);
+      }
+    };
+
+    document
+      .getElementById("library-shortcuts-reset")
+      .addEventListener("click", async () => {
+        overrides = {};
+        await this.storageManager.saveSetting("shortcuts", overrides);
+        render();
+      });
+
+    render();
+  }
+
+  /**
+   * Download every stored conversation as a bundle file
+   */
+  async exportBundle() {
+    try {
+      const bundle = await exportAllConversations(this.storageManager);
+      const blob = new Blob([JSON.stringify(bundle, null, 2)], {
+        type: "application/json",
+      });
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `chatgpt-branches-${new Date()
+        .toISOString()
+        .slice(0, 10)}.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+      this.statusElement.textContent = `Exported ${
+        bundle.conversations.length
+      } conversation${bundle.conversations.length === 1 ? "" : "s"}`;
+    } catch (error) {
+      this.log.error("Failed to export branch library:", error);
+      this.statusElement.textContent = "Export failed";
+    }
+  }
+
+  /**
+   * Merge a bundle file into stored data
+   * @param {File} file - Bundle file chosen by the user
+   */
+  async importBundle(file) {
+    this.statusElement.textContent = "Importing...";
+
+    try {
+      const bundle = JSON.parse(await file.text());
+      const { created, merged, skipped } = await importConversationBundle(
+        this.storageManager,
+        bundle
+      );
+
+      await this.loadConversations();
+      this.statusElement.textContent = `Imported ${created} new, merged ${merged}${
+        skipped ? `, skipped ${skipped}` : ""
+      }`;
+    } catch (error) {
+      this.log.error("Failed to import branch bundle:", error);
+      this.statusElement.textContent = `Import failed: ${error.message}`;
+    }
+  }
+
+  /**
+   * Drop conversations the retention policy just removed from the list
+   * @param {string[]} removed - Removed conversation IDs
+   */
+  async handleRetentionApplied(removed) {
+    if (removed.length === 0) return;
+    if (removed.includes(this.selectedId)) {
+      this.selectedId = null;
+      this.detailElement.innerHTML = `<p class="library-empty">Select a conversation to view its tree</p>`;
+    }
+    await this.loadConversations();
+  }
+
+  /**
+   * Show the full content capture setting and save changes to it
+   */
+  async setupCaptureToggle() {
+    const checkbox = document.getElementById("library-capture");
+    checkbox.checked = Boolean(
+      await this.storageManager.loadSetting("fullContentCapture", false)
+    );
+
+    checkbox.addEventListener("change", async () => {
+      await this.storageManager.saveSetting(
+        "fullContentCapture",
+        checkbox.checked
+      );
+      this.statusElement.textContent = checkbox.checked
+        ? "Full text capture on - reload open ChatGPT tabs to apply"
+        : "Full text capture off - already captured text is kept";
+    });
+  }
+
+  /**
+   * Load and render the conversation list
+   */
+  async loadConversations() {
+    this.statusElement.textContent = "Loading...";
+
+    try {
+      const conversations =
+        await this.storageManager.getConversationSummaries();
+      this.conversations = conversations;
+
+      this.statusElement.textContent = `${conversations.length} conversation${
+        conversations.length === 1 ? "" : "s"
+      }`;
+      this.renderList();
+
+      // Keep the open tree if it still exists
+      if (
+        this.selectedId &&
+        conversations.some((c) => c.conversationId === this.selectedId)
+      ) {
+        await this.showConversation(this.selectedId);
+      }
+    } catch (error) {
+      this.log.error("Failed to load branch library:", error);
+      this.statusElement.textContent = "";
+      this.renderEmptyList("Could not load stored conversations.");
+    }
+  }
+
+  /**
+   * Show a message instead of the conversation list
+   * @param {string} message - Message text
+   */
+  renderEmptyList(message) {
+    this.listElement.innerHTML = "";
+    const empty = document.createElement("p");
+    empty.className = "library-empty";
+    empty.textContent = message;
+    this.listElement.appendChild(empty);
+  }
+
+  renderList() {
+    if (this.conversations.length === 0) {
+      this.renderEmptyList(
+        "No conversations with stored branches yet. Open a ChatGPT conversation to start."
+      );
+      return;
+    }
+
+    this.listElement.innerHTML = "";
+
+    for (const summary of this.conversations) {
+      this.listElement.appendChild(this.createConversationCard(summary));
+    }
+  }
+
+  /**
+   * Create a list card for a conversation summary
+   * @param {Object} summary - Conversation summary from StorageManager
+   * @returns {Element} Card element
+   */
+  createConversationCard(summary) {
+    const card = document.createElement("button");
+    card.className = "library-card";
+    card.dataset.conversationId = summary.conversationId;
+    if (summary.conversationId === this.selectedId) {
+      card.classList.add("selected");
+    }
+
+    const title = document.createElement("div");
+    title.className = "library-card-title";
+    title.textContent = summary.title || summary.conversationId;
+    title.title = summary.conversationId;
+
+    const stats = document.createElement("div");
+    stats.className = "library-card-stats";
+    stats.textContent = `${summary.nodeCount} nodes · ${
+      summary.branchPointCount
+    } branch point${summary.branchPointCount === 1 ? "" : "s"} · ${
+      summary.lastUpdated
+        ? new Date(summary.lastUpdated).toLocaleString()
+        : "never updated"
+    }`;
+
+    const size = document.createElement("div");
+    size.className = "library-card-size";
+    size.textContent = `${this.formatBytes(summary.storedBytes)} stored · ${
+      summary.savedPercent > 0
+        ? `saved ${Math.round(summary.savedPercent)}% of ${this.formatBytes(
+            summary.rawBytes
+          )}`
+        : "uncompressed"
+    }${
+      summary.contentBytes
+        ? ` · ${this.formatBytes(summary.contentBytes)} full text`
+        : ""
+    }`;
+
+    card.appendChild(title);
+    card.appendChild(stats);
+    card.appendChild(size);
+
+    if (summary.customNames.length > 0) {
+      const names = document.createElement("div");
+      names.className = "library-card-names";
+      for (const { name, color } of summary.customNames) {
+        const chip = document.createElement("span");
+        chip.className = "library-name-chip";
+        chip.textContent = name;
+        if (color) chip.style.borderColor = color;
+        names.appendChild(chip);
+      }
+      card.appendChild(names);
+    }
+
+    card.addEventListener("click", () =>
+      this.showConversation(summary.conversationId)
+    );
+
+    return card;
+  }
+
+  /**
+   * Format a byte count for display
+   * @param {number} bytes - Byte count
+   * @returns {string} Human readable size
+   */
+  formatBytes(bytes) {
+    if (!bytes) return "0 B";
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  /**
+   * Render a conversation's stored lean tree read-only
+   * @param {string} conversationId - Conversation ID
+   */
+  async showConversation(conversationId) {
+    this.selectedId = conversationId;
+    for (const card of this.listElement.querySelectorAll(".library-card")) {
+      card.classList.toggle(
+        "selected",
+        card.dataset.conversationId === conversationId
+      );
+    }
+
+    this.detailElement.innerHTML = `<p class="library-empty">Loading tree...</p>`;
+
+    const [treeState, customizations, layout] = await Promise.all([
+      this.storageManager.loadLeanTree(conversationId),
+      this.storageManager.loadCustomizations(conversationId),
+      this.storageManager.loadSetting("treeLayout", null),
+    ]);
+    const summary = this.conversations.find(
+      (c) => c.conversationId === conversationId
+    );
+
+    this.detailElement.innerHTML = "";
+
+    const header = document.createElement("div");
+    header.className = "library-detail-header";
+
+    const title = document.createElement("h2");
+    title.textContent = summary?.title || conversationId;
+
+    const openLink = document.createElement("a");
+    openLink.className = "library-button";
+    openLink.href = `https://chatgpt.com/c/${encodeURIComponent(
+      conversationId
+    )}`;
+    openLink.target = "_blank";
+    openLink.rel = "noopener";
+    openLink.textContent = "Open in ChatGPT";
+
+    header.appendChild(title);
+    header.appendChild(openLink);
+    this.detailElement.appendChild(header);
+
+    if (!treeState || !treeState.nodes || treeState.nodes.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "library-empty";
+      empty.textContent = "No stored tree for this conversation";
+      this.detailElement.appendChild(empty);
+      return;
+    }
+
+    const branches = customizations?.branches || {};
+    const visualizer = new TreeVisualizer(window.d3, {
+      getBranchName: (id) => branches[id]?.name || null,
+      getBranchColor: (id) => branches[id]?.color || null,
+      // No onNodeClick: the library view is read-only
+      layout,
+      onLayoutChange: (newLayout) =>
+        this.storageManager.saveSetting("treeLayout", newLayout),
+    });
+
+    const treeContainer = document.createElement("div");
+    treeContainer.className = "library-tree";
+    this.detailElement.appendChild(treeContainer);
+    visualizer.render(treeContainer, treeState);
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const page = new LibraryPage(new StorageManager());
+  page.initialize();
+});
@@ -0,0 +1,233 @@
+/**
+ * ChatGPT Branching Extension - Options Page
+ * Edits preferences and selector overrides, shows the latest selector self-test
+ */
+
+// Dependencies: StorageManager from storage-manager.js,
+// PreferencesManager and DEFAULT_PREFERENCES from preferences-manager.js,
+// SelectorProfile, DEFAULT_SELECTOR_PROFILE and SELECTOR_PROFILE_VERSION
+// from selector-profile.js, setupRetentionSelect from storage-utils.js
+
+// ============================================================================
+// OPTIONS PAGE
+// ============================================================================
+
+class OptionsPage {
+  constructor(storageManager, preferencesManager) {
+    this.storageManager = storageManager;
+    this.preferencesManager = preferencesManager;
+    this.statusElement = document.getElementById("options-status");
+    this.preferencesForm = document.getElementById("options-preferences");
+    this.selectorForm = document.getElementById("options-selectors");
+    this.selfTestElement = document.getElementById("options-self-test");
+  }
+
+  async initialize() {
+    await this.setupPreferences();
+    await setupRetentionSelect(
+      this.storageManager,
+      document.getElementById("options-retention"),
+      (removed) => {
+        this.statusElement.classList.remove("error");
+        this.statusElement.textContent = removed.length
+          ? `Retention saved - removed ${removed.length} old conversation${
+              removed.length === 1 ? "" : "s"
+            }`
+          : "Retention saved";
+      }
+    );
+
+    document
+      .getElementById("options-selectors-save")
+      .addEventListener("click", () => this.saveSelectors());
+
+    document
+      .getElementById("options-selectors-reset")
+      .addEventListener("click", () => this.resetSelectors());
+
+    const stored = await this.storageManager.loadSetting(
+      "selectorOverrides",
+      null
+    );
+    this.renderSelectorForm(stored?.selectors || {});
+    await this.renderSelfTest();
+  }
+
+  /**
+   * Fill the preference fields and save each change as it happens
+   */
+  async setupPreferences() {
+    await this.preferencesManager.load();
+    this.renderPreferences(this.preferencesManager.getAll());
+
+    this.preferencesForm.addEventListener("change", async (e) => {
+      const field = e.target;
+      if (!field.name || !(field.name in DEFAULT_PREFERENCES)) return;
+
+      let value = field.value;
+      if (field.type === "checkbox") value = field.checked;
+      else if (field.type === "number") value = Number(field.value);
+
+      const saved = await this.preferencesManager.save({ [field.name]: value });
+      this.statusElement.classList.toggle("error", !saved);
+      this.statusElement.textContent = saved
+        ? "Preferences saved"
+        : "Could not save preferences";
+    });
+
+    // Show values clamped by the manager, and edits made in another window
+    this.preferencesManager.onPreferencesChanged((preferences) =>
+      this.renderPreferences(preferences)
+    );
+
+    document
+      .getElementById("options-preferences-reset")
+      .addEventListener("click", async () => {
+        await this.preferencesManager.reset();
+        this.statusElement.classList.remove("error");
+        this.statusElement.textContent = "Preferences reset to defaults";
+      });
+  }
+
+  /**
+   * Show preference values in their fields
+   * @param {Object} preferences - name -> value
+   */
+  renderPreferences(preferences) {
+    for (const [name, value] of Object.entries(preferences)) {
+      const field = this.preferencesForm.elements.namedItem(name);
+      if (!field) continue;
+
+      if (field.type === "checkbox") field.checked = value;
+      else field.value = String(value);
+    }
+  }
+
+  /**
+   * Render one textarea per profile key, built-in fallbacks as placeholder
+   * @param {Object} overrides - key -> string[]
+   */
+  renderSelectorForm(overrides) {
+    this.selectorForm.innerHTML = "";
+
+    for (const [key, entry] of Object.entries(DEFAULT_SELECTOR_PROFILE)) {
+      const row = document.createElement("label");
+      row.className = "options-selector-row";
+
+      const title = document.createElement("span");
+      title.className = "options-selector-title";
+      title.textContent = entry.description;
+
+      const keyName = document.createElement("code");
+      keyName.textContent = key;
+      title.appendChild(keyName);
+
+      const textarea = document.createElement("textarea");
+      textarea.name = key;
+      textarea.rows = 2;
+      textarea.spellcheck = false;
+      textarea.placeholder = entry.fallbacks.join("\n");
+      textarea.value = (overrides[key] || []).join("\n");
+
+      row.append(title, textarea);
+      this.selectorForm.appendChild(row);
+    }
+  }
+
+  /**
+   * Validate and store the overrides entered in the form
+   */
+  async saveSelectors() {
+    const selectors = {};
+    for (const textarea of this.selectorForm.querySelectorAll("textarea")) {
+      if (textarea.value.trim()) selectors[textarea.name] = textarea.value;
+    }
+
+    const { overrides, errors } = SelectorProfile.validateOverrides(selectors);
+    if (errors.length > 0) {
+      this.statusElement.textContent = errors.join("; ");
+      this.statusElement.classList.add("error");
+      return;
+    }
+
+    const saved = await this.storageManager.saveSetting("selectorOverrides", {
+      profileVersion: SELECTOR_PROFILE_VERSION,
+      selectors: overrides,
+    });
+    this.statusElement.classList.toggle("error", !saved);
+    this.statusElement.textContent = saved
+      ? "Selectors saved - reload open ChatGPT tabs to apply"
+      : "Could not save selectors";
+  }
+
+  async resetSelectors() {
+    await this.storageManager.saveSetting("selectorOverrides", null);
+    this.renderSelectorForm({});
+    this.statusElement.classList.remove("error");
+    this.statusElement.textContent =
+      "Built-in selectors restored - reload open ChatGPT tabs to apply";
+  }
+
+  /**
+   * Show the report of the last self-test run by a ChatGPT tab
+   */
+  async renderSelfTest() {
+    const report = await this.storageManager.loadSetting(
+      "selectorSelfTest",
+      null
+    );
+    if (!report?.results) return;
+
+    this.selfTestElement.innerHTML = "";
+
+    const meta = document.createElement("p");
+    meta.className = "options-hint";
+    meta.textContent = `${new Date(report.timestamp).toLocaleString()} on ${
+      report.url || "unknown page"
+    } (profile ${report.profileVersion})`;
+    this.selfTestElement.appendChild(meta);
+
+    const table = document.createElement("table");
+    table.className = "options-self-test";
+    table.innerHTML = `<thead><tr><th>Selector</th><th>Matched by</th><th>Elements</th></tr></thead>`;
+    const body = document.createElement("tbody");
+
+    for (const result of report.results) {
+      const row = document.createElement("tr");
+      row.className = result.matched ? "matched" : "missing";
+
+      const match = result.tried.find(
+        (attempt) => attempt.selector === result.matched
+      );
+      const failed = result.tried.filter((attempt) => attempt.error);
+
+      const keyCell = document.createElement("td");
+      keyCell.textContent = result.description;
+      keyCell.title = result.key;
+
+      const selectorCell = document.createElement("td");
+      selectorCell.textContent = match
+        ? `${match.selector} (${match.source})`
+        : "No match";
+      if (failed.length > 0) {
+        selectorCell.title = failed
+          .map((attempt) => `${attempt.selector}: ${attempt.error}`)
+          .join("\n");
+      }
+
+      const countCell = document.createElement("td");
+      countCell.textContent = match ? String(match.count) : "0";
+
+      row.append(keyCell, selectorCell, countCell);
+      body.appendChild(row);
+    }
+
+    table.appendChild(body);
+    this.selfTestElement.appendChild(table);
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const page = new OptionsPage(new StorageManager(), new PreferencesManager());
+  page.initialize();
+});
@@ -2,6 +2,11 @@
 // DOM UTILITIES
 // ============================================================================
 
+// Dependencies: selectorProfile from selector-profile.js, debugLogger from
+// logger.js
+
+const domLog = debugLogger.get("dom");
+
 /**
  * Extract conversation ID from ChatGPT URL
  * @returns {string|null} Conversation ID or null if not found
@@ -24,7 +29,7 @@ function extractConversationId() {
     }
   }
 
-  console.warn("Could not extract conversation ID from URL:", url);
+  domLog.warn("Could not extract conversation ID from URL:", url);
   return null;
 }
 
@@ -33,33 +38,12 @@ function extractConversationId() {
  * @returns {Element|null} The conversation container element
  */
 function findConversationContainer() {
-  // Priority order of selectors for conversation container
-  const selectors = [
-    'main[role="main"]',
-    "main",
-    '[role="main"]',
-    ".conversation-container",
-    "#__next main",
-    'div[class*="conversation"]',
-    // Additional selectors for current ChatGPT structure
-    'div[class*="flex-1"]',
-    'div[class*="overflow"]',
-    ".h-full",
-    "div.flex-1.overflow-hidden",
-  ];
-
-  for (const selector of selectors) {
-    try {
-      const container = document.querySelector(selector);
-      if (container) {
-        return container;
-      }
-    } catch (error) {
-      console.warn(`Error with container selector "${selector}":`, error);
-    }
+  const container = selectorProfile.query("conversationContainer");
+  if (container) {
+    return container;
   }
 
-  console.warn("Could not find conversation container");
+  domLog.warn("Could not find conversation container");
   return null;
 }
 
@@ -68,40 +52,10 @@ function findConversationContainer() {
  * @returns {Element[]} Array of turn elements
  */
 function findConversationTurns() {
-  // Priority order of selectors for turn elements
-  const selectors = [
-    '[data-testid="conversation-turn"]',
-    "article",
-    'li[role="listitem"]',
-    'div[class*="turn"]',
-    'div[class*="message"]',
-    // Additional selectors for ChatGPT's current structure
-    "div[data-message-author-role]",
-    "div[data-message-id]",
-    ".group\\/conversation-turn",
-    ".group.w-full",
-    "div.group",
-    // More generic fallbacks
-    "main > div > div",
-    'main div[class*="flex"]',
-    'div[class*="conversation"] > div',
-  ];
-
-  let turns = [];
-
-  for (const selector of selectors) {
-    try {
-      turns = Array.from(document.querySelectorAll(selector));
-      if (turns.length > 0) {
-        break;
-      }
-    } catch (error) {
-      console.warn(`Error with selector "${selector}":`, error);
-    }
-  }
+  let turns = selectorProfile.queryAll("conversationTurn");
 
   if (turns.length === 0) {
-    console.warn(
+    domLog.warn(
       "Could not find any conversation turns with standard selectors"
     );
 
@@ -109,9 +63,7 @@ function findConversationTurns() {
     turns = findTurnsByBranchIndicators();
 
     if (turns.length === 0) {
-      console.warn(
-        "Could not find any conversation turns with fallback method"
-      );
+      domLog.warn("Could not find any conversation turns with fallback method");
       // Debug: Log some information about the page structure
       debugPageStructure();
     }
@@ -127,8 +79,10 @@ function findConversationTurns() {
 function findTurnsByBranchIndicators() {
   const turns = [];
 
-  // Find all elements with tabular-nums (branch indicators)
-  const branchIndicators = document.querySelectorAll(".tabular-nums");
+  // Find all variant counters (branch indicators)
+  const branchIndicators = document.querySelectorAll(
+    selectorProfile.getSelector("variantCounter")
+  );
 
   branchIndicators.forEach((indicator) => {
     // Walk up the DOM to find the turn container
@@ -203,15 +157,109 @@ function isLikelyTurnContainer(element) {
   );
 }
 
+// Counter forms after digits are normalized. Most locales put the current
+// variant first ("2/3", "2 of 3", "٢ من ٣"); Japanese, Chinese, Korean, Hindi
+// and Bengali can name the total first ("3件中2件", "3개 중 2번째").
+const VARIANT_COUNTER_PATTERNS = [
+  /^(?:第\s*)?(?<current>\d+)\s*(?:[/／⁄∕⧸]|of|von|de|sur|di|van|av|z|из|من|จาก|dari)\s*(?<total>\d+)$/i,
+  /^(?<total>\d+)\s*(?:件|個|个|개|টির)?\s*(?:の中|中的|中|중|में से|মধ্যে)\s*(?:第\s*)?(?<current>\d+)\s*(?:件|個|个|번째|개|वाँ|টি)?$/,
+  /^第\s*(?<current>\d+)\s*(?:件|個|个|条|條)?\s*[,，、]?\s*共\s*(?<total>\d+)\s*(?:件|個|个|条|條)?$/,
+];
+
 /**
- * Debug function to help identify the page structure
+ * Convert digits of other numbering systems to ASCII digits. Unicode encodes
+ * every decimal digit system as a run of code points from 0 to 9, and runs
+ * that directly follow each other (the mathematical digits) start at a
+ * multiple of ten from the first, so a digit's value is its distance from the
+ * start of its contiguous run, modulo 10.
+ * @param {string} text - Text to convert
+ * @returns {string} Text with ASCII digits
+ */
+function normalizeLocaleDigits(text) {
+  const isDigit = (code) => /\p{Nd}/u.test(String.fromCodePoint(code));
+
+  return String(text).replace(/\p{Nd}/gu, (digit) => {
+    const code = digit.codePointAt(0);
+    let start = code;
+    while (isDigit(start - 1)) start--;
+    return String((code - start) % 10);
+  });
+}
+
+/**
+ * Parse a variant counter such as "2/3", "２／３", "٢ من ٣" or "3件中2件"
+ * @param {string} text - Counter text
+ * @returns {{current: number, total: number}|null} Parsed counter or null
+ */
+function parseVariantCounter(text) {
+  const normalized = normalizeLocaleDigits(text || "")
+    .replace(/[\u200e\u200f\u061c\u2066-\u2069]/g, "") // Bidi marks
+    .trim();
+
+  for (const pattern of VARIANT_COUNTER_PATTERNS) {
+    const match = normalized.match(pattern);
+    if (match) {
+      return {
+        current: parseInt(match.groups.current, 10),
+        total: parseInt(match.groups.total, 10),
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the previous/next variant buttons of a turn, by label first and
+ * otherwise by position: the buttons right before and after the counter
+ * @param {Element} turnElement - Turn element
+ * @returns {{prevButton: Element|null, nextButton: Element|null}} Buttons
+ */
+function findVariantButtons(turnElement) {
+  let prevButton = selectorProfile.query("previousVariantButton", turnElement);
+  let nextButton = selectorProfile.query("nextVariantButton", turnElement);
+  if (prevButton || nextButton) {
+    return { prevButton, nextButton };
+  }
+
+  const counter = selectorProfile.query("variantCounter", turnElement);
+  let container = counter?.parentElement;
+
+  // The counter sits between its buttons, at most a couple of levels up
+  for (let i = 0; i < 3 && container && container !== turnElement; i++) {
+    const buttons = Array.from(container.querySelectorAll("button"));
+    prevButton =
+      buttons
+        .filter(
+          (button) =>
+            counter.compareDocumentPosition(button) &
+            Node.DOCUMENT_POSITION_PRECEDING
+        )
+        .pop() || null;
+    nextButton =
+      buttons.find(
+        (button) =>
+          counter.compareDocumentPosition(button) &
+          Node.DOCUMENT_POSITION_FOLLOWING
+      ) || null;
+
+    if (prevButton && nextButton) break;
+    container = container.parentElement;
+  }
+
+  return { prevButton, nextButton };
+}
+
+/**
+ * Describe the page structure the selectors have to work with
+ * @returns {Object} Report { url, mainChildren, containers, selectorProfile,
+ *   variantCounters }
  */
 function debugPageStructure() {
   const main = document.querySelector("main");
-  if (main) {
-    // Log first few children of main
-    Array.from(main.children).slice(0, 5);
-  }
+  const describe = (element) => ({
+    path: getDOMPath(element),
+    data: getDataAttributes(element),
+  });
 
   // Look for elements that might contain conversation content
   const possibleContainers = [
@@ -222,16 +270,35 @@ function debugPageStructure() {
     '[role="log"]',
     '[role="main"]',
   ];
-
+  const containers = {};
   possibleContainers.forEach((selector) => {
-    const elements = document.querySelectorAll(selector);
+    containers[selector] = document.querySelectorAll(selector).length;
   });
 
-  // Look for elements with tabular-nums (our branch indicators)
-  const tabularNums = document.querySelectorAll(".tabular-nums");
-  if (tabularNums.length > 0) {
-    tabularNums.forEach((el, index) => {});
-  }
+  // Look for variant counters (our branch indicators)
+  const variantCounters = Array.from(
+    document.querySelectorAll(selectorProfile.getSelector("variantCounter"))
+  )
+    .slice(0, 10)
+    .map((element) => ({
+      ...describe(element),
+      text: element.textContent?.trim(),
+    }));
+
+  const report = {
+    url: window.location.href,
+    mainChildren: main
+      ? Array.from(main.children).slice(0, 5).map(describe)
+      : null,
+    containers,
+    selectorProfile: selectorProfile
+      .selfTest(document)
+      .results.map(({ key, matched }) => ({ key, matched })),
+    variantCounters,
+  };
+
+  domLog.debug("Page structure:", report);
+  return report;
 }
 
 /**
@@ -249,38 +316,6 @@ function getDataAttributes(element) {
   return dataAttrs;
 }
 
-/**
- * Generate a stable ID for a turn element
- * @param {Element} turnElement - The turn element
- * @param {number} index - The turn index as fallback
- * @returns {string} Stable turn ID
- */
-function generateTurnId(turnElement, index) {
-  // Try to use stable attributes first
-  const stableAttributes = [
-    "data-message-id",
-    "data-turn-id",
-    "data-testid",
-    "id",
-  ];
-
-  for (const attr of stableAttributes) {
-    const value = turnElement.getAttribute(attr);
-    if (value) {
-      return value;
-    }
-  }
-
-  // Fallback: generate deterministic ID from content and position
-  const textContent = turnElement.textContent?.trim().substring(0, 100) || "";
-  const contentHash = simpleHash(textContent);
-  const domPath = getDOMPath(turnElement);
-  const pathHash = simpleHash(domPath);
-
-  const syntheticId = `turn-${index}-${contentHash}-${pathHash}`;
-  return syntheticId;
-}
-
 /**
  * Get DOM path for an element (for ID generation)
  * @param {Element} element - The element
@@ -351,7 +386,7 @@ function safeAppendChild(parent, child) {
   try {
     // Check if parent is still in DOM and not controlled by React
     if (!parent || !parent.isConnected) {
-      console.warn("Parent element not in DOM");
+      domLog.warn("Parent element not in DOM");
       return false;
     }
 
@@ -361,14 +396,14 @@ function safeAppendChild(parent, child) {
       parent.closest("[data-reactroot]") ||
       parent.hasAttribute("data-react-checksum")
     ) {
-      console.warn("Avoiding React-controlled element");
+      domLog.warn("Avoiding React-controlled element");
       return false;
     }
 
     parent.appendChild(child);
     return true;
   } catch (error) {
-    console.error("Error in safeAppendChild:", error);
+    domLog.error("Error in safeAppendChild:", error);
     return false;
   }
 }
@@ -384,7 +419,7 @@ function safeInsertBefore(parent, newElement, referenceElement) {
   try {
     // Check if parent is still in DOM and not controlled by React
     if (!parent || !parent.isConnected) {
-      console.warn("Parent element not in DOM");
+      domLog.warn("Parent element not in DOM");
       return false;
     }
 
@@ -394,14 +429,14 @@ function safeInsertBefore(parent, newElement, referenceElement) {
       parent.closest("[data-reactroot]") ||
       parent.hasAttribute("data-react-checksum")
     ) {
-      console.warn("Avoiding React-controlled element");
+      domLog.warn("Avoiding React-controlled element");
       return false;
     }
 
     parent.insertBefore(newElement, referenceElement);
     return true;
   } catch (error) {
-    console.error("Error in safeInsertBefore:", error);
+    domLog.error("Error in safeInsertBefore:", error);
     return false;
   }
 }
@@ -416,7 +451,7 @@ function safeSetInnerHTML(element, html) {
   try {
     // Check if element is still in DOM and not controlled by React
     if (!element || !element.isConnected) {
-      console.warn("Element not in DOM");
+      domLog.warn("Element not in DOM");
       return false;
     }
 
@@ -426,14 +461,14 @@ function safeSetInnerHTML(element, html) {
       element.closest("[data-reactroot]") ||
       element.hasAttribute("data-react-checksum")
     ) {
-      console.warn("Avoiding React-controlled element");
+      domLog.warn("Avoiding React-controlled element");
       return false;
     }
 
     element.innerHTML = html;
     return true;
   } catch (error) {
-    console.error("Error in safeSetInnerHTML:", error);
+    domLog.error("Error in safeSetInnerHTML:", error);
     return false;
   }
 }
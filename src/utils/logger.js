@@ -0,0 +1,177 @@
+// ============================================================================
+// DEBUG LOGGER
+// ============================================================================
+
+// Leveled, per-component logging. Debug and info messages stay out of the
+// console unless debug logging is turned on in the options page. Info and
+// above are always kept in a small ring buffer (detections, navigations,
+// saves, errors) that the diagnostics panel shows and copies into reports.
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+class DebugLogger {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.bufferSize] - Entries kept in the ring buffer
+   * @param {string} [options.consoleLevel] - Lowest level printed
+   */
+  constructor({ bufferSize = 300, consoleLevel = "warn" } = {}) {
+    this.bufferSize = bufferSize;
+    this.consoleLevel = consoleLevel;
+    this.entries = [];
+    this.loggers = new Map(); // namespace -> Logger
+  }
+
+  /**
+   * Get the logger of a component
+   * @param {string} namespace - Component name, e.g. "branch-detector"
+   * @returns {Logger} Logger
+   */
+  get(namespace) {
+    if (!this.loggers.has(namespace)) {
+      this.loggers.set(namespace, new Logger(this, namespace));
+    }
+    return this.loggers.get(namespace);
+  }
+
+  /**
+   * Set the lowest level printed to the console
+   * @param {string} level - "debug", "info", "warn" or "error"
+   */
+  setConsoleLevel(level) {
+    if (LOG_LEVELS[level]) this.consoleLevel = level;
+  }
+
+  /**
+   * Check whether a level reaches the console or the buffer
+   * @param {string} level - Level name
+   * @returns {boolean} True if messages of that level are kept
+   */
+  isEnabled(level) {
+    return (
+      LOG_LEVELS[level] >= Math.min(LOG_LEVELS.info, this.consoleLevelValue())
+    );
+  }
+
+  consoleLevelValue() {
+    return LOG_LEVELS[this.consoleLevel] || LOG_LEVELS.warn;
+  }
+
+  /**
+   * Record a message and print it if its level is high enough
+   * @param {string} level - Level name
+   * @param {string} namespace - Component name
+   * @param {string} message - Message
+   * @param {any[]} data - Extra values (summarized for the buffer)
+   */
+  write(level, namespace, message, data) {
+    if (!this.isEnabled(level)) return;
+
+    this.entries.push({
+      time: Date.now(),
+      level,
+      namespace,
+      message,
+      data:
+        data.length > 0 ? data.map((value) => summarizeLogValue(value)) : [],
+    });
+    if (this.entries.length > this.bufferSize) {
+      this.entries.splice(0, this.entries.length - this.bufferSize);
+    }
+
+    if (LOG_LEVELS[level] >= this.consoleLevelValue()) {
+      const method = level === "debug" ? "log" : level;
+      console[method](`[${namespace}] ${message}`, ...data);
+    }
+  }
+
+  /**
+   * Get the recorded entries, oldest first
+   * @returns {Object[]} Entries { time, level, namespace, message, data }
+   */
+  getEntries() {
+    return this.entries.slice();
+  }
+
+  clear() {
+    this.entries = [];
+  }
+}
+
+class Logger {
+  constructor(hub, namespace) {
+    this.hub = hub;
+    this.namespace = namespace;
+  }
+
+  isEnabled(level) {
+    return this.hub.isEnabled(level);
+  }
+
+  debug(message, ...data) {
+    this.hub.write("debug", this.namespace, message, data);
+  }
+
+  info(message, ...data) {
+    this.hub.write("info", this.namespace, message, data);
+  }
+
+  warn(message, ...data) {
+    this.hub.write("warn", this.namespace, message, data);
+  }
+
+  error(message, ...data) {
+    this.hub.write("error", this.namespace, message, data);
+  }
+}
+
+/**
+ * Turn a logged value into small, JSON-safe data (no DOM nodes or cycles)
+ * @param {any} value - Value to summarize
+ * @param {number} [depth] - Levels of nesting kept
+ * @returns {any} Summary
+ */
+function summarizeLogValue(value, depth = 2) {
+  if (value === null || value === undefined) return value;
+  if (["string", "number", "boolean"].includes(typeof value)) {
+    return typeof value === "string" && value.length > 300
+      ? `${value.slice(0, 300)}...`
+      : value;
+  }
+  if (value instanceof Error) {
+    return { error: value.message, stack: value.stack?.split("\n", 4) };
+  }
+  if (typeof Element !== "undefined" && value instanceof Element) {
+    const classes = String(value.className || "")
+      .split(" ")
+      .filter(Boolean)
+      .slice(0, 2);
+    return `<${value.tagName.toLowerCase()}${
+      classes.length ? `.${classes.join(".")}` : ""
+    }>`;
+  }
+  if (typeof value === "function") return "[function]";
+  if (depth <= 0) {
+    return Array.isArray(value) ? `[${value.length} items]` : "{...}";
+  }
+
+  if (value instanceof Map) value = Object.fromEntries(value);
+  if (value instanceof Set) value = Array.from(value);
+
+  if (Array.isArray(value)) {
+    const items = value
+      .slice(0, 20)
+      .map((item) => summarizeLogValue(item, depth - 1));
+    if (value.length > 20) items.push(`... ${value.length - 20} more`);
+    return items;
+  }
+
+  const summary = {};
+  for (const [key, item] of Object.entries(value).slice(0, 30)) {
+    summary[key] = summarizeLogValue(item, depth - 1);
+  }
+  return summary;
+}
+
+// Shared instance; each component takes its logger with debugLogger.get(name)
+const debugLogger = new DebugLogger();
@@ -0,0 +1,99 @@
+// ============================================================================
+// PERFORMANCE MONITOR
+// ============================================================================
+
+// Timing and counter metrics for the work the content script does on its own
+// (rescans after DOM changes, initial scans). Kept in memory only; shown in
+// the diagnostics panel and copied into reports.
+
+class PerformanceMonitor {
+  constructor() {
+    this.timings = new Map(); // name -> { count, totalMs, maxMs, lastMs }
+    this.counters = new Map(); // name -> number
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Run a function and record how long it took
+   * @param {string} name - Metric name, e.g. "rescan"
+   * @param {Function} fn - Work to time (may be async)
+   * @returns {any} What fn returned (a promise for async fn)
+   */
+  measure(name, fn) {
+    const start = performance.now();
+    const finish = () => this.record(name, performance.now() - start);
+
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      finish();
+      throw error;
+    }
+
+    if (result && typeof result.then === "function") {
+      return result.finally(finish);
+    }
+    finish();
+    return result;
+  }
+
+  /**
+   * Record one duration
+   * @param {string} name - Metric name
+   * @param {number} durationMs - Duration in ms
+   */
+  record(name, durationMs) {
+    const timing = this.timings.get(name) || {
+      count: 0,
+      totalMs: 0,
+      maxMs: 0,
+      lastMs: 0,
+    };
+    timing.count++;
+    timing.totalMs += durationMs;
+    timing.maxMs = Math.max(timing.maxMs, durationMs);
+    timing.lastMs = durationMs;
+    this.timings.set(name, timing);
+  }
+
+  /**
+   * Add to a counter
+   * @param {string} name - Counter name, e.g. "turnsAnalyzed"
+   * @param {number} [amount] - Amount to add
+   */
+  increment(name, amount = 1) {
+    this.counters.set(name, (this.counters.get(name) || 0) + amount);
+  }
+
+  /**
+   * Get every metric recorded so far
+   * @returns {Object} { since, timings: name -> { count, averageMs, maxMs,
+   *   lastMs, totalMs }, counters: name -> number }
+   */
+  getMetrics() {
+    const round = (ms) => Math.round(ms * 10) / 10;
+    const timings = {};
+    for (const [name, timing] of this.timings) {
+      timings[name] = {
+        count: timing.count,
+        averageMs: round(timing.totalMs / timing.count),
+        maxMs: round(timing.maxMs),
+        lastMs: round(timing.lastMs),
+        totalMs: round(timing.totalMs),
+      };
+    }
+
+    return {
+      since: new Date(this.startedAt).toISOString(),
+      timings,
+      counters: Object.fromEntries(this.counters),
+    };
+  }
+
+  reset() {
+    this.timings.clear();
+    this.counters.clear();
+    this.startedAt = Date.now();
+  }
+}
@@ -2,100 +2,266 @@
 // STORAGE UTILITIES
 // ============================================================================
 
+// Dependencies: StorageManager from storage-manager.js, TreeBuilder from
+// tree-builder.js, SCHEMA_VERSION from schema-migrations.js, debugLogger from
+// logger.js
+
+const storageUtilsLog = debugLogger.get("storage-utils");
+
+const BUNDLE_FORMAT = "chatgpt-branching-bundle";
+const BUNDLE_VERSION = 1;
+
 /**
  * Get storage statistics
- * @returns {Object} Storage statistics
+ * @param {StorageManager} storageManager - Storage manager
+ * @returns {Promise<Object>} Storage statistics
  */
-export function getStorageStatistics() {
-  if (!extensionState.storageManager) {
+async function getStorageStatistics(storageManager) {
+  if (!storageManager) {
     return { error: "Storage manager not available" };
   }
 
-  return extensionState.storageManager.getStorageStats();
+  return storageManager.getStorageStats();
 }
 
 /**
  * Clear conversation data
+ * @param {StorageManager} storageManager - Storage manager
  * @param {string} conversationId - Conversation ID to clear
  * @returns {Promise<boolean>} Success status
  */
-export async function clearConversationData(conversationId) {
-  if (!extensionState.storageManager) {
-    console.error("Storage manager not available");
+async function clearConversationData(storageManager, conversationId) {
+  if (!storageManager) {
+    storageUtilsLog.error("Storage manager not available");
     return false;
   }
 
-  return await extensionState.storageManager.clearConversation(conversationId);
+  return await storageManager.clearConversation(conversationId);
 }
 
 /**
- * Export conversation data for backup
+ * Export one conversation's lean tree, customizations, metadata and any
+ * captured full text
+ * @param {StorageManager} storageManager - Storage manager
  * @param {string} conversationId - Conversation ID to export
- * @returns {Promise<Object|null>} Exported data or null if failed
+ * @returns {Promise<Object|null>} Bundle entry or null if failed
  */
-export async function exportConversationData(conversationId) {
-  if (!extensionState.storageManager) {
-    console.error("Storage manager not available");
+async function exportConversationData(storageManager, conversationId) {
+  if (!storageManager) {
+    storageUtilsLog.error("Storage manager not available");
     return null;
   }
 
   try {
-    const treeData = await extensionState.storageManager.loadConversationTree(
+    const leanTree = await storageManager.loadLeanTree(conversationId);
+    const customizations = await storageManager.loadCustomizations(
       conversationId
     );
-    const customizations =
-      await extensionState.storageManager.loadCustomizations(conversationId);
+    const metadata = await storageManager.loadMetadata(conversationId);
+    const contentStore = await storageManager.loadContentStore(conversationId);
 
     return {
       conversationId,
-      exportTimestamp: Date.now(),
-      treeData,
+      leanTree,
       customizations,
+      metadata,
+      // Full variant text, only present when it was captured
+      ...(Object.keys(contentStore.refs).length > 0 && { contentStore }),
     };
   } catch (error) {
-    console.error("Failed to export conversation data:", error);
+    storageUtilsLog.error("Failed to export conversation data:", error);
     return null;
   }
 }
 
 /**
- * Import conversation data from backup
- * @param {Object} data - Data to import
- * @returns {Promise<boolean>} Success status
+ * Export every stored conversation as a versioned bundle
+ * @param {StorageManager} storageManager - Storage manager
+ * @returns {Promise<Object>} Bundle { format, bundleVersion, schemaVersion,
+ *   exportTimestamp, conversations }
  */
-export async function importConversationData(data) {
-  if (!extensionState.storageManager) {
-    console.error("Storage manager not available");
-    return false;
+async function exportAllConversations(storageManager) {
+  const conversations = [];
+
+  for (const conversationId of await storageManager.getStoredConversationIds()) {
+    const entry = await exportConversationData(storageManager, conversationId);
+    if (entry) conversations.push(entry);
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    bundleVersion: BUNDLE_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportTimestamp: Date.now(),
+    conversations,
+  };
+}
+
+/**
+ * Import one bundle entry, merging with what is already stored instead of
+ * overwriting it. Lean nodes merge with TreeBuilder.mergeLeanNodes; local
+ * branch names/colors and titles win over incoming ones.
+ * @param {StorageManager} storageManager - Storage manager
+ * @param {Object} data - Bundle entry
+ * @param {string} [schemaVersion] - Schema version the entry was exported at
+ * @returns {Promise<"created"|"merged"|"skipped">} Import outcome
+ */
+async function importConversationData(storageManager, data, schemaVersion) {
+  if (!storageManager) {
+    storageUtilsLog.error("Storage manager not available");
+    return "skipped";
   }
 
   try {
-    const { conversationId, treeData, customizations } = data;
+    const { conversationId, customizations, metadata } = data || {};
 
     if (!conversationId) {
-      console.error("Invalid import data: missing conversation ID");
-      return false;
+      storageUtilsLog.error("Invalid import data: missing conversation ID");
+      return "skipped";
     }
 
-    // Import tree data
-    if (treeData) {
-      await extensionState.storageManager.saveConversationTree(
-        conversationId,
-        treeData
+    const existingLean = await storageManager.loadLeanTree(conversationId);
+    const existingMetadata = await storageManager.loadMetadata(conversationId);
+
+    // Bring the incoming lean tree up to the current schema first
+    const incoming = data.leanTree
+      ? await storageManager.validateAndMigrate(
+          {
+            version: schemaVersion,
+            conversationId,
+            timestamp: data.leanTree.timestamp || 0,
+            treeData: data.leanTree,
+          },
+          "lean_tree",
+          conversationId
+        )
+      : null;
+
+    // Unknown or newer schema: skip the whole entry rather than importing its
+    // customizations and metadata without the tree they belong to
+    if (data.leanTree && !incoming) {
+      storageUtilsLog.warn(
+        `Skipped ${conversationId}: lean tree schema ${schemaVersion} cannot be read`
       );
+      return "skipped";
     }
 
-    // Import customizations
-    if (customizations) {
-      await extensionState.storageManager.saveCustomizations(
-        conversationId,
-        customizations
+    // Merge lean nodes with the same rules as a live rescan
+    if (incoming?.treeData?.nodes?.length) {
+      const merged = TreeBuilder.mergeLeanNodes(
+        existingLean?.nodes || [],
+        incoming.treeData.nodes
       );
+      const nodes = Array.from(merged.nodes.values());
+      await storageManager.saveLeanTree(conversationId, {
+        nodeCount: nodes.length,
+        nodes,
+        rootChildren: merged.root.children,
+      });
+    }
+
+    // Merge customizations (local entries win)
+    if (customizations?.branches) {
+      const local = await storageManager.loadCustomizations(conversationId);
+      const branches = { ...local.branches };
+      for (const [nodeId, branch] of Object.entries(customizations.branches)) {
+        branches[nodeId] = { ...branch, ...branches[nodeId] };
+      }
+      await storageManager.saveCustomizations(conversationId, {
+        ...local,
+        branches,
+      });
+    }
+
+    // Merge captured full text (local captures win)
+    if (data.contentStore?.refs) {
+      const local = await storageManager.loadContentStore(conversationId);
+      const refs = { ...data.contentStore.refs, ...local.refs };
+      const contents = {};
+      for (const hash of new Set(Object.values(refs))) {
+        const content =
+          local.contents[hash] || data.contentStore.contents?.[hash];
+        if (content) contents[hash] = content;
+      }
+      await storageManager.writeContentStore(conversationId, {
+        contents,
+        refs,
+      });
+    }
+
+    // Merge metadata (local title wins)
+    if (metadata) {
+      await storageManager.saveMetadata(conversationId, {
+        ...metadata,
+        ...existingMetadata,
+      });
     }
 
-    return true;
+    return existingLean || existingMetadata ? "merged" : "created";
   } catch (error) {
-    console.error("Failed to import conversation data:", error);
-    return false;
+    storageUtilsLog.error("Failed to import conversation data:", error);
+    return "skipped";
+  }
+}
+
+/**
+ * Import a bundle produced by exportAllConversations
+ * @param {StorageManager} storageManager - Storage manager
+ * @param {Object} bundle - Parsed bundle file
+ * @returns {Promise<{created: number, merged: number, skipped: number}>} Counts
+ * @throws {Error} If the file is not a supported bundle
+ */
+async function importConversationBundle(storageManager, bundle) {
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    throw new Error("Not a ChatGPT Branching export file");
+  }
+  if (bundle.bundleVersion > BUNDLE_VERSION) {
+    throw new Error(
+      `Bundle version ${bundle.bundleVersion} is newer than this extension supports`
+    );
+  }
+
+  const result = { created: 0, merged: 0, skipped: 0 };
+
+  for (const entry of bundle.conversations || []) {
+    const outcome = await importConversationData(
+      storageManager,
+      entry,
+      bundle.schemaVersion
+    );
+    result[outcome]++;
+  }
+
+  return result;
+}
+
+/**
+ * Show the retention policy in a select and save changes to it. The policy
+ * lives in chrome.storage.local next to the data it prunes, so each device
+ * keeps its own.
+ * @param {StorageManager} storageManager - Storage manager
+ * @param {HTMLSelectElement} select - Options are day counts ("" = forever)
+ * @param {Function} [onChange] - Called with the removed conversation IDs
+ *   once a change is saved and applied
+ */
+async function setupRetentionSelect(storageManager, select, onChange) {
+  const { maxAgeDays } = await storageManager.getRetentionPolicy();
+
+  // Keep custom values (set elsewhere) selectable
+  if (maxAgeDays && !select.querySelector(`option[value="${maxAgeDays}"]`)) {
+    const option = document.createElement("option");
+    option.value = String(maxAgeDays);
+    option.textContent = `${maxAgeDays} days`;
+    select.appendChild(option);
   }
+  select.value = maxAgeDays ? String(maxAgeDays) : "";
+
+  select.addEventListener("change", async () => {
+    const days = Number(select.value) || null;
+    await storageManager.setRetentionPolicy({ maxAgeDays: days });
+    const removed = days
+      ? await storageManager.applyRetentionPolicy([], { force: true })
+      : [];
+    await onChange?.(removed);
+  });
 }
@@ -0,0 +1,227 @@
+// The packed extension in headless Chrome against the simulated ChatGPT page:
+// path bar tabs, the branch menu and tree clicks switching variants on a page
+// that re-renders with a delay. Skipped when no Chrome can be started; point
+// CHROME_PATH at a Chrome or Chromium binary, or install one with
+// `npx @puppeteer/browsers install chrome@stable --path ~/.cache/puppeteer`.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const puppeteer = require("puppeteer-core");
+const { getInstalledBrowsers } = require("@puppeteer/browsers");
+const { JSDOM } = require("jsdom");
+const {
+  HOSTNAME,
+  startFakeChatGPTServer,
+} = require("./helpers/fake-chatgpt-server");
+const {
+  TEST_MATCH,
+  buildTestExtension,
+  createTestManifest,
+} = require("./helpers/test-extension");
+
+const CONVERSATION_ID = "6f3a2b1c-0d4e-4f5a-9b8c-7d6e5f4a3b2c";
+const LATENCY = 150;
+
+/**
+ * Find a Chrome binary: CHROME_PATH, else the newest Chrome in puppeteer's
+ * browser cache (chrome-headless-shell cannot load extensions)
+ * @returns {Promise<string|null>} Executable path
+ */
+async function findChrome() {
+  if (process.env.CHROME_PATH) return process.env.CHROME_PATH;
+
+  const browsers = await getInstalledBrowsers({
+    cacheDir: path.join(os.homedir(), ".cache/puppeteer"),
+  });
+  const chrome = browsers
+    .filter((browser) => browser.browser === "chrome")
+    .sort((a, b) => a.buildId.localeCompare(b.buildId, "en", { numeric: true }))
+    .pop();
+  return chrome?.executablePath || null;
+}
+
+/**
+ * Start Chrome with the test build of the extension
+ * @param {TestContext} t - Test that owns the browser
+ * @returns {Promise<Browser|null>} Browser, or null if Chrome is unavailable
+ */
+async function launchWithExtension(t) {
+  const executablePath = await findChrome();
+  if (!executablePath) {
+    t.skip("no Chrome found (set CHROME_PATH)");
+    return null;
+  }
+
+  const extensionDir = fs.mkdtempSync(
+    path.join(os.tmpdir(), "chatgpt-branching-")
+  );
+  t.after(() => fs.rmSync(extensionDir, { recursive: true, force: true }));
+  buildTestExtension(extensionDir);
+
+  try {
+    const browser = await puppeteer.launch({
+      executablePath,
+      headless: true,
+      enableExtensions: [extensionDir],
+      // Chrome refuses its sandbox as root, as in most CI containers
+      args: process.getuid?.() === 0 ? ["--no-sandbox"] : [],
+      timeout: 30000,
+    });
+    t.after(() => browser.close());
+    return browser;
+  } catch (error) {
+    t.skip(`Chrome did not start: ${String(error.message).split("\n")[0]}`);
+    return null;
+  }
+}
+
+/**
+ * Wait for the simulated page to show a path of message IDs
+ * @param {Page} page - Puppeteer page
+ * @param {string[]} ids - Expected leading message IDs of the visible path
+ */
+async function waitForPath(page, ids) {
+  await page.waitForFunction(
+    (expected) =>
+      expected.every((id, i) => window.fakeChatGPT.getPath()[i]?.id === id),
+    { timeout: 15000 },
+    ids
+  );
+}
+
+/**
+ * Read the variant counts shown in the extension's path bar
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<string[]>} Counts such as "2/3", top-down
+ */
+function pathBarCounts(page) {
+  return page.$$eval(".path-node .node-count", (counts) =>
+    counts.map((count) => count.textContent)
+  );
+}
+
+test(
+  "extension in Chrome switches variants on the simulated ChatGPT page",
+  { timeout: 120000 },
+  async (t) => {
+    const browser = await launchWithExtension(t);
+    if (!browser) return;
+
+    const server = await startFakeChatGPTServer();
+    t.after(() => server.close());
+
+    const page = await browser.newPage();
+    await page.goto(
+      server.conversationUrl(CONVERSATION_ID, { latency: LATENCY })
+    );
+
+    // The content script starts and shows the path bar
+    await page.waitForSelector(".path-node.has-branches", { timeout: 30000 });
+    assert.deepEqual(await pathBarCounts(page), ["1/3"]);
+
+    // Path bar tab: next variant of the first answer
+    await page.click(".path-node.has-branches .next-button");
+    await waitForPath(page, ["u1", "a2"]);
+    await page.waitForFunction(
+      () => document.querySelectorAll(".path-node.has-branches").length === 2,
+      { timeout: 15000 }
+    );
+    assert.deepEqual(await pathBarCounts(page), ["2/3", "1/2"]);
+
+    // Branch menu: pick the second follow-up under that answer
+    const [, followUp] = await page.$$(".path-node.has-branches");
+    await followUp.hover();
+    await page.waitForSelector(".branch-menu.show .branch-item");
+    const items = await page.$$(".branch-menu.show .branch-item");
+    await items[1].click();
+    await waitForPath(page, ["u1", "a2", "u4", "a6"]);
+    await page.waitForFunction(
+      () => document.querySelectorAll(".path-node.has-branches").length === 3,
+      { timeout: 15000 }
+    );
+    assert.deepEqual(await pathBarCounts(page), ["2/3", "2/2", "1/2"]);
+
+    // Tree view: click the first answer's original variant
+    await page.mouse.move(0, 0);
+    await page.click(".chatgpt-viz-button");
+    await page.waitForSelector(".chatgpt-viz-modal.show g.cb-tree-node");
+    const clicked = await page.$$eval("g.cb-tree-node", (nodes) => {
+      const node = nodes.find((g) =>
+        g.querySelector("title")?.textContent.startsWith("Day one: Alfama")
+      );
+      node
+        ?.querySelector("circle:not(.cb-hit-area)")
+        .dispatchEvent(new MouseEvent("click", { bubbles: true }));
+      return !!node;
+    });
+    assert.ok(clicked, "tree shows the first answer");
+    await waitForPath(page, ["u1", "a1", "u2"]);
+    await page.waitForFunction(
+      () =>
+        Array.from(
+          document.querySelectorAll(".path-node .node-count"),
+          (c) => c.textContent
+        ).join() === "1/3",
+      { timeout: 15000 }
+    );
+  }
+);
+
+test("the test build also matches the simulated page", () => {
+  const manifest = createTestManifest();
+  const original = JSON.parse(
+    fs.readFileSync(path.join(__dirname, "../manifest.json"), "utf8")
+  );
+  const [scripts] = manifest.content_scripts;
+
+  assert.equal(TEST_MATCH, "http://chatgpt.com.localhost:*/*");
+  assert.deepEqual(scripts.matches, [
+    ...original.content_scripts[0].matches,
+    TEST_MATCH,
+  ]);
+  assert.deepEqual(scripts.js, original.content_scripts[0].js);
+  assert.deepEqual(manifest.host_permissions, [
+    ...original.host_permissions,
+    TEST_MATCH,
+  ]);
+});
+
+test("the server serves a working simulated page", async (t) => {
+  const server = await startFakeChatGPTServer();
+  t.after(() => server.close());
+  // Node does not resolve *.localhost; ask the loopback address directly
+  const local = (url) => url.replace(HOSTNAME, "127.0.0.1");
+
+  const outside = await fetch(
+    local(`${server.origin}/..%2Fhelpers%2Ftest-extension.js`)
+  );
+  assert.equal(outside.status, 404);
+
+  const dom = await JSDOM.fromURL(
+    local(server.conversationUrl(CONVERSATION_ID, { latency: LATENCY })),
+    { runScripts: "dangerously", resources: "usable", pretendToBeVisual: true }
+  );
+  t.after(() => dom.window.close());
+  const { document } = dom.window;
+  if (document.readyState !== "complete") {
+    await new Promise((resolve) =>
+      dom.window.addEventListener("load", resolve)
+    );
+  }
+
+  const visiblePath = () =>
+    Array.from(dom.window.fakeChatGPT.getPath(), (message) => message.id);
+  assert.deepEqual(visiblePath(), ["u1", "a1", "u2", "a4"]);
+  assert.equal(document.querySelectorAll("article").length, 4);
+  assert.equal(document.querySelector(".tabular-nums").textContent, "1/3");
+
+  // The switch shows up after the latency given in the URL
+  document.querySelector('button[aria-label="Next response"]').click();
+  assert.equal(document.querySelector(".tabular-nums").textContent, "1/3");
+  await new Promise((resolve) => setTimeout(resolve, LATENCY + 50));
+  assert.equal(document.querySelector(".tabular-nums").textContent, "2/3");
+  assert.deepEqual(visiblePath(), ["u1", "a2", "u3", "a5"]);
+});
@@ -0,0 +1,208 @@
+// The whole content script on saved ChatGPT pages: initialization, the path
+// bar and what ends up in chrome.storage.local
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, plain, sleep } = require("./helpers/extension-page");
+
+/**
+ * Load a fixture with every content script and wait for the lean tree save
+ * @param {TestContext} t - Test that owns the page
+ * @param {string} fixture - HTML file in test/fixtures
+ * @returns {Promise<Object>} { page, state, lean, metadata }
+ */
+async function initialize(t, fixture) {
+  const page = loadPage({ fixture });
+  t.after(() => page.close());
+  const state = await page.waitForExtension();
+  const lean = await page.waitFor(
+    () => page.readPayload(state.conversationId, "lean_tree"),
+    { message: "the lean tree to be saved" }
+  );
+  const metadata = await page.readPayload(state.conversationId, "metadata");
+  return { page, state, lean, metadata };
+}
+
+test("linear conversation is stored as a chain of single variants", async (t) => {
+  const { page, state, lean, metadata } = await initialize(t, "linear.html");
+
+  assert.equal(state.conversationId, "6f3a2b1c-0d4e-4f5a-9b8c-7d6e5f4a3b2c");
+  assert.equal(metadata.metadata.title, "Packing list");
+
+  const nodes = lean.treeData.nodes;
+  assert.equal(lean.treeData.nodeCount, 4);
+  assert.deepEqual(
+    nodes.map((node) => node.id),
+    ["turn-0_v1", "turn-1_v1", "turn-2_v1", "turn-3_v1"]
+  );
+  assert.deepEqual(lean.treeData.rootChildren, ["turn-0_v1"]);
+  nodes.slice(0, -1).forEach((node, i) => {
+    assert.deepEqual(node.children, [nodes[i + 1].id]);
+  });
+});
+
+test("branched conversation: stored payload and path bar", async (t) => {
+  const { page, lean, metadata } = await initialize(t, "branched.html");
+  const turnId = "msg-3c9a7e10-0001-4b7e-8f00-1a2b3c4d5e01";
+
+  assert.equal(lean.version, page.get("SCHEMA_VERSION"));
+  assert.equal(lean.dataType, "lean_tree");
+  assert.equal(lean.conversationId, "6f3a2b1c-0d4e-4f5a-9b8c-7d6e5f4a3b2c");
+  assert.equal(metadata.metadata.title, "Trip planning");
+
+  assert.deepEqual(
+    lean.treeData.nodes.map((node) => [
+      node.id,
+      node.role,
+      node.isActive,
+      node.isDiscovered,
+    ]),
+    [
+      [`${turnId}_v1`, "assistant", false, false],
+      [`${turnId}_v2`, "assistant", true, true],
+      [`${turnId}_v3`, "assistant", false, false],
+    ]
+  );
+  assert.deepEqual(lean.treeData.rootChildren, [
+    `${turnId}_v1`,
+    `${turnId}_v2`,
+    `${turnId}_v3`,
+  ]);
+
+  const pathBar = page.document.getElementById("conversation-path");
+  assert.ok(pathBar, "path bar is added under the page header");
+  assert.match(pathBar.textContent, /2\/3/);
+});
+
+test("nested branches are stored with their parent links", async (t) => {
+  const { page, lean } = await initialize(t, "nested-branched.html");
+  const nodes = new Map(lean.treeData.nodes.map((node) => [node.id, node]));
+  const answer = "msg-9e2d4b60-0001-4a3c-b111-0c1d2e3f4a01";
+  const edit = "msg-9e2d4b60-0002-4a3c-b111-0c1d2e3f4a13";
+  const followUp = "msg-9e2d4b60-0003-4a3c-b111-0c1d2e3f4a22";
+
+  assert.equal(lean.treeData.nodeCount, 8);
+  assert.equal(nodes.get(`${edit}_v1`).parentId, `${answer}_v3`);
+  assert.equal(nodes.get(`${followUp}_v3`).parentId, `${edit}_v2`);
+  assert.equal(nodes.get(`${edit}_v2`).role, "user");
+});
+
+test("a streaming answer is rescanned once it finishes", async (t) => {
+  const { page, state, lean } = await initialize(t, "streaming.html");
+  const monitor = state.performanceMonitor;
+
+  assert.equal(lean.treeData.nodeCount, 2);
+  const rescannedBefore = monitor.getMetrics().counters.turnsRescanned || 0;
+
+  // ChatGPT finishes the answer and adds its variant controls
+  const answer = page.document.querySelectorAll("article")[3];
+  answer.querySelector(".markdown").classList.remove("result-streaming");
+  await page.waitFor(
+    () => (monitor.getMetrics().counters.turnsRescanned || 0) > rescannedBefore,
+    { message: "the finished turn to be rescanned" }
+  );
+
+  // The rescan merged the turn into the tree instead of replacing it
+  assert.deepEqual(
+    plain(state.treeBuilder.getAllNodes().map((node) => node.turnIndex)),
+    [1]
+  );
+  assert.equal(state.treeBuilder.getLeanState().nodeCount, 2);
+});
+
+test("a search still in flight does not add hits to a newer one", async (t) => {
+  const { state } = await initialize(t, "branched.html");
+  const ui = state.uiManager;
+  await ui.showVisualization();
+  const results = ui.vizModal.querySelector(".viz-search-results");
+
+  // The first tree read is slow, so the first search finishes last
+  const builder = state.treeBuilder;
+  const read = builder.getComprehensiveTreeState.bind(builder);
+  let reads = 0;
+  builder.getComprehensiveTreeState = async (conversationId) => {
+    const slow = ++reads === 1;
+    const treeState = await read(conversationId);
+    if (slow) await sleep(200);
+    return treeState;
+  };
+
+  await Promise.all([ui.runSearch("Alfama"), ui.runSearch("Sintra")]);
+  const marks = Array.from(
+    results.querySelectorAll("mark"),
+    (m) => m.textContent
+  );
+  assert.ok(marks.length > 0, "the newer search lists its hits");
+  assert.deepEqual(new Set(marks), new Set(["Sintra"]));
+  assert.equal(
+    results.querySelector(".viz-search-summary").textContent,
+    `${marks.length} match${marks.length === 1 ? "" : "es"}`
+  );
+
+  // Clearing the query (Escape, empty input) wins over a search in flight
+  reads = 0;
+  await Promise.all([ui.runSearch("Alfama"), ui.runSearch("")]);
+  assert.equal(results.hidden, true);
+  assert.equal(results.children.length, 0);
+});
+
+test("shortcuts rebound on the library page apply to an open tab", async (t) => {
+  const { page, state } = await initialize(t, "branched.html");
+  const controller = state.uiManager.keyboardController;
+  assert.equal(controller.shortcuts.openSearch, "Mod+Shift+F");
+
+  // The library page saves overrides through its own StorageManager
+  await page
+    .run("new StorageManager()")
+    .saveSetting("shortcuts", { openSearch: "Alt+Shift+S" });
+  await page.waitFor(() => controller.shortcuts.openSearch === "Alt+Shift+S", {
+    message: "the new shortcut to be bound",
+  });
+
+  await page.run("new StorageManager()").saveSetting("shortcuts", {});
+  await page.waitFor(() => controller.shortcuts.openSearch === "Mod+Shift+F", {
+    message: "the default shortcut to be restored",
+  });
+});
+
+test("a route change during a slow switch stops it instead of racing it", async (t) => {
+  const { page, state } = await initialize(t, "branched.html");
+  const second = "7a4b3c2d-1e0f-4a6b-8c7d-6e5f4a3b2c1d";
+  const third = "8b5c4d3e-2f1a-4b7c-9d8e-7f6a5b4c3d2e";
+  const navigate = (conversationId) => {
+    page.window.history.pushState({}, "", `/c/${conversationId}`);
+    state.routeWatcher.check();
+  };
+
+  const scans = [];
+  const measure = state.performanceMonitor.measure.bind(
+    state.performanceMonitor
+  );
+  state.performanceMonitor.measure = (name, fn) => {
+    if (name === "initialScan") scans.push(state.conversationId);
+    return measure(name, fn);
+  };
+  // Hold the first switch while it re-renders the header
+  let release = null;
+  const reattach = state.uiManager.reattach.bind(state.uiManager);
+  state.uiManager.reattach = () => {
+    state.uiManager.reattach = reattach;
+    return new Promise((resolve) => (release = resolve)).then(reattach);
+  };
+
+  navigate(second);
+  await page.waitFor(() => release, {
+    message: "the first switch to reach the header",
+  });
+  navigate(third);
+  // Longer than the wait for ChatGPT to settle
+  await sleep(2000);
+  assert.equal(state.conversationId, second, "nothing detaches mid-attach");
+
+  release();
+  await page.run("routeChangeQueue");
+  assert.equal(state.conversationId, third);
+  assert.deepEqual(scans, [third]);
+  assert.equal(await page.readPayload(second, "metadata"), null);
+  assert.ok(await page.readPayload(third, "metadata"));
+});
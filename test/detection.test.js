@@ -0,0 +1,221 @@
+// Branch detection and lean tree shape on saved ChatGPT pages, with the
+// extension's modules loaded but not the content script itself
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  loadPage,
+  MODULE_SCRIPTS,
+  plain,
+  sleep,
+} = require("./helpers/extension-page");
+
+/**
+ * Load a fixture and detect its branches like the initial scan does
+ * @param {TestContext} t - Test that owns the page
+ * @param {string} fixture - HTML file in test/fixtures
+ * @returns {Object} { page, turns, branches, lean }
+ */
+function detect(t, fixture) {
+  const page = loadPage({ fixture, scripts: MODULE_SCRIPTS });
+  t.after(() => page.close());
+  const { turns, branches, lean } = page.run(`
+    (() => {
+      const turns = findConversationTurns();
+      const branches = new BranchDetector().detectBranches(turns);
+      const builder = new TreeBuilder();
+      builder.buildFromNodes(branches);
+      return { turns, branches, lean: builder.getLeanState() };
+    })()
+  `);
+  return { page, turns, branches, lean: plain(lean) };
+}
+
+// Page arrays are built from the page's Array; Array.from makes Node ones
+const summarize = (branches) =>
+  Array.from(branches, (branch) => ({
+    id: branch.id,
+    turnIndex: branch.turnIndex,
+    currentVariant: branch.currentVariant,
+    totalVariants: branch.totalVariants,
+    role: branch.role,
+  }));
+
+const byId = (lean) => new Map(lean.nodes.map((node) => [node.id, node]));
+
+test("linear conversation has turns but no branches", async (t) => {
+  const { page, turns, branches, lean } = detect(t, "linear.html");
+
+  assert.equal(turns.length, 4);
+  assert.equal(branches.length, 0);
+  assert.deepEqual(lean, { nodeCount: 0, nodes: [], rootChildren: [] });
+});
+
+test("branched conversation: one regenerated answer", async (t) => {
+  const { page, branches, lean } = detect(t, "branched.html");
+  const turnId = "msg-3c9a7e10-0001-4b7e-8f00-1a2b3c4d5e01";
+
+  assert.deepEqual(summarize(branches), [
+    {
+      id: turnId,
+      turnIndex: 1,
+      currentVariant: 2,
+      totalVariants: 3,
+      role: "assistant",
+    },
+  ]);
+  assert.equal(branches[0].activeVariantId, `${turnId}_v2`);
+
+  assert.equal(lean.nodeCount, 3);
+  assert.deepEqual(lean.rootChildren, [
+    `${turnId}_v1`,
+    `${turnId}_v2`,
+    `${turnId}_v3`,
+  ]);
+  const nodes = byId(lean);
+  const active = nodes.get(`${turnId}_v2`);
+  assert.equal(active.isActive, true);
+  assert.equal(active.isDiscovered, true);
+  assert.match(active.text, /^Day one: Alfama/);
+  // Variants not shown yet are placeholders until visited
+  assert.equal(nodes.get(`${turnId}_v1`).isDiscovered, false);
+  assert.equal(nodes.get(`${turnId}_v3`).isDiscovered, false);
+});
+
+test("nested branches chain under the active variant", async (t) => {
+  const { page, branches, lean } = detect(t, "nested-branched.html");
+  const [answer, edit, followUp] = [
+    "msg-9e2d4b60-0001-4a3c-b111-0c1d2e3f4a01",
+    "msg-9e2d4b60-0002-4a3c-b111-0c1d2e3f4a13",
+    "msg-9e2d4b60-0003-4a3c-b111-0c1d2e3f4a22",
+  ];
+
+  assert.deepEqual(
+    summarize(branches).map(({ id, currentVariant, totalVariants, role }) => [
+      id,
+      `${currentVariant}/${totalVariants}`,
+      role,
+    ]),
+    [
+      [answer, "3/3", "assistant"],
+      [edit, "2/2", "user"],
+      [followUp, "1/3", "assistant"],
+    ]
+  );
+
+  assert.equal(lean.nodeCount, 8);
+  const nodes = byId(lean);
+  assert.deepEqual(lean.rootChildren, [
+    `${answer}_v1`,
+    `${answer}_v2`,
+    `${answer}_v3`,
+  ]);
+  assert.deepEqual(nodes.get(`${answer}_v3`).children, [
+    `${edit}_v1`,
+    `${edit}_v2`,
+  ]);
+  assert.deepEqual(nodes.get(`${edit}_v2`).children, [
+    `${followUp}_v1`,
+    `${followUp}_v2`,
+    `${followUp}_v3`,
+  ]);
+  // Only the visible path has children
+  assert.deepEqual(nodes.get(`${answer}_v1`).children, []);
+  assert.deepEqual(nodes.get(`${edit}_v1`).children, []);
+  assert.deepEqual(
+    lean.nodes.filter((node) => node.isActive).map((node) => node.id),
+    [`${answer}_v3`, `${edit}_v2`, `${followUp}_v1`]
+  );
+});
+
+test("turn roles come from ChatGPT's message author", async (t) => {
+  const page = loadPage({
+    fixture: "nested-branched.html",
+    scripts: MODULE_SCRIPTS,
+  });
+  t.after(() => page.close());
+  const roles = page.run(`
+    (() => {
+      const detector = new BranchDetector();
+      return findConversationTurns().map((turn) => detector.classifyTurnRole(turn));
+    })()
+  `);
+
+  assert.deepEqual(plain(roles), ["user", "assistant", "user", "assistant"]);
+});
+
+test("streaming fixture: the unfinished answer is recognized", async (t) => {
+  const { page, turns, branches } = detect(t, "streaming.html");
+  const observer = page.run("new DOMObserver({ onRescan() {} })");
+
+  assert.deepEqual(
+    Array.from(turns, (turn) => observer.isStreaming(turn)),
+    [false, false, false, true]
+  );
+  assert.deepEqual(
+    summarize(branches).map((branch) => branch.turnIndex),
+    [1]
+  );
+});
+
+test("DOMObserver holds back a streaming turn until it finishes", async (t) => {
+  const page = loadPage({ fixture: "streaming.html", scripts: MODULE_SCRIPTS });
+  t.after(() => page.close());
+  const rescans = [];
+  const DOMObserver = page.get("DOMObserver");
+  const domObserver = new DOMObserver({
+    delay: 20,
+    onRescan: (turnElements, changedTurns) =>
+      rescans.push(
+        Array.from(changedTurns, (turn) => turnElements.indexOf(turn))
+      ),
+  });
+  domObserver.observe(page.document.querySelector("main"));
+  t.after(() => domObserver.disconnect());
+
+  const answer = page.document.querySelectorAll("article")[3];
+  const markdown = answer.querySelector(".markdown");
+  markdown
+    .querySelector("p")
+    .append(" multiplies n by the factorial of n - 1.");
+  await sleep(80);
+  assert.deepEqual(rescans, [], "streaming turn is not rescanned");
+
+  markdown.classList.remove("result-streaming");
+  await sleep(80);
+  assert.deepEqual(rescans, [[3]]);
+});
+
+test("synthetic turn IDs are upgraded only on the branch shown", async (t) => {
+  const page = loadPage({ scripts: MODULE_SCRIPTS });
+  t.after(() => page.close());
+  const variants = (turnId, turnIndex, parentId) =>
+    [1, 2].map((n) => ({ id: `${turnId}_v${n}`, turnId, turnIndex, parentId }));
+  const findUpgrades = (stored, live) =>
+    Object.fromEntries(
+      page.get("TurnIdentity").findUpgrades(stored, live).entries()
+    );
+
+  // Two follow-ups at turn 3, one under each variant of the first answer
+  const stored = [
+    ...variants("msg-u1", 1, "ROOT"),
+    ...variants("turn-3-aaa", 3, "msg-u1_v1"),
+    ...variants("turn-3-bbb", 3, "msg-u1_v2"),
+  ];
+  const live = [
+    { id: "msg-u1", turnIndex: 1, activeVariantId: "msg-u1_v2" },
+    { id: "msg-a2", turnIndex: 3, activeVariantId: "msg-a2_v1" },
+  ];
+  assert.deepEqual(findUpgrades(stored, live), { "turn-3-bbb": "msg-a2" });
+
+  // A parent that is upgraded in the same pass still leads to its children
+  const synthetic = [
+    ...variants("turn-1-xyz", 1, "ROOT"),
+    ...variants("turn-3-aaa", 3, "turn-1-xyz_v1"),
+    ...variants("turn-3-bbb", 3, "turn-1-xyz_v2"),
+  ];
+  assert.deepEqual(findUpgrades(synthetic, live), {
+    "turn-1-xyz": "msg-u1",
+    "turn-3-bbb": "msg-a2",
+  });
+});
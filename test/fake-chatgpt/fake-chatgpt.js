@@ -0,0 +1,235 @@
+// ============================================================================
+// FAKE CHATGPT CONVERSATION
+// ============================================================================
+
+// Renders a branching conversation with ChatGPT's turn markup: <article>
+// turns with data-testid="conversation-turn-N", message elements carrying
+// data-message-author-role and data-message-id, and a ".tabular-nums" "2/3"
+// counter between Previous/Next response buttons on turns with siblings.
+//
+// Switching a variant behaves like ChatGPT's React tree: the switched turn is
+// updated in place (its buttons stay the same elements, so repeated clicks
+// work) and every turn below it is replaced by new elements. The update can
+// be delayed to imitate a slow page.
+//
+// Plain browser script: loaded into jsdom by the tests and by the simulated
+// ChatGPT page (index.html) in a real browser.
+
+class FakeChatGPT {
+  /**
+   * @param {Element} container - Element the turns are rendered into
+   * @param {Object[]} messages - First-turn variants; each message is
+   *   { id, role: "user"|"assistant", text, streaming?, children?: [...] }
+   * @param {Object} [options]
+   * @param {number} [options.latency] - ms between a click and the re-render
+   */
+  constructor(container, messages, { latency = 0 } = {}) {
+    this.container = container;
+    this.messages = messages;
+    this.latency = latency;
+    this.selected = new Map(); // parent message ID ("root") -> child index
+    this.renderTimer = null;
+    this.pendingTurn = null; // Highest turn switched since the last render
+    this.renderCount = 0;
+  }
+
+  /**
+   * Get the sibling messages shown at each turn, top-down
+   * @returns {Array<{parentId: string, siblings: Object[], index: number}>}
+   */
+  getTurns() {
+    const turns = [];
+    let parentId = "root";
+    let siblings = this.messages;
+
+    while (siblings && siblings.length > 0) {
+      const index = Math.min(
+        this.selected.get(parentId) || 0,
+        siblings.length - 1
+      );
+      turns.push({ parentId, siblings, index });
+
+      const message = siblings[index];
+      parentId = message.id;
+      siblings = message.children;
+    }
+
+    return turns;
+  }
+
+  /**
+   * Get the messages on the visible path
+   * @returns {Object[]} Messages, top-down
+   */
+  getPath() {
+    return this.getTurns().map((turn) => turn.siblings[turn.index]);
+  }
+
+  /**
+   * Render every turn from scratch
+   */
+  render() {
+    this.container.replaceChildren(
+      ...this.getTurns().map((turn, i) => this.renderTurn(turn, i))
+    );
+    this.renderCount++;
+  }
+
+  /**
+   * Show another variant of a turn. The switched turn is updated in place and
+   * the turns below it are re-created, after the configured latency.
+   * @param {number} turnIndex - Turn position on the visible path
+   * @param {number} delta - -1 for previous, 1 for next
+   */
+  switchVariant(turnIndex, delta) {
+    const turn = this.getTurns()[turnIndex];
+    if (!turn) return;
+
+    const index = turn.index + delta;
+    if (index < 0 || index >= turn.siblings.length) return;
+    this.selected.set(turn.parentId, index);
+
+    this.pendingTurn = Math.min(this.pendingTurn ?? turnIndex, turnIndex);
+    clearTimeout(this.renderTimer);
+    if (this.latency > 0) {
+      this.renderTimer = setTimeout(() => this.update(), this.latency);
+    } else {
+      this.update();
+    }
+  }
+
+  /**
+   * Re-render after a switch: update the highest switched turn in place and
+   * replace every turn below it
+   */
+  update() {
+    const turns = this.getTurns();
+    const elements = Array.from(this.container.children);
+    const first = Math.min(this.pendingTurn ?? 0, elements.length);
+    this.renderTimer = null;
+    this.pendingTurn = null;
+
+    const switched = elements[first];
+    if (switched) {
+      this.fillTurn(switched, turns[first], first);
+    }
+
+    elements.slice(first + 1).forEach((element) => element.remove());
+    turns
+      .slice(first + 1)
+      .forEach((turn, i) =>
+        this.container.appendChild(this.renderTurn(turn, first + 1 + i))
+      );
+    this.renderCount++;
+  }
+
+  /**
+   * Mark a message as still being written, or finished
+   * @param {string} messageId - Message ID
+   * @param {boolean} streaming - True while streaming
+   */
+  setStreaming(messageId, streaming) {
+    const message = this.getPath().find((m) => m.id === messageId);
+    if (!message) return;
+
+    message.streaming = streaming;
+    const content = this.container.querySelector(
+      `[data-message-id="${messageId}"] .markdown`
+    );
+    content?.classList.toggle("result-streaming", streaming);
+  }
+
+  /**
+   * Create the element of one turn
+   * @param {Object} turn - Entry of getTurns()
+   * @param {number} turnIndex - Turn position
+   * @returns {Element} Turn element
+   */
+  renderTurn(turn, turnIndex) {
+    const article = document.createElement("article");
+    article.className = "w-full text-token-text-primary";
+    article.dir = "auto";
+    article.dataset.testid = `conversation-turn-${turnIndex + 1}`;
+    this.fillTurn(article, turn, turnIndex);
+    return article;
+  }
+
+  /**
+   * Render a turn's message and variant controls into its element. Existing
+   * Previous/Next buttons are kept so clicks on them keep working.
+   * @param {Element} article - Turn element
+   * @param {Object} turn - Entry of getTurns()
+   * @param {number} turnIndex - Turn position
+   */
+  fillTurn(article, turn, turnIndex) {
+    const message = turn.siblings[turn.index];
+    const isUser = message.role === "user";
+
+    const heading = document.createElement("h5");
+    heading.className = "sr-only";
+    heading.textContent = isUser ? "You said:" : "ChatGPT said:";
+
+    const body = document.createElement("div");
+    body.dataset.messageAuthorRole = message.role;
+    body.dataset.messageId = message.id;
+    body.className = "min-h-8 text-message flex w-full flex-col";
+    if (isUser) {
+      const text = document.createElement("div");
+      text.className = "whitespace-pre-wrap";
+      text.textContent = message.text;
+      body.appendChild(text);
+    } else {
+      const markdown = document.createElement("div");
+      markdown.className = "markdown prose w-full break-words";
+      if (message.streaming) markdown.classList.add("result-streaming");
+      for (const paragraph of String(message.text).split("\n\n")) {
+        const p = document.createElement("p");
+        p.textContent = paragraph;
+        markdown.appendChild(p);
+      }
+      body.appendChild(markdown);
+    }
+
+    const content = [heading, body];
+    if (turn.siblings.length > 1) {
+      content.push(this.renderControls(article, turn, turnIndex));
+    }
+    article.replaceChildren(...content);
+  }
+
+  /**
+   * Create the "Previous response / 2/3 / Next response" controls
+   * @param {Element} article - Turn element (holds buttons from earlier renders)
+   * @param {Object} turn - Entry of getTurns()
+   * @param {number} turnIndex - Turn position
+   * @returns {Element} Controls element
+   */
+  renderControls(article, turn, turnIndex) {
+    const button = (label, delta) => {
+      let element = article.querySelector(`button[aria-label="${label}"]`);
+      if (!element) {
+        element = document.createElement("button");
+        element.setAttribute("aria-label", label);
+        element.className = "rounded-lg text-token-text-secondary";
+        element.addEventListener("click", () => {
+          if (!element.disabled) this.switchVariant(turnIndex, delta);
+        });
+      }
+      return element;
+    };
+
+    const previous = button("Previous response", -1);
+    const next = button("Next response", 1);
+    previous.disabled = turn.index === 0;
+    next.disabled = turn.index === turn.siblings.length - 1;
+
+    const counter = document.createElement("div");
+    counter.className = "px-0.5 text-sm font-semibold tabular-nums";
+    counter.textContent = `${turn.index + 1}/${turn.siblings.length}`;
+
+    const controls = document.createElement("div");
+    controls.className = "flex items-center justify-start";
+    controls.append(previous, counter, next);
+    return controls;
+  }
+}
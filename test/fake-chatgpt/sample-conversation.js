@@ -0,0 +1,55 @@
+// ============================================================================
+// SAMPLE CONVERSATION
+// ============================================================================
+
+// Conversation rendered by FakeChatGPT in the tests and on the simulated page.
+// Branching turns: the first answer (3 regenerations), the follow-up under
+// the second answer (2 edits) and the answer to "Add a food tour." (2
+// regenerations). Every other turn has a single variant.
+
+const SAMPLE_CONVERSATION = (() => {
+  const message = (id, role, text, children = []) => ({
+    id,
+    role,
+    text,
+    children,
+  });
+
+  return [
+    message("u1", "user", "Plan a three day trip to Lisbon.", [
+      message(
+        "a1",
+        "assistant",
+        "Day one: Alfama. Day two: Belém. Day three: Sintra.",
+        [
+          message("u2", "user", "Make it cheaper.", [
+            message(
+              "a4",
+              "assistant",
+              "Stay in Graça and buy a 24 hour transit pass."
+            ),
+          ]),
+        ]
+      ),
+      message(
+        "a2",
+        "assistant",
+        "Two days in the city and one day at the coast.",
+        [
+          message("u3", "user", "Which coast?", [
+            message("a5", "assistant", "Cascais is the easiest by train."),
+          ]),
+          message("u4", "user", "Add a food tour.", [
+            message("a6", "assistant", "Start at the Time Out Market."),
+            message("a7", "assistant", "Book a tasting walk through Mouraria."),
+          ]),
+        ]
+      ),
+      message("a3", "assistant", "Four days, with a side trip to Porto.", [
+        message("u5", "user", "That is too long.", [
+          message("a8", "assistant", "Then skip Porto and stay three days."),
+        ]),
+      ]),
+    ]),
+  ];
+})();
@@ -0,0 +1,303 @@
+// ============================================================================
+// EXTENSION PAGE HARNESS
+// ============================================================================
+
+// Runs the extension's classic scripts in a jsdom window, the way Chrome runs
+// content scripts: in manifest order, sharing one global scope, with an
+// in-memory chrome.storage behind them. Top-level classes and constants are
+// script-scoped (not window properties), so tests read them with page.get().
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+const ROOT = path.resolve(__dirname, "../..");
+const FIXTURES = path.join(ROOT, "test/fixtures");
+const MANIFEST = JSON.parse(
+  fs.readFileSync(path.join(ROOT, "manifest.json"), "utf8")
+);
+
+// Content scripts in manifest order; the modules are everything but content.js
+const CONTENT_SCRIPTS = MANIFEST.content_scripts[0].js;
+const MODULE_SCRIPTS = CONTENT_SCRIPTS.filter(
+  (file) => file !== "src/content.js"
+);
+
+// Web APIs Chrome has and jsdom lacks (jsdom's Blob has no stream()); the
+// compression codec and content hashing need them
+const NODE_WEB_APIS = [
+  "TextEncoder",
+  "TextDecoder",
+  "CompressionStream",
+  "DecompressionStream",
+  "Blob",
+  "Response",
+];
+
+/**
+ * Create an in-memory chrome.storage area
+ * @param {string} areaName - "local" or "sync"
+ * @param {Object} initial - Initial contents
+ * @param {Function} notify - Called with (changes, areaName) after writes
+ * @returns {Object} Storage area with the promise-based chrome.storage API
+ */
+function createStorageArea(areaName, initial, notify) {
+  const data = new Map(Object.entries(clone(initial || {})));
+
+  const area = {
+    data,
+    async get(keys) {
+      if (keys == null) return clone(Object.fromEntries(data));
+      const defaults =
+        typeof keys === "object" && !Array.isArray(keys) ? keys : {};
+      const names = Array.isArray(keys)
+        ? keys
+        : typeof keys === "string"
+        ? [keys]
+        : Object.keys(keys);
+
+      const result = {};
+      for (const name of names) {
+        if (data.has(name)) result[name] = clone(data.get(name));
+        else if (name in defaults) result[name] = defaults[name];
+      }
+      return result;
+    },
+    async getKeys() {
+      return Array.from(data.keys());
+    },
+    async set(items) {
+      const changes = {};
+      for (const [key, value] of Object.entries(clone(items))) {
+        changes[key] = { oldValue: data.get(key), newValue: value };
+        data.set(key, value);
+      }
+      notify(changes, areaName);
+    },
+    async remove(keys) {
+      const changes = {};
+      for (const key of [].concat(keys)) {
+        if (!data.has(key)) continue;
+        changes[key] = { oldValue: data.get(key) };
+        data.delete(key);
+      }
+      notify(changes, areaName);
+    },
+    async clear() {
+      await area.remove(Array.from(data.keys()));
+    },
+  };
+  return area;
+}
+
+/**
+ * Create the chrome.* API surface the extension's pages use
+ * @param {Object} [storage] - Initial contents: { local, sync }
+ * @returns {Object} chrome object
+ */
+function createChrome(storage = {}) {
+  const listeners = new Set();
+  const notify = (changes, areaName) => {
+    if (Object.keys(changes).length === 0) return;
+    // chrome.storage events arrive asynchronously
+    setTimeout(() => {
+      for (const listener of listeners) listener(changes, areaName);
+    }, 0);
+  };
+
+  return {
+    storage: {
+      local: createStorageArea("local", storage.local, notify),
+      sync: createStorageArea("sync", storage.sync, notify),
+      onChanged: {
+        addListener: (listener) => listeners.add(listener),
+        removeListener: (listener) => listeners.delete(listener),
+        hasListener: (listener) => listeners.has(listener),
+      },
+    },
+    runtime: {
+      id: "test-extension",
+      getManifest: () => clone(MANIFEST),
+      getURL: (file) => `chrome-extension://test-extension/${file}`,
+    },
+  };
+}
+
+/**
+ * Load a page with extension scripts
+ * @param {Object} [options]
+ * @param {string} [options.fixture] - HTML file in test/fixtures
+ * @param {string} [options.html] - Page markup (instead of a fixture)
+ * @param {string} [options.url] - Page URL
+ * @param {string[]} [options.scripts] - Scripts to run, relative to the repo
+ *   root (default: every content script)
+ * @param {Object} [options.storage] - Initial chrome.storage contents:
+ *   { local, sync }
+ * @returns {ExtensionPage} Loaded page
+ */
+function loadPage({
+  fixture = null,
+  html = null,
+  url = "https://chatgpt.com/c/6f3a2b1c-0d4e-4f5a-9b8c-7d6e5f4a3b2c",
+  scripts = CONTENT_SCRIPTS,
+  storage = {},
+} = {}) {
+  const markup =
+    html ??
+    (fixture
+      ? fs.readFileSync(path.join(FIXTURES, fixture), "utf8")
+      : "<!DOCTYPE html><html><body><main></main></body></html>");
+  // Only errors reach the test output; the extension warns about every
+  // selector that finds nothing
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on("error", (...args) => console.error(...args));
+  virtualConsole.on("jsdomError", (error) => console.error(error));
+
+  const dom = new JSDOM(markup, {
+    url,
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+    virtualConsole,
+  });
+  const page = new ExtensionPage(dom, createChrome(storage));
+
+  for (const file of scripts) page.runFile(file);
+  return page;
+}
+
+class ExtensionPage {
+  /**
+   * @param {JSDOM} dom - jsdom instance
+   * @param {Object} chrome - chrome API (see createChrome)
+   */
+  constructor(dom, chrome) {
+    this.dom = dom;
+    this.window = dom.window;
+    this.document = dom.window.document;
+    this.chrome = chrome;
+    this.context = dom.getInternalVMContext();
+
+    this.window.chrome = chrome;
+    for (const name of NODE_WEB_APIS) {
+      this.window[name] = globalThis[name];
+    }
+  }
+
+  /**
+   * Run a script file in the page, like a <script> or content script
+   * @param {string} file - Path relative to the repo root
+   */
+  runFile(file) {
+    const source = fs.readFileSync(path.join(ROOT, file), "utf8");
+    new vm.Script(source, { filename: file }).runInContext(this.context);
+  }
+
+  /**
+   * Evaluate an expression in the page's global scope
+   * @param {string} code - Expression or statements
+   * @returns {any} Result
+   */
+  run(code) {
+    return new vm.Script(code).runInContext(this.context);
+  }
+
+  /**
+   * Read a global binding (including top-level class and const declarations)
+   * @param {string} name - Binding name
+   * @returns {any} Value
+   */
+  get(name) {
+    return this.run(name);
+  }
+
+  /**
+   * Wait until a condition holds
+   * @param {Function} predicate - Checked every 20 ms (may be async)
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Give up after this many ms
+   * @param {string} [options.message] - Error message on timeout
+   * @returns {Promise<any>} The first truthy predicate result
+   */
+  async waitFor(predicate, { timeout = 10000, message = "condition" } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const result = await predicate();
+      if (result) return result;
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for ${message}`);
+      }
+      await sleep(20);
+    }
+  }
+
+  /**
+   * Wait until the content script finished initializing
+   * @returns {Promise<Object>} extensionState
+   */
+  async waitForExtension() {
+    return this.waitFor(
+      () => {
+        const state = this.window.extensionState;
+        return state?.isInitialized ? state : null;
+      },
+      { message: "the content script to initialize" }
+    );
+  }
+
+  /**
+   * Read and decode a stored payload the way StorageManager writes it
+   * @param {string} conversationId - Conversation ID
+   * @param {string} dataType - "lean_tree", "metadata", ...
+   * @returns {Promise<Object|null>} Parsed payload or null if not stored
+   */
+  async readPayload(conversationId, dataType) {
+    const manager = this.run("new StorageManager()");
+    const raw = this.chrome.storage.local.data.get(
+      manager.getStorageKey(conversationId, dataType)
+    );
+    if (raw == null) return null;
+    return JSON.parse(await manager.decompressData(raw));
+  }
+
+  /**
+   * Stop the content script's watchers, let in-flight work finish and
+   * release the window
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.window.extensionState?.routeWatcher?.stop();
+    this.window.extensionState?.domObserver?.disconnect();
+    await sleep(300);
+    this.window.close();
+  }
+}
+
+/**
+ * Deep-copy JSON data, like chrome.storage does. Also turns page objects into
+ * plain Node objects: deepStrictEqual compares prototypes, and the page's
+ * Object and Array are not Node's.
+ * @param {any} value - Value to copy
+ * @returns {any} Copy
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Resolve after a delay
+ * @param {number} ms - Delay in ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  CONTENT_SCRIPTS,
+  MODULE_SCRIPTS,
+  createChrome,
+  loadPage,
+  plain: clone,
+  sleep,
+};
@@ -0,0 +1,102 @@
+// ============================================================================
+// FAKE CHATGPT SERVER
+// ============================================================================
+
+// Serves the simulated ChatGPT page (test/fake-chatgpt/) over HTTP. Every
+// /c/<conversation-id> URL gets index.html, like ChatGPT's own routes; other
+// paths are files of test/fake-chatgpt/. Pages are addressed as
+// chatgpt.com.localhost: browsers resolve *.localhost to the loopback
+// address, and the content script only starts on hosts containing
+// "chatgpt.com".
+//
+// Run it by hand to try the test build of the extension:
+//   node test/helpers/fake-chatgpt-server.js [port]
+
+const fs = require("node:fs");
+const http = require("node:http");
+const path = require("node:path");
+
+const FAKE_CHATGPT = path.resolve(__dirname, "../fake-chatgpt");
+const HOSTNAME = "chatgpt.com.localhost";
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+};
+
+/**
+ * Resolve a request path to a file of the simulated page
+ * @param {string} pathname - URL path
+ * @returns {string|null} File path, or null outside test/fake-chatgpt
+ */
+function resolveFile(pathname) {
+  if (/^\/c\/[\w-]+\/?$/.test(pathname)) {
+    return path.join(FAKE_CHATGPT, "index.html");
+  }
+  const file = path.join(FAKE_CHATGPT, path.normalize(pathname));
+  return file.startsWith(FAKE_CHATGPT + path.sep) ? file : null;
+}
+
+/**
+ * Start serving the simulated page
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on (default: any free port)
+ * @returns {Promise<Object>} { origin, conversationUrl(id, query), close() }
+ */
+function startFakeChatGPTServer({ port = 0 } = {}) {
+  const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+    const file = resolveFile(decodeURIComponent(pathname));
+
+    fs.readFile(file || "", (error, body) => {
+      if (error) {
+        response.writeHead(404).end("Not found");
+        return;
+      }
+      response
+        .writeHead(200, {
+          "Content-Type":
+            CONTENT_TYPES[path.extname(file)] || "application/octet-stream",
+          "Cache-Control": "no-store",
+        })
+        .end(body);
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => {
+      const origin = `http://${HOSTNAME}:${server.address().port}`;
+      resolve({
+        origin,
+        /**
+         * @param {string} conversationId - Conversation ID for the URL
+         * @param {Object} [query] - Page parameters, e.g. { latency: 150 }
+         * @returns {string} Page URL
+         */
+        conversationUrl(conversationId, query = {}) {
+          const search = new URLSearchParams(query).toString();
+          return `${origin}/c/${conversationId}${search ? `?${search}` : ""}`;
+        },
+        close() {
+          server.closeAllConnections();
+          return new Promise((done) => server.close(() => done()));
+        },
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  startFakeChatGPTServer({ port: Number(process.argv[2]) || 8080 }).then(
+    (server) => {
+      console.log(
+        `Simulated ChatGPT page: ${server.conversationUrl(
+          "6f3a2b1c-0d4e-4f5a-9b8c-7d6e5f4a3b2c",
+          { latency: 300 }
+        )}`
+      );
+    }
+  );
+}
+
+module.exports = { HOSTNAME, startFakeChatGPTServer };
@@ -0,0 +1,68 @@
+// ============================================================================
+// TEST EXTENSION BUILD
+// ============================================================================
+
+// Copies the extension into a directory with a manifest whose content
+// scripts, host permissions and web-accessible resources also match the
+// simulated ChatGPT page (see fake-chatgpt-server.js). The real manifest
+// stays limited to ChatGPT.
+//
+//   npm run build:test-extension    writes build/test-extension/
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { HOSTNAME } = require("./fake-chatgpt-server");
+
+const ROOT = path.resolve(__dirname, "../..");
+const EXTENSION_FILES = ["src", "styles", "vendor", "assets"];
+const TEST_MATCH = `http://${HOSTNAME}:*/*`;
+
+/**
+ * Derive the test manifest from manifest.json
+ * @returns {Object} Manifest
+ */
+function createTestManifest() {
+  const manifest = JSON.parse(
+    fs.readFileSync(path.join(ROOT, "manifest.json"), "utf8")
+  );
+  const withTestMatch = (matches) => [...matches, TEST_MATCH];
+
+  manifest.name = `${manifest.name} (test build)`;
+  manifest.host_permissions = withTestMatch(manifest.host_permissions);
+  for (const entry of manifest.content_scripts) {
+    entry.matches = withTestMatch(entry.matches);
+  }
+  for (const entry of manifest.web_accessible_resources || []) {
+    entry.matches = withTestMatch(entry.matches);
+  }
+  return manifest;
+}
+
+/**
+ * Write the test build of the extension
+ * @param {string} outDir - Directory to write (replaced if it exists)
+ * @returns {string} outDir
+ */
+function buildTestExtension(outDir) {
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+
+  for (const name of EXTENSION_FILES) {
+    fs.cpSync(path.join(ROOT, name), path.join(outDir, name), {
+      recursive: true,
+    });
+  }
+  fs.writeFileSync(
+    path.join(outDir, "manifest.json"),
+    JSON.stringify(createTestManifest(), null, 2) + "\n"
+  );
+  return outDir;
+}
+
+if (require.main === module) {
+  const outDir = path.resolve(process.argv[2] || "build/test-extension");
+  buildTestExtension(outDir);
+  console.log(`Test extension written to ${outDir}`);
+}
+
+module.exports = { TEST_MATCH, buildTestExtension, createTestManifest };
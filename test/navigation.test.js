@@ -0,0 +1,188 @@
+// Variant navigation offline: the content script against FakeChatGPT, which
+// swaps variants and re-renders downstream turns like ChatGPT does
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  loadPage,
+  CONTENT_SCRIPTS,
+  sleep,
+} = require("./helpers/extension-page");
+
+const PAGE = `<!DOCTYPE html>
+<html>
+  <head><title>Lisbon trip</title></head>
+  <body>
+    <main>
+      <div id="page-header"></div>
+      <div id="thread" class="flex flex-col text-sm"></div>
+    </main>
+  </body>
+</html>`;
+
+/**
+ * Render the sample conversation and start the content script on it
+ * @param {TestContext} t - Test that owns the page
+ * @param {Object} [options]
+ * @param {number} [options.latency] - Re-render delay of the fake page (ms)
+ * @returns {Promise<Object>} { page, state, fake }
+ */
+async function openConversation(t, { latency = 30 } = {}) {
+  const page = loadPage({
+    html: PAGE,
+    scripts: [
+      "test/fake-chatgpt/fake-chatgpt.js",
+      "test/fake-chatgpt/sample-conversation.js",
+    ],
+    // Short delays keep the tests fast; the fake page is quick to re-render
+    storage: {
+      sync: {
+        chatgpt_branching__preferences: { clickDelay: 50, settleDelay: 100 },
+      },
+    },
+  });
+  t.after(() => page.close());
+  const fake = page.run(`
+    const fake = new FakeChatGPT(
+      document.getElementById("thread"),
+      SAMPLE_CONVERSATION,
+      { latency: ${latency} }
+    );
+    fake.render();
+    fake;
+  `);
+
+  for (const file of CONTENT_SCRIPTS) page.runFile(file);
+  const state = await page.waitForExtension();
+  return { page, state, fake };
+}
+
+const visiblePath = (fake) => Array.from(fake.getPath(), (m) => m.id);
+
+const liveTurns = (state) =>
+  Array.from(
+    state.treeBuilder.getAllNodes(),
+    (node) => `${node.id} ${node.currentVariant}/${node.totalVariants}`
+  );
+
+/**
+ * Click a turn's Previous/Next button the way a user would
+ * @param {ExtensionPage} page - Page
+ * @param {number} turnIndex - Turn position
+ * @param {string} label - Button aria-label
+ */
+function click(page, turnIndex, label) {
+  page.document
+    .querySelectorAll("article")
+    [turnIndex].querySelector(`button[aria-label="${label}"]`)
+    .click();
+}
+
+test("switching variants by hand keeps every turn in the tree", async (t) => {
+  const { page, state, fake } = await openConversation(t);
+  assert.deepEqual(liveTurns(state), ["msg-u1 1/3"]);
+
+  click(page, 1, "Next response");
+  await page.waitFor(() => liveTurns(state).length === 2, {
+    message: "the new downstream turn",
+  });
+  assert.deepEqual(visiblePath(fake), ["u1", "a2", "u3", "a5"]);
+  assert.deepEqual(liveTurns(state), ["msg-u1 2/3", "msg-a2 1/2"]);
+
+  // Only turns 2 and 3 change; turn 1 must stay in the tree
+  click(page, 2, "Next response");
+  await page.waitFor(() => liveTurns(state).length === 3, {
+    message: "the food tour answers",
+  });
+  assert.deepEqual(liveTurns(state), [
+    "msg-u1 2/3",
+    "msg-a2 2/2",
+    "msg-u4 1/2",
+  ]);
+  assert.deepEqual(Array.from(state.treeBuilder.getActiveVariantIds()), [
+    "msg-u1_v2",
+    "msg-a2_v2",
+    "msg-u4_v1",
+  ]);
+});
+
+test("a rescan rebuilds the tree once, not once per branch", async (t) => {
+  const { page, state } = await openConversation(t);
+  click(page, 1, "Next response");
+  await page.waitFor(() => liveTurns(state).length === 2, {
+    message: "the new downstream turn",
+  });
+  await sleep(300);
+
+  let rebuilds = 0;
+  const builder = state.treeBuilder;
+  const buildFromNodes = builder.buildFromNodes.bind(builder);
+  builder.buildFromNodes = (nodes) => {
+    rebuilds++;
+    return buildFromNodes(nodes);
+  };
+
+  assert.equal(state.navigationController.rescanTurns().length, 2);
+  assert.equal(rebuilds, 1);
+  assert.deepEqual(liveTurns(state), ["msg-u1 2/3", "msg-a2 1/2"]);
+});
+
+test("the crawler discovers every variant and restores the path", async (t) => {
+  const { page, state, fake } = await openConversation(t);
+  const BranchCrawler = page.get("BranchCrawler");
+  const crawler = new BranchCrawler(state.navigationController, {
+    stepDelay: 50,
+  });
+
+  const result = await crawler.crawl();
+  assert.equal(result.status, "completed");
+  assert.equal(result.restored, true);
+  assert.deepEqual(visiblePath(fake), ["u1", "a1", "u2", "a4"]);
+
+  const stored = await page.waitFor(
+    async () => {
+      const lean = await page.readPayload(state.conversationId, "lean_tree");
+      const discovered = lean?.treeData.nodes.filter((n) => n.isDiscovered);
+      return discovered?.length === 7 ? lean : null;
+    },
+    { message: "every variant to be stored as discovered" }
+  );
+  const texts = new Map(stored.treeData.nodes.map((n) => [n.id, n.text]));
+  assert.deepEqual(Array.from(texts.keys()).sort(), [
+    "msg-a2_v1",
+    "msg-a2_v2",
+    "msg-u1_v1",
+    "msg-u1_v2",
+    "msg-u1_v3",
+    "msg-u4_v1",
+    "msg-u4_v2",
+  ]);
+  assert.equal(texts.get("msg-u4_v2"), "Book a tasting walk through Mouraria.");
+});
+
+test("navigateToPath switches each turn down to a nested variant", async (t) => {
+  const { page, state, fake } = await openConversation(t, { latency: 150 });
+  const nodes = [
+    ["msg-u1_v2", "ROOT", ["msg-a2_v1", "msg-a2_v2"]],
+    ["msg-a2_v2", "msg-u1_v2", ["msg-u4_v2"]],
+    ["msg-u4_v2", "msg-a2_v2", []],
+  ].map(([id, parentId, children]) => {
+    const [turnId, variant] = id.split("_v");
+    return {
+      id,
+      turnId,
+      parentId,
+      children,
+      variantIndex: Number(variant),
+      turnIndex: { "msg-u1": 1, "msg-a2": 2, "msg-u4": 3 }[turnId],
+    };
+  });
+
+  const result = await state.navigationController.navigateToPath("msg-u4_v2", {
+    nodes,
+  });
+
+  assert.equal(result.status, "success");
+  assert.equal(result.completedTurns, 3);
+  assert.deepEqual(visiblePath(fake), ["u1", "a2", "u4", "a7"]);
+});
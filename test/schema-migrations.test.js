@@ -0,0 +1,235 @@
+// Stored payloads of every historical shape are upgraded step by step to the
+// current schema by StorageManager.readPayload and written back once
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { loadPage, MODULE_SCRIPTS, plain } = require("./helpers/extension-page");
+
+const CONVERSATION_ID = "0a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d";
+const PAYLOADS = path.join(__dirname, "fixtures/payloads");
+
+/**
+ * Open a page with the modules and one stored payload fixture
+ * @param {TestContext} t - Test that owns the page
+ * @param {string} dataType - Storage data type of the fixture
+ * @param {string} file - File in test/fixtures/payloads
+ * @returns {Object} { page, manager, key, raw }
+ */
+function storeFixture(t, dataType, file) {
+  const raw = fs.readFileSync(path.join(PAYLOADS, file), "utf8").trim();
+  const page = loadPage({ scripts: MODULE_SCRIPTS });
+  t.after(() => page.close());
+
+  const manager = page.run("new StorageManager()");
+  const key = manager.getStorageKey(CONVERSATION_ID, dataType);
+  page.chrome.storage.local.data.set(key, raw);
+  return { page, manager, key, raw };
+}
+
+/**
+ * Read what is stored under a key now
+ * @param {Object} fixture - Result of storeFixture
+ * @returns {Promise<Object>} Parsed payload
+ */
+async function readStored({ page, manager, key }) {
+  const raw = page.chrome.storage.local.data.get(key);
+  return JSON.parse(await manager.decompressData(raw));
+}
+
+test("unversioned payloads run through every migration in order", async (t) => {
+  const page = loadPage({ scripts: MODULE_SCRIPTS });
+  t.after(() => page.close());
+
+  // Wrap each registry step to record the chain
+  const steps = [];
+  const registry = page.get("SCHEMA_MIGRATIONS");
+  const spied = {};
+  for (const [from, step] of Object.entries(registry)) {
+    spied[from] = {
+      ...step,
+      migrate(payload, dataType) {
+        steps.push(`${from} -> ${step.to}`);
+        return step.migrate(payload, dataType);
+      },
+    };
+  }
+  const SchemaMigrator = page.get("SchemaMigrator");
+  const migrator = new SchemaMigrator(spied, page.get("SCHEMA_VERSION"));
+
+  const payload = JSON.parse(
+    fs.readFileSync(path.join(PAYLOADS, "lean_tree-unversioned.json"), "utf8")
+  );
+  const upgraded = plain(migrator.migrate(payload, "lean_tree"));
+
+  assert.deepEqual(steps, ["0.0.0 -> 1.0.0", "1.0.0 -> 2.0.0"]);
+  assert.equal(upgraded.version, "2.0.0");
+  assert.equal(upgraded.migratedFrom, "0.0.0");
+  assert.equal(upgraded.dataType, "lean_tree");
+  assert.equal(upgraded.conversationId, null);
+  assert.equal(typeof upgraded.migrationTimestamp, "number");
+  assert.equal(migrator.needsMigration(upgraded), false);
+});
+
+test("a payload without a migration path is refused", async (t) => {
+  const page = loadPage({ scripts: MODULE_SCRIPTS });
+  t.after(() => page.close());
+  const migrator = page.run("new SchemaMigrator()");
+
+  assert.throws(
+    () => migrator.migrate({ version: "1.5.0" }, "lean_tree"),
+    /No migration from schema 1\.5\.0 to 2\.0\.0/
+  );
+});
+
+test("unversioned lean tree gains turn IDs, parents and root children", async (t) => {
+  const fixture = storeFixture(t, "lean_tree", "lean_tree-unversioned.json");
+  const lean = plain(await fixture.manager.loadLeanTree(CONVERSATION_ID));
+
+  assert.deepEqual(
+    lean.nodes.map((node) => [
+      node.id,
+      node.turnId,
+      node.variantId,
+      node.variantIndex,
+      node.parentId,
+      node.isDiscovered,
+    ]),
+    [
+      ["turn-1-5f2a_v1", "turn-1-5f2a", "turn-1-5f2a_v1", 1, null, true],
+      ["turn-1-5f2a_v2", "turn-1-5f2a", "turn-1-5f2a_v2", 2, null, false],
+      [
+        "turn-2-9c1d_v1",
+        "turn-2-9c1d",
+        "turn-2-9c1d_v1",
+        1,
+        "turn-1-5f2a_v1",
+        true,
+      ],
+    ]
+  );
+  assert.equal(lean.nodeCount, 3);
+  assert.deepEqual(lean.rootChildren, ["turn-1-5f2a_v1", "turn-1-5f2a_v2"]);
+  assert.deepEqual(lean.nodes[2].children, []);
+});
+
+test("1.0.0 lean tree keeps its fields and fills the missing ones", async (t) => {
+  const fixture = storeFixture(t, "lean_tree", "lean_tree-1.0.0.json");
+  const lean = plain(await fixture.manager.loadLeanTree(CONVERSATION_ID));
+  const nodes = new Map(lean.nodes.map((node) => [node.id, node]));
+
+  assert.deepEqual(lean.rootChildren, ["msg-root_v1"]);
+  assert.equal(nodes.get("msg-root_v1").parentId, "ROOT");
+  assert.deepEqual(
+    [nodes.get("msg-aa11_v2").turnId, nodes.get("msg-aa11_v2").variantIndex],
+    ["msg-aa11", 2]
+  );
+  assert.equal(nodes.get("msg-aa11_v2").parentId, "msg-root_v1");
+  assert.deepEqual(nodes.get("msg-aa11_v2").children, []);
+});
+
+test("legacy __COMPRESSED__ lean tree is read and rewritten in the current format", async (t) => {
+  const fixture = storeFixture(
+    t,
+    "lean_tree",
+    "lean_tree-legacy-compressed.txt"
+  );
+  const codec = fixture.manager.codec;
+  assert.equal(codec.getFormat(fixture.raw), "legacy");
+
+  const lean = plain(await fixture.manager.loadLeanTree(CONVERSATION_ID));
+  assert.deepEqual(lean.rootChildren, ["turn-0_v1"]);
+  assert.deepEqual(
+    lean.nodes.map((node) => node.parentId),
+    [null, "turn-0_v1", "turn-0_v1"]
+  );
+
+  const raw = fixture.page.chrome.storage.local.data.get(fixture.key);
+  assert.notEqual(codec.getFormat(raw), "legacy");
+  const stored = await readStored(fixture);
+  assert.equal(stored.version, "2.0.0");
+  assert.equal(stored.migratedFrom, "0.0.0");
+  assert.equal(stored.conversationId, CONVERSATION_ID);
+});
+
+test("migrated payloads are written back once", async (t) => {
+  const fixture = storeFixture(t, "lean_tree", "lean_tree-1.0.0.json");
+  await fixture.manager.loadLeanTree(CONVERSATION_ID);
+
+  const first = await readStored(fixture);
+  assert.equal(first.version, "2.0.0");
+  assert.equal(first.migratedFrom, "1.0.0");
+  assert.equal(first.dataType, "lean_tree");
+
+  // The second read finds the current schema and leaves the value alone
+  const writes = [];
+  const area = fixture.page.chrome.storage.local;
+  const set = area.set;
+  area.set = (items) => {
+    writes.push(...Object.keys(items));
+    return set(items);
+  };
+  await fixture.manager.loadLeanTree(CONVERSATION_ID);
+
+  assert.deepEqual(writes, []);
+  assert.deepEqual(await readStored(fixture), first);
+});
+
+test("1.0.0 tuple trees and unversioned object trees become tuples", async (t) => {
+  const tuples = storeFixture(t, "tree", "tree-1.0.0-tuples.json");
+  const tree = plain(
+    await tuples.manager.loadConversationTree(CONVERSATION_ID)
+  );
+
+  assert.deepEqual(
+    tree.nodes.map(([nodeId]) => nodeId),
+    ["turn-1", "turn-3"]
+  );
+  assert.equal(tree.nodeCount, 2);
+  assert.deepEqual(tree.currentPath, ["turn-1", "turn-3"]);
+  const [, first] = tree.nodes[0];
+  assert.deepEqual([first.children, first.branches], [[], []]);
+  assert.equal(first.variants.length, 2);
+  assert.deepEqual(tree.nodes[1][1].children, ["turn-5"]);
+
+  const object = storeFixture(t, "tree", "tree-unversioned-object.json");
+  const objectTree = plain(
+    await object.manager.loadConversationTree(CONVERSATION_ID)
+  );
+  assert.deepEqual(
+    objectTree.nodes.map(([nodeId, node]) => [nodeId, node.variants.length]),
+    [
+      ["turn-1", 1],
+      ["turn-3", 0],
+    ]
+  );
+  assert.deepEqual([objectTree.rootBranches, objectTree.currentPath], [[], []]);
+});
+
+test("1.0.0 customizations keep only well-formed branch entries", async (t) => {
+  const fixture = storeFixture(
+    t,
+    "customizations",
+    "customizations-1.0.0.json"
+  );
+  const customizations = plain(
+    await fixture.manager.loadCustomizations(CONVERSATION_ID)
+  );
+
+  assert.deepEqual(customizations.branches, {
+    "msg-aa11_v1": { name: "Short trip", color: "#10b981" },
+    "msg-aa11_v2": { color: "#ef4444" },
+  });
+  assert.equal((await readStored(fixture)).version, "2.0.0");
+});
+
+test("a payload from a newer schema is not read or overwritten", async (t) => {
+  const fixture = storeFixture(t, "lean_tree", "lean_tree-3.0.0.json");
+
+  assert.equal(await fixture.manager.loadLeanTree(CONVERSATION_ID), null);
+  assert.equal(
+    fixture.page.chrome.storage.local.data.get(fixture.key),
+    fixture.raw
+  );
+});
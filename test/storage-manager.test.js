@@ -0,0 +1,205 @@
+// StorageManager housekeeping: moving data out of chatgpt.com's
+// localStorage, the retention policy and the cleanup when storage fills up
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, MODULE_SCRIPTS, plain } = require("./helpers/extension-page");
+
+const CONVERSATION_ID = "0a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d";
+
+/**
+ * Open a page with the modules and a StorageManager
+ * @param {TestContext} t - Test that owns the page
+ * @param {Object} [storage] - Initial chrome.storage contents
+ * @returns {Object} { page, manager, local }
+ */
+function openStorage(t, storage = {}) {
+  const page = loadPage({ scripts: MODULE_SCRIPTS, storage });
+  t.after(() => page.close());
+  const manager = page.run("new StorageManager()");
+  return { page, manager, local: page.chrome.storage.local.data };
+}
+
+test("only tree_<conversation UUID> snapshots leave localStorage", async (t) => {
+  const { page, manager, local } = openStorage(t);
+  const localStorage = page.window.localStorage;
+  const snapshot = JSON.stringify([["turn-1", { id: "turn-1" }]]);
+  localStorage.setItem(`tree_${CONVERSATION_ID}`, snapshot);
+  // chatgpt.com's own keys, even when they hold JSON arrays
+  localStorage.setItem("tree_sidebar", "[1,2]");
+  localStorage.setItem(`tree_${CONVERSATION_ID}_expanded`, "[]");
+  localStorage.setItem("tree_0a1b2c3d", "[]");
+
+  assert.equal(await manager.migrateFromLocalStorage(), 1);
+  assert.equal(
+    local.get(manager.getStorageKey(CONVERSATION_ID, "snapshot")),
+    snapshot
+  );
+  assert.deepEqual(Object.keys(localStorage).sort(), [
+    "tree_0a1b2c3d",
+    `tree_${CONVERSATION_ID}_expanded`,
+    "tree_sidebar",
+  ]);
+  assert.deepEqual(plain(Array.from(local.keys())), [
+    manager.getStorageKey(CONVERSATION_ID, "snapshot"),
+  ]);
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Stored entries of a conversation last visited some days ago
+ * @param {string} conversationId - Conversation ID
+ * @param {number} daysAgo - Age of the last visit
+ * @returns {Object} chrome.storage.local contents
+ */
+function visitedConversation(conversationId, daysAgo) {
+  const prefix = `chatgpt_branching_${conversationId}`;
+  const visited = Date.now() - daysAgo * DAY;
+  return {
+    [`${prefix}_metadata`]: JSON.stringify({
+      version: "2.0.0",
+      timestamp: visited,
+      conversationId,
+      dataType: "metadata",
+      metadata: { title: conversationId, lastVisited: visited },
+    }),
+    [`${prefix}_lean_tree`]: JSON.stringify({
+      version: "2.0.0",
+      timestamp: visited,
+      conversationId,
+      dataType: "lean_tree",
+      treeData: { nodeCount: 0, nodes: [], rootChildren: [] },
+    }),
+  };
+}
+
+test("retention removes conversations by their last visit, once a day", async (t) => {
+  const { manager, local } = openStorage(t, {
+    local: {
+      ...visitedConversation("old", 40),
+      ...visitedConversation("open", 40),
+      ...visitedConversation("recent", 2),
+      chatgpt_branching__settings_retention: JSON.stringify({ maxAgeDays: 30 }),
+    },
+  });
+
+  // Age comes from the metadata entries; no tree is decoded
+  const decoded = [];
+  const loadLeanTree = manager.loadLeanTree.bind(manager);
+  manager.loadLeanTree = (conversationId) => {
+    decoded.push(conversationId);
+    return loadLeanTree(conversationId);
+  };
+
+  assert.deepEqual(plain(await manager.applyRetentionPolicy(["open"])), [
+    "old",
+  ]);
+  assert.deepEqual(decoded, []);
+  assert.deepEqual(plain(await manager.getStoredConversationIds()).sort(), [
+    "open",
+    "recent",
+  ]);
+
+  // Within the day the next page load skips the pass...
+  for (const [key, value] of Object.entries(visitedConversation("stale", 60))) {
+    local.set(key, value);
+  }
+  assert.deepEqual(plain(await manager.applyRetentionPolicy(["open"])), []);
+  assert.ok(local.has("chatgpt_branching_stale_metadata"));
+
+  // ...unless the caller forces it, and a day later it runs again
+  assert.deepEqual(
+    plain(await manager.applyRetentionPolicy([], { force: true })),
+    ["open", "stale"]
+  );
+  local.set(
+    "chatgpt_branching__settings_retentionLastRun",
+    JSON.stringify(Date.now() - DAY - 1000)
+  );
+  for (const [key, value] of Object.entries(visitedConversation("stale", 60))) {
+    local.set(key, value);
+  }
+  assert.deepEqual(plain(await manager.applyRetentionPolicy()), ["stale"]);
+});
+
+test("retention falls back to the lean tree for conversations without metadata", async (t) => {
+  const legacy = visitedConversation("legacy", 90);
+  delete legacy.chatgpt_branching_legacy_metadata;
+  const { manager } = openStorage(t, {
+    local: {
+      ...legacy,
+      chatgpt_branching__settings_retention: JSON.stringify({ maxAgeDays: 30 }),
+    },
+  });
+
+  assert.deepEqual(plain(await manager.applyRetentionPolicy()), ["legacy"]);
+});
+
+test("the library and options retention select saves and applies the policy", async (t) => {
+  const page = loadPage({
+    scripts: [...MODULE_SCRIPTS, "src/utils/storage-utils.js"],
+    html: `<select id="retention">
+      <option value="">forever</option>
+      <option value="30">30 days</option>
+    </select>`,
+    storage: {
+      local: {
+        ...visitedConversation("old", 40),
+        ...visitedConversation("recent", 2),
+        chatgpt_branching__settings_retention: JSON.stringify({
+          maxAgeDays: 365,
+        }),
+      },
+    },
+  });
+  t.after(() => page.close());
+  const manager = page.run("new StorageManager()");
+  const select = page.document.getElementById("retention");
+  const applied = [];
+
+  await page.get("setupRetentionSelect")(manager, select, (removed) =>
+    applied.push(plain(removed))
+  );
+  // A value set elsewhere is added to the choices
+  assert.equal(select.value, "365");
+
+  select.value = "30";
+  select.dispatchEvent(new page.window.Event("change"));
+  await page.waitFor(() => applied.length === 1, {
+    message: "the policy to be applied",
+  });
+  assert.deepEqual(applied, [["old"]]);
+  assert.deepEqual(plain(await manager.getRetentionPolicy()), {
+    maxAgeDays: 30,
+  });
+  assert.deepEqual(plain(await manager.getStoredConversationIds()), ["recent"]);
+});
+
+test("storage cleanup removes the oldest conversation data, never settings", async (t) => {
+  const settings = {
+    chatgpt_branching__settings_retention: JSON.stringify({ maxAgeDays: 30 }),
+    chatgpt_branching__settings_shortcuts: JSON.stringify({ nextVariant: "]" }),
+    chatgpt_branching__settings_fullContentCapture: "true",
+  };
+  const { manager, local } = openStorage(t, {
+    local: {
+      ...settings,
+      ...visitedConversation("oldest", 50),
+      ...visitedConversation("older", 40),
+      ...visitedConversation("new", 1),
+    },
+  });
+
+  // A quarter of the six conversation entries: both of the oldest one
+  await manager.performStorageCleanup();
+
+  for (const [key, value] of Object.entries(settings)) {
+    assert.equal(local.get(key), value, key);
+  }
+  assert.deepEqual(plain(await manager.getStoredConversationIds()).sort(), [
+    "new",
+    "older",
+  ]);
+  assert.equal(local.size, 7);
+});
@@ -0,0 +1,159 @@
+// Variant counters and Previous/Next buttons in ChatGPT's translated UIs.
+// test/fixtures/localized-turns.json has the labels and counter texts of each
+// language ChatGPT is known to use.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { loadPage, MODULE_SCRIPTS, plain } = require("./helpers/extension-page");
+
+const LOCALES = JSON.parse(
+  fs.readFileSync(path.join(__dirname, "fixtures/localized-turns.json"), "utf8")
+);
+
+/**
+ * Markup of an assistant turn with variant controls
+ * @param {Object} options
+ * @param {string} options.lang - Page language
+ * @param {string} options.counter - Counter text
+ * @param {string} options.previous - Previous button label
+ * @param {string} options.next - Next button label
+ * @returns {string} Page markup
+ */
+function turnPage({ lang, counter, previous, next }) {
+  return `<!DOCTYPE html>
+    <html lang="${lang}"><body><main><div class="flex flex-col text-sm">
+      <article data-testid="conversation-turn-2" dir="auto">
+        <h5 class="sr-only">ChatGPT</h5>
+        <div data-message-author-role="assistant" data-message-id="msg-a1">
+          <div class="markdown prose"><p>…</p></div>
+        </div>
+        <div class="flex items-center justify-start">
+          <button aria-label="${previous}"></button>
+          <div class="px-0.5 text-sm font-semibold tabular-nums">${counter}</div>
+          <button aria-label="${next}"></button>
+        </div>
+      </article>
+    </div></main></body></html>`;
+}
+
+/**
+ * Detect the variant controls of the page's turn
+ * @param {ExtensionPage} page - Page loaded with turnPage markup
+ * @returns {Object} { branch, byLabel, buttons } where byLabel says whether
+ *   the selector profile found both buttons by their aria-label
+ */
+function detectControls(page) {
+  return page.run(`
+    (() => {
+      const turn = document.querySelector("article");
+      const [branch] = new BranchDetector().detectBranches([turn]);
+      const { prevButton, nextButton } = findVariantButtons(turn);
+      const buttons = turn.querySelectorAll("button");
+      return {
+        branch: branch && {
+          currentVariant: branch.currentVariant,
+          totalVariants: branch.totalVariants,
+          role: branch.role,
+        },
+        byLabel:
+          selectorProfile.query("previousVariantButton", turn) === buttons[0] &&
+          selectorProfile.query("nextVariantButton", turn) === buttons[1],
+        buttons: prevButton === buttons[0] && nextButton === buttons[1],
+      };
+    })()
+  `);
+}
+
+test("every language with built-in button labels has a fixture", (t) => {
+  const page = loadPage({ scripts: MODULE_SCRIPTS });
+  t.after(() => page.close());
+  const labels = plain(page.get("LOCALIZED_BUTTON_LABELS"));
+
+  assert.deepEqual(Object.keys(LOCALES).sort(), Object.keys(labels).sort());
+  for (const [lang, { previous, next }] of Object.entries(LOCALES)) {
+    assert.deepEqual(
+      { previous, next },
+      {
+        previous: labels[lang].previous,
+        next: labels[lang].next,
+      }
+    );
+  }
+});
+
+for (const [lang, { previous, next, counters }] of Object.entries(LOCALES)) {
+  test(`${lang}: counters and Previous/Next buttons`, async (t) => {
+    for (const [counter, current, total] of counters) {
+      const page = loadPage({
+        html: turnPage({ lang, counter, previous, next }),
+        scripts: MODULE_SCRIPTS,
+      });
+      t.after(() => page.close());
+
+      assert.deepEqual(
+        plain(detectControls(page)),
+        {
+          branch: {
+            currentVariant: current,
+            totalVariants: total,
+            role: "assistant",
+          },
+          byLabel: true,
+          buttons: true,
+        },
+        `counter "${counter}"`
+      );
+    }
+  });
+}
+
+test("buttons of unlisted languages are found around the counter", (t) => {
+  const page = loadPage({
+    html: turnPage({
+      lang: "pl",
+      counter: "2 z 3",
+      previous: "Poprzednia odpowiedź",
+      next: "Następna odpowiedź",
+    }),
+    scripts: MODULE_SCRIPTS,
+  });
+  t.after(() => page.close());
+
+  assert.deepEqual(plain(detectControls(page)), {
+    branch: { currentVariant: 2, totalVariants: 3, role: "assistant" },
+    byLabel: false,
+    buttons: true,
+  });
+});
+
+test("counters in any decimal digit system", (t) => {
+  const page = loadPage({ scripts: MODULE_SCRIPTS });
+  t.after(() => page.close());
+  const parseVariantCounter = page.get("parseVariantCounter");
+
+  const samples = {
+    "۲/۳": "Extended Arabic-Indic",
+    "३ में से २": "Devanagari", // Hindi names the total first
+    "৩টির মধ্যে ২": "Bengali",
+    "๒ จาก ๓": "Thai",
+    "၂/၃": "Myanmar",
+    "༢/༣": "Tibetan",
+    "߂/߃": "NKo",
+    "𝟐/𝟑": "Mathematical bold",
+    "𝟤/𝟥": "Mathematical sans-serif",
+    "𝟸/𝟹": "Mathematical monospace",
+    "2/3": "ASCII",
+  };
+
+  for (const [text, system] of Object.entries(samples)) {
+    assert.deepEqual(
+      plain(parseVariantCounter(text)),
+      { current: 2, total: 3 },
+      system
+    );
+  }
+  assert.equal(parseVariantCounter("2 3"), null);
+  assert.equal(parseVariantCounter("v2"), null);
+});